@@ -14,7 +14,21 @@ import { NextjsFramework } from './core/frameworks/nextjs.js';
 import { ReactFramework } from './core/frameworks/react.js';
 import { ExpressFramework } from './core/frameworks/express.js';
 import { ShopifyFramework } from './core/frameworks/shopify.js';
+import { VueFramework } from './core/frameworks/vue.js';
+import { NuxtFramework } from './core/frameworks/nuxt.js';
+import { SvelteKitFramework } from './core/frameworks/sveltekit.js';
+import { AstroFramework } from './core/frameworks/astro.js';
+import { AngularFramework } from './core/frameworks/angular.js';
+import { RemixFramework } from './core/frameworks/remix.js';
+import { GatsbyFramework } from './core/frameworks/gatsby.js';
+import { NestjsFramework } from './core/frameworks/nestjs.js';
+import { FastifyFramework } from './core/frameworks/fastify.js';
+import { KoaFramework } from './core/frameworks/koa.js';
+import { HapiFramework } from './core/frameworks/hapi.js';
+import { HonoFramework } from './core/frameworks/hono.js';
 import { VersionChecker } from './core/version-checker.js';
+import { OpenApiExporter } from './core/exporters/openapi.js';
+import { PostmanExporter } from './core/exporters/postman.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -91,8 +105,22 @@ program
   .option('--jenkins', 'Include Jenkins pipeline configuration')
   .option('--force', 'Overwrite existing files')
   .option('--no-version-check', 'Skip version update check')
+  .option('--from-openapi <file>', 'Read API routes from an OpenAPI 3 / Swagger 2 document (JSON or YAML)')
+  .option('--sitemap <files...>', 'Add page URLs from local sitemap.xml files (sitemap indexes are followed)')
+  .option('--robots <file>', 'Add robots.txt Disallow paths as protected route candidates')
+  .option('--har <files...>', 'Add pages and XHR/fetch calls recorded in browser HAR files')
+  .option('--crawl [url]', 'Also crawl the running app (from the detected base URL unless one is given)')
+  .option('--crawl-depth <n>', 'Maximum link depth to follow when crawling', '3')
+  .option('--crawl-max-pages <n>', 'Maximum number of pages to visit when crawling', '50')
   .action(async (options) => {
-    await smartSetup(options);
+    await smartSetup({
+      ...options,
+      crawl: options.crawl && {
+        baseURL: typeof options.crawl === 'string' ? options.crawl : undefined,
+        maxDepth: parseInt(options.crawlDepth, 10),
+        maxPages: parseInt(options.crawlMaxPages, 10)
+      }
+    });
   });
 
 // Enhanced scan command
@@ -100,10 +128,47 @@ program
   .command('scan')
   .description('🔍 Scan current project for routes and framework detection')
   .option('--json', 'Output results as JSON')
+  .option('--from-openapi <file>', 'Read API routes from an OpenAPI 3 / Swagger 2 document (JSON or YAML)')
+  .option('--sitemap <files...>', 'Add page URLs from local sitemap.xml files (sitemap indexes are followed)')
+  .option('--robots <file>', 'Add robots.txt Disallow paths as protected route candidates')
+  .option('--har <files...>', 'Add pages and XHR/fetch calls recorded in browser HAR files')
   .action(async (options) => {
     await scanProject(options);
   });
 
+// Crawl the running app for routes built at runtime
+program
+  .command('crawl')
+  .description('🕷️ Crawl the running app with Playwright and merge what it finds with the scanned routes')
+  .option('-u, --base-url <url>', 'URL to start crawling from (defaults to the detected base URL)')
+  .option('--depth <n>', 'Maximum link depth to follow', '3')
+  .option('--max-pages <n>', 'Maximum number of pages to visit', '50')
+  .option('--json', 'Output results as JSON')
+  .action(async (options) => {
+    await scanProject({
+      ...options,
+      crawl: {
+        baseURL: options.baseUrl,
+        maxDepth: parseInt(options.depth, 10),
+        maxPages: parseInt(options.maxPages, 10)
+      }
+    });
+  });
+
+// Export scanned routes for API tooling
+program
+  .command('export')
+  .description('📤 Export scanned routes as an OpenAPI document and a Postman/Insomnia collection')
+  .option('-o, --output <dir>', 'Output directory', '.')
+  .option('-f, --format <format>', 'Export format (openapi, postman, all)', 'all')
+  .option('--from-openapi <file>', 'Read API routes from an OpenAPI 3 / Swagger 2 document (JSON or YAML)')
+  .option('--sitemap <files...>', 'Add page URLs from local sitemap.xml files (sitemap indexes are followed)')
+  .option('--robots <file>', 'Add robots.txt Disallow paths as protected route candidates')
+  .option('--har <files...>', 'Add pages and XHR/fetch calls recorded in browser HAR files')
+  .action(async (options) => {
+    await exportRoutes(options);
+  });
+
 // Legacy init command (maintained for backwards compatibility)
 program
   .command('init')
@@ -245,7 +310,7 @@ async function smartSetup(options) {
       }
     }
     
-    const scanner = new ProjectScanner();
+    const scanner = new ProjectScanner(process.cwd(), getScannerSources(options));
     const scanResults = await scanner.scan();
     
     console.log(chalk.green(`✅ Auto-detected ${scanResults.framework.name} project`));
@@ -300,9 +365,20 @@ async function smartSetup(options) {
   }
 }
 
+// Route sources passed on the command line, in the shape ProjectScanner takes
+function getScannerSources(options) {
+  return {
+    openApi: options.fromOpenapi,
+    sitemap: options.sitemap,
+    robots: options.robots,
+    har: options.har,
+    crawl: options.crawl
+  };
+}
+
 async function scanProject(options) {
   try {
-    const scanner = new ProjectScanner();
+    const scanner = new ProjectScanner(process.cwd(), getScannerSources(options));
     const results = await scanner.scan();
     
     if (options.json) {
@@ -346,6 +422,41 @@ async function scanProject(options) {
   }
 }
 
+async function exportRoutes(options) {
+  try {
+    const formats = options.format === 'all' ? ['openapi', 'postman'] : [options.format];
+    const unknown = formats.filter(format => !['openapi', 'postman'].includes(format));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown export format: ${unknown.join(', ')} (use openapi, postman or all)`);
+    }
+
+    const scanner = new ProjectScanner(process.cwd(), getScannerSources(options));
+    const results = await scanner.scan();
+    const project = {
+      name: scanner.packageJson?.name || path.basename(process.cwd()),
+      version: scanner.packageJson?.version
+    };
+
+    await fs.ensureDir(options.output);
+    console.log(chalk.blue.bold('\n📤 Exporting routes\n'));
+
+    if (formats.includes('openapi')) {
+      const outputPath = path.join(options.output, 'routes.openapi.json');
+      await fs.writeJson(outputPath, new OpenApiExporter(results, project).build(), { spaces: 2 });
+      console.log(chalk.green(`✅ OpenAPI document: ${outputPath}`));
+    }
+
+    if (formats.includes('postman')) {
+      const outputPath = path.join(options.output, 'routes.postman_collection.json');
+      await fs.writeJson(outputPath, new PostmanExporter(results, project).build(), { spaces: 2 });
+      console.log(chalk.green(`✅ Postman collection: ${outputPath} (also importable in Insomnia)`));
+    }
+  } catch (error) {
+    console.error(chalk.red('❌ Export failed:'), error.message);
+    process.exit(1);
+  }
+}
+
 async function interactiveSetup(scanResults) {
   const prompts = [];
   
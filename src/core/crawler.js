@@ -0,0 +1,200 @@
+import { isLoginPath } from './utils/source-parser.js';
+
+const STATIC_ASSET = /\.(?:js|mjs|css|map|png|jpe?g|gif|svg|ico|webp|avif|woff2?|ttf|otf|eot|mp4|webm|mp3|pdf|zip|txt|xml|json)$/i;
+// Following these would end the session or trigger side effects
+const UNSAFE_LINK = /log-?out|sign-?out|delete|remove|unsubscribe/i;
+
+// Visits a running app with Playwright, following same-origin links, to find routes
+// that only exist at runtime (SPAs that build their routes in code)
+export class RouteCrawler {
+  constructor(options = {}) {
+    this.baseURL = options.baseURL || 'http://localhost:3000';
+    this.loginURL = options.loginURL || '/login';
+    this.maxDepth = options.maxDepth ?? 3;
+    this.maxPages = options.maxPages ?? 50;
+    this.timeout = options.timeout ?? 15000;
+    this.origin = new URL(this.baseURL).origin;
+  }
+
+  async crawl() {
+    console.log(`🕷️ Crawling ${this.baseURL} (depth ${this.maxDepth}, up to ${this.maxPages} pages)...`);
+
+    const { chromium } = await this.loadPlaywright();
+    const browser = await chromium.launch();
+    const routes = { public: [], protected: [], api: [] };
+
+    try {
+      const context = await browser.newContext();
+      const page = await context.newPage();
+      const endpoints = new Map();
+      let currentPage = null;
+
+      // XHR/fetch calls the page makes while it loads - these are the SPA's API routes
+      page.on('response', response => {
+        const request = response.request();
+        const url = new URL(request.url());
+
+        if (!['xhr', 'fetch'].includes(request.resourceType()) || url.origin !== this.origin) {
+          return;
+        }
+
+        const key = `${request.method()} ${this.toRoutePath(url.pathname)}`;
+        if (!endpoints.has(key)) {
+          endpoints.set(key, { method: request.method(), url: this.toRoutePath(url.pathname), status: response.status(), calledFrom: currentPage });
+        }
+      });
+
+      const startPath = this.toRoutePath(new URL(this.baseURL).pathname);
+      const queue = [{ url: startPath, depth: 0 }];
+      const visited = new Set();
+
+      while (queue.length > 0 && visited.size < this.maxPages) {
+        const { url, depth } = queue.shift();
+        if (visited.has(url)) {
+          continue;
+        }
+        visited.add(url);
+        currentPage = url;
+
+        const result = await this.visit(page, url);
+        if (!result) {
+          if (url === startPath) {
+            throw new Error(`Could not load ${this.origin}${url} - start the app before crawling`);
+          }
+          continue;
+        }
+
+        this.recordPage(routes, url, result);
+
+        if (depth < this.maxDepth && !result.redirectedToLogin) {
+          for (const link of result.links) {
+            if (!visited.has(link)) {
+              queue.push({ url: link, depth: depth + 1 });
+            }
+          }
+        }
+      }
+
+      for (const endpoint of endpoints.values()) {
+        const requiresAuth = endpoint.status === 401 || endpoint.status === 403;
+        console.log(`  🔌 ${endpoint.method} ${endpoint.url} -> ${endpoint.status}`);
+
+        routes.api.push({
+          url: endpoint.url,
+          title: `${this.generateRouteTitle(endpoint.url).replace(/ Page$/, ' API')} (${endpoint.method})`,
+          method: endpoint.method,
+          type: 'api',
+          framework: 'crawl',
+          source: 'crawl',
+          calledFrom: endpoint.calledFrom,
+          requiresAuth,
+          expectedStatus: endpoint.status
+        });
+      }
+
+      console.log(`✅ Crawled ${visited.size} pages: ${routes.public.length} public, ${routes.protected.length} protected, ${routes.api.length} API calls`);
+      return routes;
+    } finally {
+      await browser.close();
+    }
+  }
+
+  async loadPlaywright() {
+    try {
+      return await import('@playwright/test');
+    } catch (error) {
+      throw new Error('Crawling needs @playwright/test - run `npm install -D @playwright/test && npx playwright install chromium`');
+    }
+  }
+
+  // Returns the final status, where the page ended up and the links on it, or null when it couldn't load
+  async visit(page, url) {
+    let response;
+    try {
+      response = await page.goto(`${this.origin}${url}`, { waitUntil: 'load', timeout: this.timeout });
+      // Client-side routers redirect and render after load
+      await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+    } catch (error) {
+      console.warn(`  ⚠️ Could not load ${url}: ${error.message.split('\n')[0]}`);
+      return null;
+    }
+
+    const finalUrl = new URL(page.url());
+    const finalPath = this.toRoutePath(finalUrl.pathname);
+    const hrefs = await page.$$eval('a[href]', anchors => anchors.map(anchor => anchor.href)).catch(() => []);
+
+    return {
+      status: response ? response.status() : 200,
+      finalPath,
+      redirectedToLogin: finalUrl.origin === this.origin && finalPath !== url && isLoginPath(finalPath, this.loginURL),
+      links: this.filterLinks(hrefs)
+    };
+  }
+
+  recordPage(routes, url, result) {
+    const route = {
+      url,
+      title: this.generateRouteTitle(url),
+      type: 'page',
+      framework: 'crawl',
+      source: 'crawl',
+      crawlStatus: result.status
+    };
+
+    if (result.redirectedToLogin) {
+      console.log(`  🔒 ${url} -> ${result.finalPath}`);
+      routes.protected.push({ ...route, requiresAuth: true, expectedRedirect: result.finalPath });
+    } else if (result.status === 401 || result.status === 403) {
+      console.log(`  🔒 ${url} -> ${result.status}`);
+      routes.protected.push({ ...route, requiresAuth: true });
+    } else if (result.status < 400) {
+      console.log(`  🌐 ${url} -> ${result.status}`);
+      routes.public.push(route);
+    } else {
+      console.log(`  ⚠️ ${url} -> ${result.status} (skipped)`);
+    }
+  }
+
+  // Same-origin page links only, without query strings, fragments, assets or logout-style actions
+  filterLinks(hrefs) {
+    const links = new Set();
+
+    for (const href of hrefs) {
+      let url;
+      try {
+        url = new URL(href);
+      } catch (error) {
+        continue;
+      }
+
+      if (url.origin !== this.origin || STATIC_ASSET.test(url.pathname) || UNSAFE_LINK.test(url.pathname)) {
+        continue;
+      }
+      links.add(this.toRoutePath(url.pathname));
+    }
+
+    return [...links];
+  }
+
+  toRoutePath(pathname) {
+    let url;
+    try {
+      url = decodeURI(pathname);
+    } catch (error) {
+      url = pathname;
+    }
+    return url.length > 1 && url.endsWith('/') ? url.slice(0, -1) : url || '/';
+  }
+
+  generateRouteTitle(url) {
+    if (url === '/') return 'Home Page';
+
+    return url
+      .split('/')
+      .filter(Boolean)
+      .map(segment => segment.charAt(0).toUpperCase() + segment.slice(1))
+      .join(' ') + ' Page';
+  }
+}
+
+export default RouteCrawler;
@@ -0,0 +1,84 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { RouteCrawler } from './crawler.js';
+
+// A small app served by a fake browser page: status, where the page ends up, its links and XHR calls
+const site = {
+  '/': { status: 200, links: ['/about', '/dashboard', '/welcome', '/logout', '/logo.png', 'https://cdn.test/x', '/about#team'], calls: [['GET', '/api/config', 200]] },
+  '/about': { status: 200, links: ['/', '/team/'] },
+  '/team': { status: 200, links: ['/team/archive'], calls: [['GET', '/api/me', 401]] },
+  '/team/archive': { status: 200 },
+  '/dashboard': { status: 200, finalPath: '/signin', links: ['/dashboard/secret'] },
+  '/welcome': { status: 200, finalPath: '/auth/verify-email' },
+  '/signin': { status: 200 },
+  '/logout': { status: 200 }
+};
+
+class FakePage {
+  constructor() {
+    this.handlers = {};
+  }
+
+  on(event, handler) {
+    this.handlers[event] = handler;
+  }
+
+  async goto(url) {
+    const { origin, pathname } = new URL(url);
+    this.page = site[pathname.replace(/(.)\/$/, '$1')];
+    if (!this.page) {
+      throw new Error('net::ERR_CONNECTION_REFUSED');
+    }
+
+    this.current = new URL(this.page.finalPath || pathname, origin).href;
+    for (const [method, path, status] of this.page.calls || []) {
+      this.handlers.response({ status: () => status, request: () => ({ url: () => origin + path, method: () => method, resourceType: () => 'fetch' }) });
+    }
+    return { status: () => this.page.status };
+  }
+
+  async waitForLoadState() {}
+
+  url() {
+    return this.current;
+  }
+
+  async $$eval() {
+    return (this.page.links || []).map(link => new URL(link, this.current).href);
+  }
+}
+
+let routes;
+
+before(async () => {
+  const crawler = new RouteCrawler({ baseURL: 'http://localhost:3000', loginURL: '/signin', maxDepth: 2 });
+  const browser = { newContext: async () => ({ newPage: async () => new FakePage() }), close: async () => {} };
+  crawler.loadPlaywright = async () => ({ chromium: { launch: async () => browser } });
+
+  const originalLog = console.log;
+  console.log = () => {};
+  routes = await crawler.crawl().finally(() => {
+    console.log = originalLog;
+  });
+});
+
+test('follows same-origin page links up to the max depth', () => {
+  assert.deepEqual(routes.public.map(route => route.url), ['/', '/about', '/welcome', '/team']);
+});
+
+test('treats pages that land on the login URL as protected', () => {
+  assert.deepEqual(
+    routes.protected.map(({ url, expectedRedirect }) => ({ url, expectedRedirect })),
+    [{ url: '/dashboard', expectedRedirect: '/signin' }]
+  );
+});
+
+test('records the XHR calls pages make as API routes', () => {
+  assert.deepEqual(
+    routes.api.map(({ method, url, requiresAuth, expectedStatus, calledFrom }) => ({ method, url, requiresAuth, expectedStatus, calledFrom })),
+    [
+      { method: 'GET', url: '/api/config', requiresAuth: false, expectedStatus: 200, calledFrom: '/' },
+      { method: 'GET', url: '/api/me', requiresAuth: true, expectedStatus: 401, calledFrom: '/team' }
+    ]
+  );
+});
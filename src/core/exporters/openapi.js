@@ -0,0 +1,144 @@
+import { listRouteEntries, formatPattern } from './route-inventory.js';
+
+const STATUS_DESCRIPTIONS = {
+  200: 'OK',
+  201: 'Created',
+  204: 'No Content',
+  302: 'Redirect to login',
+  401: 'Unauthorized',
+  403: 'Forbidden'
+};
+
+// Builds an OpenAPI 3 skeleton from scan results - paths, methods, params and auth, ready to be filled in
+export class OpenApiExporter {
+  constructor(scanResults, project = {}) {
+    this.scanResults = scanResults;
+    this.project = project;
+  }
+
+  build() {
+    const { routes, config = {}, framework = {} } = this.scanResults;
+    const paths = {};
+    const usedSchemes = new Set();
+
+    for (const entry of listRouteEntries(routes)) {
+      const routePath = formatPattern(entry.pattern, name => `{${name}}`);
+      const security = this.getSecurity(entry);
+      security.forEach(name => usedSchemes.add(name));
+
+      paths[routePath] = paths[routePath] || {};
+      paths[routePath][entry.method.toLowerCase()] = {
+        summary: entry.title,
+        tags: [entry.folder],
+        ...(entry.route.operationId && { operationId: entry.route.operationId }),
+        ...(entry.params.length > 0 && { parameters: entry.params.map(param => this.buildParameter(param)) }),
+        ...(entry.route.schema?.body && { requestBody: this.buildRequestBody(entry.route.schema.body) }),
+        responses: this.buildResponses(entry, config.loginURL),
+        security: security.map(name => ({ [name]: [] })),
+        ...(entry.route.file && { 'x-source-file': entry.route.file })
+      };
+    }
+
+    return {
+      openapi: '3.0.3',
+      info: {
+        title: this.project.name || 'Scanned routes',
+        version: this.project.version || '1.0.0',
+        description: `Generated by playwright-route-tester from a ${framework.name || 'project'} scan`
+      },
+      servers: config.baseURL ? [{ url: config.baseURL }] : [],
+      paths,
+      components: {
+        securitySchemes: this.buildSecuritySchemes(usedSchemes)
+      }
+    };
+  }
+
+  // Imported specs keep their scheme names; otherwise pages use the session cookie and APIs a bearer token
+  getSecurity(entry) {
+    if (!entry.requiresAuth) {
+      return [];
+    }
+
+    if (entry.route.security?.length) {
+      return entry.route.security;
+    }
+
+    return [entry.kind === 'api' ? 'bearerAuth' : 'sessionCookie'];
+  }
+
+  buildParameter(param) {
+    return {
+      name: param.name,
+      in: 'path',
+      // OpenAPI has no optional path params - the description keeps the distinction
+      required: true,
+      ...(param.optional && { description: param.catchAll ? 'Optional catch-all segment' : 'Optional segment' }),
+      schema: { type: 'string' },
+      ...(param.example !== null && { example: param.example })
+    };
+  }
+
+  buildRequestBody(schema) {
+    const { example, ...bodySchema } = schema;
+
+    return {
+      content: {
+        'application/json': {
+          schema: bodySchema,
+          ...(example !== undefined && { example })
+        }
+      }
+    };
+  }
+
+  buildResponses(entry, loginURL) {
+    const { route } = entry;
+    const responses = {};
+    const declared = route.schema?.response || {};
+
+    if (entry.kind === 'protected') {
+      responses[302] = {
+        description: STATUS_DESCRIPTIONS[302],
+        headers: {
+          Location: { schema: { type: 'string', example: route.expectedRedirect || loginURL || '/login' } }
+        }
+      };
+    } else if (entry.requiresAuth) {
+      const status = [401, 403].includes(route.expectedStatus) ? route.expectedStatus : 401;
+      responses[status] = { description: STATUS_DESCRIPTIONS[status] };
+    }
+
+    const success = entry.kind === 'api' && !entry.requiresAuth && route.expectedStatus ? route.expectedStatus : 200;
+    responses[success] = { description: STATUS_DESCRIPTIONS[success] || 'Success' };
+
+    for (const [status, schema] of Object.entries(declared)) {
+      responses[status] = {
+        description: responses[status]?.description || STATUS_DESCRIPTIONS[status] || 'Response',
+        content: { 'application/json': { schema } }
+      };
+    }
+
+    if (entry.kind !== 'api' && !declared[success]) {
+      responses[success].content = { 'text/html': { schema: { type: 'string' } } };
+    }
+
+    return responses;
+  }
+
+  buildSecuritySchemes(names) {
+    const schemes = {};
+
+    for (const name of names) {
+      if (name === 'sessionCookie') {
+        schemes[name] = { type: 'apiKey', in: 'cookie', name: 'session' };
+      } else {
+        schemes[name] = { type: 'http', scheme: 'bearer' };
+      }
+    }
+
+    return schemes;
+  }
+}
+
+export default OpenApiExporter;
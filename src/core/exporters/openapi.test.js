@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import OpenApiExporter from './openapi.js';
+
+const scanResults = {
+  framework: { name: 'nextjs' },
+  config: { baseURL: 'http://localhost:3000', loginURL: '/signin' },
+  routes: {
+    public: [
+      { url: '/docs', pattern: '/docs/:slug*', title: 'Docs Page [/docs]', expectedStatus: 200 }
+    ],
+    protected: [
+      { url: '/dashboard', title: 'Dashboard Page', requiresAuth: true }
+    ],
+    api: [
+      { url: '/api/users/42', pattern: '/api/users/:id', title: 'Users Id API (GET) [/api/users/42]', method: 'GET', requiresAuth: true, expectedStatus: 403 },
+      { url: '/api/users/7', pattern: '/api/users/:id', title: 'Users Id API (GET) [/api/users/7]', method: 'GET', requiresAuth: true, expectedStatus: 403 },
+      {
+        url: '/api/orders',
+        title: 'Orders API (POST)',
+        method: 'POST',
+        requiresAuth: true,
+        security: ['apiKey'],
+        expectedStatus: 401,
+        schema: { body: { type: 'object', example: { sku: 'A1' } }, response: { 201: { type: 'object' } } }
+      },
+      { url: '/api/health', title: 'Health API (GET)', method: 'GET', requiresAuth: false, expectedStatus: 204 }
+    ]
+  }
+};
+
+test('exports one operation per pattern and method with path params', () => {
+  const { paths, servers } = new OpenApiExporter(scanResults, { name: 'shop' }).build();
+
+  assert.deepEqual(servers, [{ url: 'http://localhost:3000' }]);
+  assert.deepEqual(Object.keys(paths), ['/docs/{slug}', '/dashboard', '/api/users/{id}', '/api/orders', '/api/health']);
+  assert.equal(paths['/api/users/{id}'].get.summary, 'Users Id API (GET)');
+  assert.deepEqual(paths['/api/users/{id}'].get.parameters, [
+    { name: 'id', in: 'path', required: true, schema: { type: 'string' }, example: '42' }
+  ]);
+  assert.deepEqual(paths['/docs/{slug}'].get.parameters, [
+    { name: 'slug', in: 'path', required: true, description: 'Optional catch-all segment', schema: { type: 'string' } }
+  ]);
+});
+
+test('describes auth with security schemes and the expected failure responses', () => {
+  const { paths, components } = new OpenApiExporter(scanResults).build();
+
+  assert.deepEqual(paths['/dashboard'].get.security, [{ sessionCookie: [] }]);
+  assert.equal(paths['/dashboard'].get.responses[302].headers.Location.schema.example, '/signin');
+  assert.deepEqual(paths['/api/users/{id}'].get.security, [{ bearerAuth: [] }]);
+  assert.deepEqual(Object.keys(paths['/api/users/{id}'].get.responses), ['200', '403']);
+  assert.deepEqual(paths['/api/orders'].post.security, [{ apiKey: [] }]);
+  assert.deepEqual(paths['/api/health'].get.security, []);
+  assert.deepEqual(Object.keys(paths['/api/health'].get.responses), ['204']);
+  assert.deepEqual(Object.keys(components.securitySchemes).sort(), ['apiKey', 'bearerAuth', 'sessionCookie']);
+});
+
+test('keeps request bodies and declared response schemas', () => {
+  const { post } = new OpenApiExporter(scanResults).build().paths['/api/orders'];
+
+  assert.deepEqual(post.requestBody, {
+    content: { 'application/json': { schema: { type: 'object' }, example: { sku: 'A1' } } }
+  });
+  assert.deepEqual(post.responses[201], { description: 'Created', content: { 'application/json': { schema: { type: 'object' } } } });
+});
@@ -0,0 +1,112 @@
+import { listRouteEntries, formatPattern } from './route-inventory.js';
+
+const COLLECTION_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+// Builds a Postman v2.1 collection (Insomnia imports the same format) with one folder per route type
+export class PostmanExporter {
+  constructor(scanResults, project = {}) {
+    this.scanResults = scanResults;
+    this.project = project;
+  }
+
+  build() {
+    const { routes, config = {} } = this.scanResults;
+    const folders = new Map();
+
+    for (const entry of listRouteEntries(routes)) {
+      if (!folders.has(entry.folder)) {
+        folders.set(entry.folder, []);
+      }
+      folders.get(entry.folder).push(this.buildItem(entry, config.loginURL));
+    }
+
+    return {
+      info: {
+        name: this.project.name || 'Scanned routes',
+        description: 'Generated by playwright-route-tester. Set authToken to call protected routes as a signed-in user.',
+        schema: COLLECTION_SCHEMA
+      },
+      variable: [
+        { key: 'baseUrl', value: config.baseURL || 'http://localhost:3000' },
+        { key: 'authToken', value: '' }
+      ],
+      item: [...folders].map(([name, item]) => ({ name, item }))
+    };
+  }
+
+  buildItem(entry, loginURL) {
+    const { route } = entry;
+    const routePath = formatPattern(entry.pattern, name => `:${name}`);
+    const body = route.schema?.body;
+
+    return {
+      name: `${entry.method} ${entry.title}`,
+      request: {
+        method: entry.method,
+        header: body ? [{ key: 'Content-Type', value: 'application/json' }] : [],
+        url: {
+          raw: `{{baseUrl}}${routePath}`,
+          host: ['{{baseUrl}}'],
+          path: routePath.split('/').filter(Boolean),
+          ...(entry.params.length > 0 && {
+            variable: entry.params.map(param => ({ key: param.name, value: param.example ?? '' }))
+          })
+        },
+        auth: entry.requiresAuth
+          ? { type: 'bearer', bearer: [{ key: 'token', value: '{{authToken}}', type: 'string' }] }
+          : { type: 'noauth' },
+        ...(body && {
+          body: {
+            mode: 'raw',
+            raw: JSON.stringify(body.example ?? {}, null, 2),
+            options: { raw: { language: 'json' } }
+          }
+        })
+      },
+      // Protected pages are checked on the redirect itself, not the login page it leads to
+      ...(entry.kind === 'protected' && { protocolProfileBehavior: { followRedirects: false } }),
+      event: [
+        {
+          listen: 'test',
+          script: { type: 'text/javascript', exec: this.buildAssertions(entry, loginURL) }
+        }
+      ]
+    };
+  }
+
+  // Mirrors what the generated Playwright tests check when no token is set
+  buildAssertions(entry, loginURL) {
+    const { route } = entry;
+
+    if (entry.kind === 'protected') {
+      const redirect = route.expectedRedirect || loginURL || '/login';
+      return [
+        'if (!pm.collectionVariables.get(\'authToken\')) {',
+        `  pm.test('redirects to ${redirect} when signed out', () => {`,
+        '    pm.expect(pm.response.code).to.be.oneOf([301, 302, 303, 307, 308]);',
+        `    pm.expect(pm.response.headers.get('Location') || '').to.include(${JSON.stringify(redirect)});`,
+        '  });',
+        '}'
+      ];
+    }
+
+    if (entry.requiresAuth) {
+      return [
+        'if (!pm.collectionVariables.get(\'authToken\')) {',
+        '  pm.test(\'rejects unauthenticated requests\', () => {',
+        '    pm.expect(pm.response.code).to.be.oneOf([401, 403]);',
+        '  });',
+        '}'
+      ];
+    }
+
+    const status = route.expectedStatus || 200;
+    return [
+      `pm.test('returns ${status}', () => {`,
+      `  pm.response.to.have.status(${status});`,
+      '});'
+    ];
+  }
+}
+
+export default PostmanExporter;
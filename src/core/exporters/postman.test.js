@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PostmanExporter from './postman.js';
+
+const scanResults = {
+  config: { baseURL: 'http://localhost:4000', loginURL: '/signin' },
+  routes: {
+    public: [
+      { url: '/', title: 'Home Page', expectedStatus: 200 }
+    ],
+    protected: [
+      { url: '/dashboard', title: 'Dashboard Page', requiresAuth: true, expectedRedirect: '/signin?next=/dashboard' }
+    ],
+    api: [
+      { url: '/api/users/42', pattern: '/api/users/:id', title: 'Users Id API (GET) [/api/users/42]', method: 'GET', requiresAuth: true },
+      { url: '/api/users/7', pattern: '/api/users/:id', title: 'Users Id API (GET) [/api/users/7]', method: 'GET', requiresAuth: true },
+      { url: '/api/orders', title: 'Orders API (POST)', method: 'POST', requiresAuth: false, expectedStatus: 201, schema: { body: { type: 'object', example: { sku: 'A1' } } } }
+    ]
+  }
+};
+
+test('groups requests in one folder per route type', () => {
+  const collection = new PostmanExporter(scanResults, { name: 'shop' }).build();
+
+  assert.equal(collection.info.name, 'shop');
+  assert.deepEqual(collection.variable[0], { key: 'baseUrl', value: 'http://localhost:4000' });
+  assert.deepEqual(
+    collection.item.map(folder => [folder.name, folder.item.map(item => item.name)]),
+    [
+      ['Public Pages', ['GET Home Page']],
+      ['Protected Pages', ['GET Dashboard Page']],
+      ['API', ['GET Users Id API (GET)', 'POST Orders API (POST)']]
+    ]
+  );
+});
+
+test('fills path variables, auth and bodies', () => {
+  const [, , api] = new PostmanExporter(scanResults).build().item;
+  const [getUser, createOrder] = api.item.map(item => item.request);
+
+  assert.deepEqual(getUser.url, {
+    raw: '{{baseUrl}}/api/users/:id',
+    host: ['{{baseUrl}}'],
+    path: ['api', 'users', ':id'],
+    variable: [{ key: 'id', value: '42' }]
+  });
+  assert.equal(getUser.auth.type, 'bearer');
+  assert.equal(createOrder.auth.type, 'noauth');
+  assert.equal(createOrder.body.raw, JSON.stringify({ sku: 'A1' }, null, 2));
+});
+
+test('asserts the signed-out behaviour the Playwright tests check', () => {
+  const [home, dashboard, api] = new PostmanExporter(scanResults).build().item;
+  const script = item => item.event[0].script.exec.join('\n');
+
+  assert.match(script(home.item[0]), /pm\.response\.to\.have\.status\(200\)/);
+  assert.deepEqual(dashboard.item[0].protocolProfileBehavior, { followRedirects: false });
+  assert.match(script(dashboard.item[0]), /to\.include\("\/signin\?next=\/dashboard"\)/);
+  assert.match(script(api.item[0]), /oneOf\(\[401, 403\]\)/);
+  assert.match(script(api.item[1]), /have\.status\(201\)/);
+});
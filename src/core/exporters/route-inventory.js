@@ -0,0 +1,74 @@
+import { matchRoutePattern } from '../utils/source-parser.js';
+
+// Flattens scan results into one entry per method and route pattern, the shape both exporters start from
+
+const KINDS = [
+  { key: 'public', folder: 'Public Pages' },
+  { key: 'protected', folder: 'Protected Pages' },
+  { key: 'api', folder: 'API' }
+];
+
+export function listRouteEntries(routes = {}) {
+  const entries = [];
+  const seen = new Map();
+
+  for (const { key, folder } of KINDS) {
+    for (const route of routes[key] || []) {
+      const method = (route.method || 'GET').toUpperCase();
+      // Routes expanded from param samples share their pattern - export it once, with the first sample
+      const pattern = route.pattern || route.url;
+      const id = `${method} ${pattern}`;
+
+      if (seen.has(id)) {
+        continue;
+      }
+
+      const entry = {
+        kind: key,
+        folder,
+        method,
+        pattern,
+        route,
+        title: (route.title || pattern).replace(/ \[[^\]]*\]$/, ''),
+        requiresAuth: key === 'protected' || !!route.requiresAuth,
+        params: readPathParams(pattern, route.pattern ? route.url : null)
+      };
+
+      seen.set(id, entry);
+      entries.push(entry);
+    }
+  }
+
+  return entries;
+}
+
+// :id -> { name: 'id' }, :lang? / :slug* -> optional, * -> { name: 'path' }
+export function readPathParams(pattern, sampleUrl = null) {
+  const params = [...pattern.matchAll(/:(\w+)([*+?]?)|\*/g)].map(match => {
+    const modifier = match[1] ? match[2] : '*';
+    return { name: match[1] || 'path', optional: modifier === '?' || modifier === '*', catchAll: modifier === '*' || modifier === '+', example: null };
+  });
+
+  // The concrete URL a pattern was expanded to gives each param an example value
+  const values = sampleUrl && matchRoutePattern(pattern, sampleUrl);
+  if (values) {
+    params.forEach((param, index) => {
+      param.example = values[index] === null ? null : decodeURIComponent(values[index]);
+    });
+  }
+
+  return params;
+}
+
+// Rewrites a route pattern with another placeholder syntax: /users/:id -> /users/{id}
+export function formatPattern(pattern, placeholder) {
+  return pattern
+    .replace(/:(\w+)[*+?]?|\*/g, (match, name) => placeholder(name || 'path'))
+    .replace(/\/+/g, '/');
+}
+
+export default {
+  listRouteEntries,
+  readPathParams,
+  formatPattern
+};
@@ -0,0 +1,328 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import {
+  findCalls,
+  parseArrayLiteral,
+  parseObjectLiteral,
+  readStringLiteral,
+  resolveIdentifierValue,
+  findImportSource,
+  resolveModulePath,
+  joinRoutePaths
+} from '../utils/source-parser.js';
+
+const GUARD_KEYS = ['canActivate', 'canMatch', 'canLoad'];
+
+export class AngularFramework {
+  constructor(projectPath) {
+    this.projectPath = projectPath;
+    this.devServerPort = 4200;
+    this.loginUrl = '/login';
+    this.visitedFiles = new Set();
+  }
+
+  async detect() {
+    const packageJsonPath = path.join(this.projectPath, 'package.json');
+
+    if (!await fs.pathExists(packageJsonPath)) {
+      return false;
+    }
+
+    const packageJson = await fs.readJson(packageJsonPath);
+    const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+
+    if (!deps['@angular/core']) {
+      return false;
+    }
+
+    await this.readAngularJson();
+
+    return {
+      name: 'angular',
+      version: deps['@angular/core'],
+      routerVersion: deps['@angular/router'] || null,
+      port: this.devServerPort
+    };
+  }
+
+  async readAngularJson() {
+    const angularJsonPath = path.join(this.projectPath, 'angular.json');
+
+    if (!await fs.pathExists(angularJsonPath)) {
+      return;
+    }
+
+    try {
+      const angularJson = await fs.readJson(angularJsonPath);
+      const projects = angularJson.projects || {};
+      const projectName = angularJson.defaultProject || Object.keys(projects)
+        .find(name => projects[name].projectType === 'application') || Object.keys(projects)[0];
+      const project = projects[projectName] || {};
+      const serve = (project.architect || project.targets || {}).serve || {};
+      const port = serve.options?.port;
+
+      if (port) {
+        this.devServerPort = port;
+        console.log(`⚙️ Angular dev server port from angular.json: ${port}`);
+      }
+    } catch (error) {
+      console.warn('Warning: Could not read angular.json:', error.message);
+    }
+  }
+
+  async scanRoutes() {
+    const routes = { public: [], protected: [], api: [] };
+    const srcDir = path.join(this.projectPath, 'src');
+
+    if (!await fs.pathExists(srcDir)) {
+      return routes;
+    }
+
+    const sourceFiles = await glob('**/*.ts', {
+      cwd: srcDir,
+      ignore: ['**/*.spec.ts', '**/*.test.ts', '**/*.d.ts', '**/node_modules/**']
+    });
+
+    const foundRoutes = new Map();
+
+    for (const file of sourceFiles) {
+      const filePath = path.join(srcDir, file);
+
+      try {
+        const content = await fs.readFile(filePath, 'utf8');
+
+        this.detectLoginRedirect(content);
+
+        // Only root router registrations start a walk - child routes are reached through loadChildren
+        const rootCalls = findCalls(content, 'RouterModule\\.forRoot|provideRouter');
+        for (const call of rootCalls) {
+          console.log(`🔍 Angular - Extracting routes from: ${file}`);
+
+          const resolved = await this.resolveRoutesArgument(call.args[0], content, filePath);
+          const flattened = await this.flattenRoutes(resolved.records, '', [], resolved.filePath);
+
+          for (const route of flattened) {
+            if (!foundRoutes.has(route.url)) {
+              console.log(`  ✅ Found route: ${route.url}${route.guards.length ? ` (guards: ${route.guards.join(', ')})` : ''}`);
+              foundRoutes.set(route.url, route);
+            }
+          }
+        }
+      } catch (error) {
+        // Skip files that can't be read
+        continue;
+      }
+    }
+
+    for (const route of foundRoutes.values()) {
+      this.categorizeRoute(route, routes);
+    }
+
+    return routes;
+  }
+
+  // Resolves the routes passed to forRoot/forChild/provideRouter, following imports
+  async resolveRoutesArgument(argument, content, filePath) {
+    const unresolved = { records: [], filePath };
+
+    if (!argument) {
+      return unresolved;
+    }
+
+    if (argument.startsWith('[')) {
+      return { records: parseArrayLiteral(argument), filePath };
+    }
+
+    const name = argument.match(/^[\w$]+/)?.[0];
+    if (!name) {
+      return unresolved;
+    }
+
+    const local = resolveIdentifierValue(content, name);
+    if (local) {
+      return { records: parseArrayLiteral(local), filePath };
+    }
+
+    const modulePath = await resolveModulePath(filePath, findImportSource(content, name));
+    if (!modulePath) {
+      return unresolved;
+    }
+
+    const moduleContent = await fs.readFile(modulePath, 'utf8');
+    const value = resolveIdentifierValue(moduleContent, name) || resolveIdentifierValue(moduleContent, 'default');
+    return { records: parseArrayLiteral(value), filePath: modulePath };
+  }
+
+  async flattenRoutes(records, parentPath, parentGuards, sourceFile) {
+    const routes = [];
+
+    for (const record of records) {
+      const properties = parseObjectLiteral(record);
+      const routePath = readStringLiteral(properties.path);
+
+      // Wildcards and redirects aren't real pages
+      if (routePath === null || routePath === '**' || properties.redirectTo) {
+        continue;
+      }
+
+      const fullPath = joinRoutePaths(parentPath, routePath);
+      const guards = [...parentGuards, ...this.extractGuards(properties, GUARD_KEYS)];
+      const childGuards = [...guards, ...this.extractGuards(properties, ['canActivateChild'])];
+
+      if (properties.component || properties.loadComponent) {
+        routes.push({
+          url: fullPath,
+          title: this.generateRouteTitle(fullPath),
+          file: path.relative(this.projectPath, sourceFile),
+          component: this.extractComponentName(properties),
+          framework: 'angular',
+          type: 'page',
+          guards: [...new Set(guards)]
+        });
+      }
+
+      if (properties.children) {
+        routes.push(...await this.flattenRoutes(parseArrayLiteral(properties.children), fullPath, childGuards, sourceFile));
+      }
+
+      if (properties.loadChildren) {
+        const lazy = await this.resolveLoadChildren(properties.loadChildren, sourceFile);
+        if (lazy) {
+          routes.push(...await this.flattenRoutes(lazy.records, fullPath, childGuards, lazy.filePath));
+        }
+      }
+    }
+
+    return routes;
+  }
+
+  async resolveLoadChildren(loadChildren, fromFile) {
+    // () => import('./admin/admin.routes').then(m => m.ADMIN_ROUTES)
+    // 'app/admin/admin.module#AdminModule' (pre-Ivy string syntax)
+    const importMatch = loadChildren.match(/import\s*\(\s*['"]([^'"]+)['"]\s*\)(?:\s*\.then\s*\(\s*\(?\s*(\w+)\s*\)?\s*=>\s*\2\.(\w+))?/);
+    const legacyMatch = readStringLiteral(loadChildren)?.match(/^([^#]+)#(\w+)$/);
+
+    let specifier = null;
+    let exportName = 'default';
+
+    if (importMatch) {
+      specifier = importMatch[1];
+      exportName = importMatch[3] || 'default';
+    } else if (legacyMatch) {
+      specifier = legacyMatch[1].startsWith('.') ? legacyMatch[1] : './' + path.relative(path.dirname(fromFile), path.join(this.projectPath, 'src', legacyMatch[1]));
+      exportName = legacyMatch[2];
+    } else {
+      return null;
+    }
+
+    const modulePath = await resolveModulePath(fromFile, specifier, ['.ts', '.js']);
+    if (!modulePath || this.visitedFiles.has(`${modulePath}#${exportName}`)) {
+      return null;
+    }
+    this.visitedFiles.add(`${modulePath}#${exportName}`);
+
+    const content = await fs.readFile(modulePath, 'utf8');
+
+    // Standalone routes array export
+    const routesValue = resolveIdentifierValue(content, exportName);
+    if (routesValue && routesValue.startsWith('[')) {
+      return { records: parseArrayLiteral(routesValue), filePath: modulePath };
+    }
+
+    // NgModule with RouterModule.forChild(routes)
+    const [forChild] = findCalls(content, 'RouterModule\\.forChild|provideRoutes');
+    if (forChild) {
+      return this.resolveRoutesArgument(forChild.args[0], content, modulePath);
+    }
+
+    // Routing module imported by the feature module (AdminRoutingModule)
+    const routingImport = content.match(/import\s*\{[^}]*\b(\w+RoutingModule)\b[^}]*\}\s*from\s*['"]([^'"]+)['"]/);
+    if (routingImport) {
+      return this.resolveLoadChildren(`import('${routingImport[2]}').then(m => m.${routingImport[1]})`, modulePath);
+    }
+
+    return null;
+  }
+
+  extractGuards(properties, keys) {
+    const guards = [];
+
+    for (const key of keys) {
+      for (const guard of parseArrayLiteral(properties[key])) {
+        // authGuard / AuthGuard / () => inject(AuthService).isLoggedIn()
+        const name = guard.match(/^[\w$]+$/)?.[0] || guard.match(/inject\s*\(\s*(\w+)/)?.[1] || 'inline guard';
+        guards.push(name);
+      }
+    }
+
+    return guards;
+  }
+
+  extractComponentName(properties) {
+    if (properties.component) {
+      return properties.component.match(/^[\w$]+/)?.[0] || null;
+    }
+
+    // loadComponent: () => import('./home.component').then(m => m.HomeComponent)
+    const lazyMatch = properties.loadComponent.match(/=>\s*\w+\.(\w+)/) ||
+      properties.loadComponent.match(/import\s*\(\s*['"][^'"]*\/([^/'"]+)['"]/);
+    return lazyMatch ? lazyMatch[1] : null;
+  }
+
+  detectLoginRedirect(content) {
+    // router.createUrlTree(['/login']) / router.navigate(['/login']) / router.parseUrl('/login')
+    const redirectMatch = content.match(/(?:createUrlTree|navigate|parseUrl|navigateByUrl)\s*\(\s*\[?\s*['"`](\/?[\w-]*(?:login|signin|sign-in|auth)[\w/-]*)['"`]/i);
+    if (redirectMatch) {
+      this.loginUrl = redirectMatch[1].startsWith('/') ? redirectMatch[1] : '/' + redirectMatch[1];
+    }
+  }
+
+  categorizeRoute(route, routes) {
+    const isProtected = route.guards.length > 0;
+
+    if (isProtected && route.url !== this.loginUrl) {
+      routes.protected.push({
+        ...route,
+        requiresAuth: true,
+        expectedRedirect: this.loginUrl
+      });
+    } else {
+      routes.public.push({
+        ...route,
+        expectedStatus: 200
+      });
+    }
+  }
+
+  generateRouteTitle(url) {
+    if (url === '/') return 'Home Page';
+
+    return url
+      .split('/')
+      .filter(Boolean)
+      .map(segment => {
+        // Handle dynamic segments
+        if (segment.startsWith(':')) {
+          return segment.substring(1).charAt(0).toUpperCase() + segment.substring(2);
+        }
+        return segment.charAt(0).toUpperCase() + segment.slice(1);
+      })
+      .join(' ') + ' Page';
+  }
+
+  generateJenkinsConfig() {
+    return {
+      buildCommand: 'npm run build',
+      testCommand: 'npm run test:routes',
+      devCommand: 'npm start',
+      port: this.devServerPort,
+      environment: {
+        NODE_ENV: 'test',
+        CI: 'true'
+      }
+    };
+  }
+}
+
+export default AngularFramework;
@@ -0,0 +1,299 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import {
+  findCalls,
+  findExportedNames,
+  parseObjectLiteral,
+  readStringLiteral,
+  resolveIdentifierValue,
+  extractBalanced
+} from '../utils/source-parser.js';
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+// Astro 1.x/2.x endpoint exports
+const LEGACY_METHODS = { get: 'GET', post: 'POST', put: 'PUT', patch: 'PATCH', del: 'DELETE', all: 'GET' };
+
+export class AstroFramework {
+  constructor(projectPath) {
+    this.projectPath = projectPath;
+    this.pagesDir = path.join(projectPath, 'src', 'pages');
+    this.config = { output: 'static', base: '', port: null };
+    this.devServerPort = 4321;
+  }
+
+  async detect() {
+    const packageJsonPath = path.join(this.projectPath, 'package.json');
+
+    if (!await fs.pathExists(packageJsonPath)) {
+      return false;
+    }
+
+    const packageJson = await fs.readJson(packageJsonPath);
+    const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+
+    if (!deps.astro) {
+      return false;
+    }
+
+    this.config = await this.getAstroConfig();
+    if (this.config.port) {
+      this.devServerPort = this.config.port;
+    }
+
+    return {
+      name: 'astro',
+      version: deps.astro,
+      output: this.config.output,
+      base: this.config.base || '/'
+    };
+  }
+
+  async getAstroConfig() {
+    const config = { output: 'static', base: '', port: null };
+    const configFiles = ['astro.config.mjs', 'astro.config.js', 'astro.config.ts', 'astro.config.mts', 'astro.config.cjs'];
+
+    for (const configFile of configFiles) {
+      const configPath = path.join(this.projectPath, configFile);
+      if (!await fs.pathExists(configPath)) {
+        continue;
+      }
+
+      try {
+        const content = await fs.readFile(configPath, 'utf8');
+        const [defineConfigCall] = findCalls(content, 'defineConfig');
+        const options = parseObjectLiteral(defineConfigCall ? defineConfigCall.args[0] : resolveIdentifierValue(content, 'default'));
+
+        config.file = configFile;
+        config.output = readStringLiteral(options.output) || 'static';
+
+        const base = readStringLiteral(options.base);
+        if (base && base !== '/') {
+          config.base = '/' + base.replace(/^\/+|\/+$/g, '');
+        }
+
+        const portMatch = (options.server || '').match(/port\s*:\s*(\d+)/);
+        if (portMatch) {
+          config.port = parseInt(portMatch[1], 10);
+        }
+
+        console.log(`⚙️ Astro config: output=${config.output}, base=${config.base || '/'}`);
+      } catch (error) {
+        console.warn(`Warning: Could not read ${configFile}:`, error.message);
+      }
+
+      break;
+    }
+
+    return config;
+  }
+
+  async scanRoutes() {
+    const routes = { public: [], protected: [], api: [] };
+
+    if (!await fs.pathExists(this.pagesDir)) {
+      return routes;
+    }
+
+    const files = await glob('**/*.{astro,md,mdx,html,js,ts}', {
+      cwd: this.pagesDir,
+      // Files and directories starting with _ are not routed
+      ignore: ['**/_*', '**/_*/**', '**/*.test.*', '**/*.spec.*', '**/*.d.ts']
+    });
+
+    console.log('📁 Astro - Found page files:', files);
+
+    for (const file of files) {
+      const filePath = path.join(this.pagesDir, file);
+      const isEndpoint = /\.(js|ts)$/.test(file);
+      const url = this.convertPagePathToUrl(file);
+
+      let content = '';
+      try {
+        content = await fs.readFile(filePath, 'utf8');
+      } catch (error) {
+        // Route still exists even if the file can't be read
+      }
+
+      const staticParams = this.extractStaticParams(content);
+      const prerender = this.isPrerendered(content);
+
+      if (isEndpoint) {
+        this.addEndpointRoutes(routes, { url, filePath, content, prerender, staticParams });
+        continue;
+      }
+
+      const route = {
+        url,
+        title: this.generateRouteTitle(url),
+        file: filePath,
+        type: 'page',
+        framework: 'astro',
+        ...(staticParams && { staticParams }),
+        ...(!prerender && { ssr: true })
+      };
+
+      if (this.isProtectedRoute(url)) {
+        routes.protected.push({
+          ...route,
+          requiresAuth: true,
+          expectedRedirect: this.config.base + '/login'
+        });
+      } else {
+        routes.public.push({
+          ...route,
+          expectedStatus: 200
+        });
+      }
+    }
+
+    return routes;
+  }
+
+  addEndpointRoutes(routes, { url, filePath, content, prerender, staticParams }) {
+    const exported = findExportedNames(content);
+    const methods = new Set(HTTP_METHODS.filter(method => exported.has(method)));
+
+    for (const [legacyName, method] of Object.entries(LEGACY_METHODS)) {
+      if (exported.has(legacyName) || exported.has(legacyName.toUpperCase())) {
+        methods.add(method);
+      }
+    }
+
+    if (methods.size === 0) {
+      methods.add('GET');
+    }
+
+    for (const method of methods) {
+      // Prerendered endpoints are written to disk at build time and only answer GET
+      if (prerender && method !== 'GET') {
+        console.log(`  ⚠️ Skipping ${method} ${url} - endpoint is prerendered (set output: 'server' or prerender = false)`);
+        continue;
+      }
+
+      const requiresAuth = this.isProtectedRoute(url);
+
+      routes.api.push({
+        url,
+        title: `${this.generateRouteTitle(url).replace(/ Page$/, ' API')} (${method})`,
+        method,
+        file: filePath,
+        type: 'api',
+        framework: 'astro',
+        requiresAuth,
+        expectedStatus: requiresAuth ? 401 : 200,
+        ...(staticParams && { staticParams }),
+        ...(!prerender && { ssr: true })
+      });
+    }
+  }
+
+  isPrerendered(content) {
+    const prerenderMatch = content.match(/export\s+const\s+prerender\s*=\s*(true|false)/);
+
+    if (prerenderMatch) {
+      return prerenderMatch[1] === 'true';
+    }
+
+    // 'server' renders on demand by default, 'static'/'hybrid' prerender by default
+    return this.config.output !== 'server';
+  }
+
+  extractStaticParams(content) {
+    const functionIndex = content.search(/getStaticPaths\s*(?:=|\()/);
+    if (functionIndex === -1) {
+      return null;
+    }
+
+    const bodyStart = content.indexOf('{', functionIndex);
+    const body = bodyStart === -1 ? '' : extractBalanced(content, bodyStart) || '';
+    const params = [];
+
+    // return [{ params: { slug: 'hello' } }, ...]
+    const paramsRegex = /params\s*:\s*(?=\{)/g;
+    let match;
+    while ((match = paramsRegex.exec(body)) !== null) {
+      const properties = parseObjectLiteral(extractBalanced(body, match.index + match[0].length));
+      const values = {};
+      let isStatic = true;
+
+      for (const [key, raw] of Object.entries(properties)) {
+        const value = readStringLiteral(raw) ?? (/^-?\d+$/.test(raw) ? raw : null);
+        if (value === null) {
+          isStatic = false;
+          break;
+        }
+        values[key] = value;
+      }
+
+      if (isStatic && Object.keys(values).length > 0) {
+        params.push(values);
+      }
+    }
+
+    // An empty list means the paths are computed (e.g. from a content collection)
+    return params;
+  }
+
+  convertPagePathToUrl(filePath) {
+    const normalizedPath = filePath.replace(/\\/g, '/');
+
+    const segments = normalizedPath
+      .replace(/\.(astro|md|mdx|html)$/, '')
+      .replace(/\.(js|ts)$/, '') // Endpoints keep their output extension: rss.xml.js -> rss.xml
+      .split('/')
+      .map(segment => segment
+        .replace(/^\[\.\.\.(\w+)\]$/, '*') // [...path] -> *
+        .replace(/\[(\w+)\]/g, ':$1') // [slug] -> :slug, [lang]-[slug] -> :lang-:slug
+      );
+
+    if (segments[segments.length - 1] === 'index') {
+      segments.pop();
+    }
+
+    const url = this.config.base + '/' + segments.join('/');
+    return url.length > 1 && url.endsWith('/') ? url.slice(0, -1) : url;
+  }
+
+  isProtectedRoute(url) {
+    const protectedPatterns = [
+      '/dashboard', '/admin', '/profile', '/settings', '/account',
+      '/user', '/management', '/private', '/secure', '/protected'
+    ];
+
+    return protectedPatterns.some(pattern =>
+      url.toLowerCase().includes(pattern.toLowerCase())
+    );
+  }
+
+  generateRouteTitle(url) {
+    if (url === '/' || url === this.config.base) return 'Home Page';
+
+    return url
+      .split('/')
+      .filter(Boolean)
+      .map(segment => {
+        // Handle dynamic segments
+        if (segment.startsWith(':')) {
+          return segment.substring(1).charAt(0).toUpperCase() + segment.substring(2);
+        }
+        return segment.charAt(0).toUpperCase() + segment.slice(1);
+      })
+      .join(' ') + ' Page';
+  }
+
+  generateJenkinsConfig() {
+    return {
+      buildCommand: 'npm run build',
+      testCommand: 'npm run test:routes',
+      devCommand: 'npm run dev',
+      port: this.devServerPort,
+      environment: {
+        NODE_ENV: 'test'
+      }
+    };
+  }
+}
+
+export default AstroFramework;
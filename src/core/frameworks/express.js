@@ -1,10 +1,27 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { glob } from 'glob';
+import {
+  findCalls,
+  findClosingBracket,
+  splitTopLevel,
+  readStringLiteral,
+  readStringList,
+  findImportSource,
+  resolveModulePath,
+  isPathWithin
+} from '../utils/source-parser.js';
+
+const ROUTE_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head', 'all'];
+const AUTH_MIDDLEWARE = /auth|jwt|passport|protect|guard|bearer|api_?key|verify(?:Token|User|Session)|ensureLoggedIn|isLoggedIn|requireLogin|require(?:User|Admin|Role)|isAdmin|checkRole/i;
+// Middleware that mentions auth/sessions without rejecting anonymous requests
+const NOT_AUTH_MIDDLEWARE = /^(?:passport\.(?:initialize|session)|session|cookieSession|cookieParser|[\w$.]*(?:Router|Routes|Controller|Limiter|RateLimit))$/i;
 
 export class ExpressFramework {
   constructor(projectPath) {
     this.projectPath = projectPath;
+    this.modules = new Map();
+    this.hasAuthMiddleware = false;
   }
 
   async detect() {
@@ -36,14 +53,15 @@ export class ExpressFramework {
     const routes = { public: [], protected: [], api: [] };
     
     // Find all JavaScript/TypeScript files that might contain routes
-    const routeFiles = await glob('**/*.{js,ts}', {
+    const routeFiles = await glob('**/*.{js,ts,mjs,cjs}', {
       cwd: this.projectPath,
       ignore: [
         'node_modules/**',
         'dist/**',
         'build/**',
         '**/*.test.*',
-        '**/*.spec.*'
+        '**/*.spec.*',
+        '**/*.d.ts'
       ]
     });
     
@@ -52,18 +70,64 @@ export class ExpressFramework {
         const filePath = path.join(this.projectPath, file);
         const content = await fs.readFile(filePath, 'utf8');
         
-        const extractedRoutes = this.extractExpressRoutes(content, file);
-        
-        for (const route of extractedRoutes) {
-          this.categorizeExpressRoute(route, routes);
-        }
-        
+        this.modules.set(filePath, this.extractExpressRoutes(content, file, filePath));
       } catch (error) {
         // Skip files that can't be read
         continue;
       }
     }
     
+    // Follow app.use('/prefix', router) across the import/require graph
+    const mounted = new Set();
+    for (const module of this.modules.values()) {
+      for (const instance of Object.values(module.instances)) {
+        for (const event of instance.events.filter(event => event.type === 'use')) {
+          event.targets = [];
+          event.middleware = [];
+          for (const arg of event.handlers) {
+            const target = await this.resolveMountedRouter(arg, module);
+            if (target) {
+              event.targets.push(target);
+              mounted.add(`${target.filePath}#${target.name}`);
+            } else {
+              event.middleware.push(arg);
+            }
+          }
+        }
+      }
+    }
+    
+    const foundRoutes = new Set();
+    const collected = [];
+    for (const module of this.modules.values()) {
+      for (const name of Object.keys(module.instances)) {
+        if (mounted.has(`${module.filePath}#${name}`)) {
+          continue;
+        }
+        
+        for (const route of this.collectMountedRoutes({ filePath: module.filePath, name }, '', [], new Set())) {
+          const routeKey = `${route.method}:${route.url}`;
+          if (foundRoutes.has(routeKey)) {
+            continue;
+          }
+          foundRoutes.add(routeKey);
+          
+          console.log(`  ✅ Found route: ${route.method} ${route.url}${route.authMiddleware.length ? ` (middleware: ${route.authMiddleware.join(', ')})` : ''}`);
+          collected.push(route);
+        }
+      }
+    }
+    
+    // Without any recognisable auth middleware, fall back to guessing from the URL
+    this.hasAuthMiddleware = collected.some(route => route.authMiddleware.length > 0);
+    if (!this.hasAuthMiddleware) {
+      console.log('  ⚠️ No auth middleware found - inferring protected routes from URL patterns');
+    }
+    
+    for (const route of collected) {
+      this.categorizeExpressRoute(route, routes);
+    }
+    
     // If no routes found, add common defaults
     if (this.getTotalRoutes(routes) === 0) {
       this.addDefaultExpressRoutes(routes);
@@ -72,78 +136,231 @@ export class ExpressFramework {
     return routes;
   }
 
-  extractExpressRoutes(content, filename) {
-    const routes = [];
+  extractExpressRoutes(content, filename, filePath) {
+    const module = { filePath, content, instances: {}, exported: null };
+    
+    // const app = express() / const router = express.Router() / const router = Router({ mergeParams: true })
+    const declarationRegex = /(?:const|let|var)\s+([\w$]+)\s*=\s*(?:express\s*\(\s*\)|(?:new\s+)?(?:express\s*\.\s*|require\s*\(\s*['"]express['"]\s*\)\s*\.\s*)?Router\s*\()/g;
+    let match;
+    while ((match = declarationRegex.exec(content)) !== null) {
+      module.instances[match[1]] = { events: [] };
+    }
+    
+    // Route modules that receive the app or router as a parameter: module.exports = (app) => { app.get(...) }
+    const implicitCalls = findCalls(content, `(?:app|router|server|api|routes)\\.(?:${ROUTE_METHODS.join('|')})`);
+    for (const call of implicitCalls) {
+      const receiver = call.callee.split('.')[0];
+      if (!module.instances[receiver] && this.readRoutePaths(call.args).length > 0) {
+        module.instances[receiver] = { events: [] };
+      }
+    }
+    
+    const names = Object.keys(module.instances);
+    if (names.length === 0) {
+      return module;
+    }
     
     console.log(`🔍 Express - Extracting routes from: ${filename}`);
     
-    // Enhanced Express route patterns with better matching
-    const routePatterns = [
-      // app.method('/path', ...) - handles app, server, router variables
-      /(?:app|server|router|express)\s*\.\s*(get|post|put|patch|delete|use|all)\s*\(\s*['"`]([^'"`]+)['"`]/gi,
-      // router.method('/path', ...)
-      /(\w+)\s*\.\s*(get|post|put|patch|delete|use|all)\s*\(\s*['"`]([^'"`]+)['"`]/gi,
-      // .route('/path').method(...)
-      /\.route\s*\(\s*['"`]([^'"`]+)['"`]\s*\)\s*\.\s*(get|post|put|patch|delete|all)/gi,
-      // Express router with chaining: router.route('/path').get().post()
-      /route\s*\(\s*['"`]([^'"`]+)['"`]\s*\)/gi,
-      // app.use('/path', router) - mount points
-      /(?:app|server)\s*\.\s*use\s*\(\s*['"`]([^'"`]+)['"`]\s*,/gi
-    ];
+    const receiver = names.map(name => name.replace(/\$/g, '\\$')).join('|');
     
-    const foundRoutes = new Set();
+    for (const call of findCalls(content, `(?:${receiver})\\.(?:${ROUTE_METHODS.join('|')}|use|route)`)) {
+      const [name, method] = call.callee.split('.');
+      const instance = module.instances[name];
+      
+      if (method === 'use') {
+        // app.use('/api', apiRouter) / app.use(router) / app.use('/users', require('./routes/users'))
+        const mountPaths = readStringList(call.args[0]);
+        instance.events.push({
+          type: 'use',
+          index: call.index,
+          paths: mountPaths.length ? mountPaths : [''],
+          handlers: mountPaths.length ? call.args.slice(1) : call.args
+        });
+        continue;
+      }
+      
+      if (method === 'route') {
+        // router.route('/users/:id').get(handler).put(handler)
+        const routePaths = readStringList(call.args[0]);
+        for (const chained of this.readChainedCalls(content, call.end)) {
+          for (const routePath of routePaths) {
+            instance.events.push({ type: 'route', index: call.index, method: chained.method, path: routePath, handlers: chained.args });
+          }
+        }
+        continue;
+      }
+      
+      // Only calls with a path and at least one handler are routes - app.get('env') reads a setting
+      for (const routePath of this.readRoutePaths(call.args)) {
+        instance.events.push({
+          type: 'route',
+          index: call.index,
+          method: method.toUpperCase(),
+          path: routePath,
+          handlers: call.args.slice(1)
+        });
+      }
+    }
     
-    for (const pattern of routePatterns) {
-      let match;
-      pattern.lastIndex = 0; // Reset regex state
-      while ((match = pattern.exec(content)) !== null) {
-        let method, routePath;
+    for (const instance of Object.values(module.instances)) {
+      instance.events.sort((a, b) => a.index - b.index);
+    }
+    
+    // module.exports = router / export default router
+    const exportMatch = content.match(new RegExp(`(?:export\\s+default|module\\.exports\\s*=)\\s*(${receiver})\\b`));
+    module.exported = exportMatch ? exportMatch[1] : names[names.length - 1];
+    
+    const routeCount = Object.values(module.instances)
+      .reduce((count, instance) => count + instance.events.filter(event => event.type === 'route').length, 0);
+    console.log(`  → Total routes found: ${routeCount}`);
+    
+    return module;
+  }
+
+  readRoutePaths(args) {
+    if (args.length < 2) {
+      return [];
+    }
+    
+    return readStringList(args[0]).filter(routePath => routePath.startsWith('/') || routePath === '*');
+  }
+
+  readChainedCalls(content, index) {
+    const calls = [];
+    let position = index;
+    
+    for (;;) {
+      const chainMatch = content.slice(position).match(new RegExp(`^\\s*\\.\\s*(${ROUTE_METHODS.join('|')})\\s*\\(`));
+      if (!chainMatch) {
+        return calls;
+      }
+      
+      const openIndex = position + chainMatch[0].length - 1;
+      const close = findClosingBracket(content, openIndex);
+      if (close === -1) {
+        return calls;
+      }
+      
+      calls.push({ method: chainMatch[1].toUpperCase(), args: splitTopLevel(content.slice(openIndex + 1, close)) });
+      position = close + 1;
+    }
+  }
+
+  async resolveMountedRouter(arg, module) {
+    // require('./routes/users') / require('./routes/users').default
+    const requireMatch = arg.match(/^require\s*\(\s*['"]([^'"]+)['"]\s*\)/);
+    // usersRouter / createUsersRouter() / routes.users
+    const name = arg.match(/^([\w$]+)\s*(?:\(|$)/)?.[1];
+    
+    if (!requireMatch && !name) {
+      return null;
+    }
+    
+    if (name && module.instances[name]) {
+      return { filePath: module.filePath, name };
+    }
+    
+    const specifier = requireMatch ? requireMatch[1] : findImportSource(module.content, name);
+    const modulePath = await resolveModulePath(module.filePath, specifier);
+    const target = modulePath && this.modules.get(modulePath);
+    
+    return target?.exported ? { filePath: modulePath, name: target.exported } : null;
+  }
+
+  collectMountedRoutes(instanceRef, prefix, inheritedAuth, visiting) {
+    const key = `${instanceRef.filePath}#${instanceRef.name}`;
+    const instance = this.modules.get(instanceRef.filePath)?.instances[instanceRef.name];
+    
+    if (!instance || visiting.has(key)) {
+      return [];
+    }
+    visiting.add(key);
+    
+    const collected = [];
+    const guards = [];
+    
+    // app.use(ensureLoggedIn) only guards the routes and routers registered after it
+    const guardsFor = url => guards
+      .filter(guard => guard.paths.some(guardPath => isPathWithin(guardPath, url)))
+      .flatMap(guard => guard.middleware);
+    
+    for (const event of instance.events) {
+      if (event.type === 'use') {
+        const middleware = this.readAuthMiddleware(event.middleware || []);
         
-        // Handle different capture group patterns
-        if (match.length === 4) {
-          // Pattern: variable.method('/path')
-          method = match[2];
-          routePath = match[3];
-        } else if (match.length === 3) {
-          // Pattern: app.method('/path') or route('/path').method
-          if (match[2]) {
-            method = match[2];
-            routePath = match[1];
-          } else {
-            method = match[1];
-            routePath = match[2];
+        for (const mountPath of event.paths) {
+          const mountUrl = this.joinMountPath(prefix, mountPath);
+          for (const target of event.targets || []) {
+            // app.use('/api', requireAuth, apiRouter) guards everything the router serves
+            collected.push(...this.collectMountedRoutes(target, mountUrl, [...inheritedAuth, ...guardsFor(mountUrl), ...middleware], visiting));
           }
         }
         
-        if (!routePath || !method) continue;
-        
-        method = method.toUpperCase();
-        const normalizedPath = this.normalizeExpressRoutePath(routePath);
+        if (middleware.length > 0) {
+          guards.push({ paths: event.paths.map(mountPath => this.joinMountPath(prefix, mountPath)), middleware });
+        }
+        continue;
+      }
+      
+      const normalizedPath = this.normalizeExpressRoutePath(this.joinMountPath(prefix, event.path));
+      if (!normalizedPath) {
+        continue;
+      }
+      
+      // The last argument is the handler, everything before it is route middleware
+      const authMiddleware = [...inheritedAuth, ...guardsFor(normalizedPath), ...this.readAuthMiddleware(event.handlers.slice(0, -1))];
+      const loginRedirect = authMiddleware.find(entry => entry.redirect)?.redirect;
+      
+      collected.push({
+        url: normalizedPath,
+        method: event.method === 'ALL' ? 'GET' : event.method,
+        title: this.generateRouteTitle(normalizedPath),
+        file: path.relative(this.projectPath, instanceRef.filePath),
+        framework: 'express',
+        authMiddleware: [...new Set(authMiddleware.map(entry => entry.name))],
+        ...(loginRedirect && { loginRedirect })
+      });
+    }
+    
+    visiting.delete(key);
+    return collected;
+  }
+
+  readAuthMiddleware(args) {
+    const middleware = [];
+    
+    for (const arg of args) {
+      // requireAuth / passport.authenticate('jwt', { session: false }) / ensureLoggedIn('/signin') / [auth, isAdmin]
+      const items = arg.trim().startsWith('[') ? splitTopLevel(arg.trim().slice(1, -1)) : [arg];
+      
+      for (const item of items) {
+        const name = item.match(/^(?:await\s+)?([\w$.]+)/)?.[1];
+        const isInline = /^(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[\w$]+\s*=>)/.test(item);
         
-        // Skip invalid paths and middleware that doesn't define routes
-        if (!normalizedPath || 
-            (method === 'USE' && !routePath.startsWith('/api') && !routePath.includes('/'))) {
+        if (isInline ? !/isAuthenticated|req\.user\b|status\(\s*401\s*\)|jwt|token/i.test(item) : (!name || !AUTH_MIDDLEWARE.test(name) || NOT_AUTH_MIDDLEWARE.test(name))) {
           continue;
         }
         
-        const routeKey = `${method}:${normalizedPath}`;
-        if (!foundRoutes.has(routeKey)) {
-          foundRoutes.add(routeKey);
-          console.log(`  ✅ Found route: ${method} ${normalizedPath}`);
-          
-          routes.push({
-            url: normalizedPath,
-            method: method === 'USE' ? 'GET' : method,
-            title: this.generateRouteTitle(normalizedPath),
-            file: filename,
-            framework: 'express'
-          });
-        }
+        // ensureLoggedIn('/signin') / res.redirect('/login') inside an inline check
+        const redirectPattern = isInline ? /redirect\s*\(\s*(['"`][^'"`]*['"`])/ : /\(\s*(['"`][^'"`]*['"`])/;
+        const redirect = readStringLiteral(item.match(redirectPattern)?.[1]) ||
+          readStringLiteral(item.match(/(?:failureRedirect|redirectTo)\s*:\s*(['"`][^'"`]*['"`])/)?.[1]);
+        
+        middleware.push({
+          name: isInline ? 'inline middleware' : name,
+          ...(redirect?.startsWith('/') && { redirect })
+        });
       }
     }
     
-    console.log(`  → Total routes found: ${routes.length}`);
-    return routes;
+    return middleware;
+  }
+
+  // Express concatenates mount paths: app.use('/api', router) + router.get('/users') -> /api/users
+  joinMountPath(prefix, routePath) {
+    const url = `${prefix}/${routePath}`.replace(/\/+/g, '/');
+    return url !== '/' && url.endsWith('/') ? url.slice(0, -1) : url;
   }
 
   normalizeExpressRoutePath(routePath) {
@@ -191,25 +408,32 @@ export class ExpressFramework {
     const isApiRoute = route.url.startsWith('/api') || 
                       route.method !== 'GET' ||
                       this.isApiEndpoint(route.url);
+    const { loginRedirect, ...routeData } = route;
     
     if (isApiRoute) {
+      const requiresAuth = this.hasAuthMiddleware
+        ? route.authMiddleware.length > 0
+        : this.requiresAuthentication(route.url);
+      
       routes.api.push({
-        ...route,
-        requiresAuth: this.requiresAuthentication(route.url),
-        expectedStatus: this.requiresAuthentication(route.url) ? 401 : 200
+        ...routeData,
+        requiresAuth,
+        expectedStatus: requiresAuth ? 401 : 200
       });
     } else {
-      const isProtected = this.isProtectedRoute(route.url);
+      const isProtected = this.hasAuthMiddleware
+        ? route.authMiddleware.length > 0
+        : this.isProtectedRoute(route.url);
       
       if (isProtected) {
         routes.protected.push({
-          ...route,
+          ...routeData,
           requiresAuth: true,
-          expectedRedirect: '/login'
+          expectedRedirect: loginRedirect || '/login'
         });
       } else {
         routes.public.push({
-          ...route,
+          ...routeData,
           expectedStatus: 200
         });
       }
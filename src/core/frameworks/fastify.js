@@ -0,0 +1,403 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import {
+  findCalls,
+  parseObjectLiteral,
+  readStringLiteral,
+  readStringList,
+  evaluateLiteral,
+  resolveIdentifierValue,
+  findImportSource,
+  resolveModulePath
+} from '../utils/source-parser.js';
+
+const SHORTHAND_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'all'];
+const AUTH_HOOKS = ['onRequest', 'preParsing', 'preValidation', 'preHandler'];
+const AUTH_PATTERN = /auth|jwt|verify|session|login|guard|protect|bearer|apikey|api_key/i;
+
+export class FastifyFramework {
+  constructor(projectPath) {
+    this.projectPath = projectPath;
+    this.devServerPort = 3000;
+    this.modules = new Map();
+  }
+
+  async detect() {
+    const packageJsonPath = path.join(this.projectPath, 'package.json');
+
+    if (!await fs.pathExists(packageJsonPath)) {
+      return false;
+    }
+
+    const packageJson = await fs.readJson(packageJsonPath);
+    const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+
+    if (!deps.fastify) {
+      return false;
+    }
+
+    return {
+      name: 'fastify',
+      version: deps.fastify,
+      autoload: !!(deps['@fastify/autoload'] || deps['fastify-autoload'])
+    };
+  }
+
+  async scanRoutes() {
+    const routes = { public: [], protected: [], api: [] };
+
+    const sourceFiles = await glob('**/*.{js,ts,mjs,cjs}', {
+      cwd: this.projectPath,
+      ignore: ['node_modules/**', 'dist/**', 'build/**', 'coverage/**', '**/*.test.*', '**/*.spec.*', '**/*.d.ts', 'test/**', 'tests/**']
+    });
+
+    for (const file of sourceFiles) {
+      const filePath = path.join(this.projectPath, file);
+
+      try {
+        const content = await fs.readFile(filePath, 'utf8');
+        this.modules.set(filePath, await this.parseModule(filePath, content));
+      } catch (error) {
+        // Skip files that can't be read
+        continue;
+      }
+    }
+
+    // Plugins registered by another file inherit its prefix and hooks - everything else is a root
+    const registered = new Set();
+    for (const module of this.modules.values()) {
+      for (const edge of module.registrations) {
+        for (const target of edge.targets) {
+          registered.add(target.filePath);
+        }
+      }
+    }
+
+    const seen = new Set();
+    for (const filePath of this.modules.keys()) {
+      if (registered.has(filePath)) {
+        continue;
+      }
+
+      for (const route of this.collectRoutes(filePath, '', [], new Set())) {
+        const key = `${route.method}:${route.url}`;
+        if (seen.has(key)) {
+          continue;
+        }
+        seen.add(key);
+
+        console.log(`  ✅ Found route: ${route.method} ${route.url}${route.requiresAuth ? ` (hooks: ${route.authHooks.join(', ')})` : ''}${route.schema ? ' [schema]' : ''}`);
+        routes.api.push({
+          ...route,
+          expectedStatus: route.requiresAuth ? 401 : 200
+        });
+      }
+    }
+
+    return routes;
+  }
+
+  async parseModule(filePath, content) {
+    const module = {
+      filePath,
+      scopes: [{ start: 0, end: content.length, prefix: '', hooks: [] }],
+      registrations: [],
+      routes: []
+    };
+
+    if (!/\.(register|route|get|post|put|patch|delete|addHook)\s*\(/.test(content)) {
+      return module;
+    }
+
+    this.readListenPort(content);
+
+    for (const call of findCalls(content, '[\\w$]+\\.register')) {
+      const options = parseObjectLiteral(call.args[1]);
+      const prefix = readStringLiteral(options.prefix) || '';
+      const plugin = call.args[0] || '';
+
+      // fastify.register(async (api) => { api.get(...) }, { prefix: '/v1' })
+      if (/^(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[\w$]+\s*=>)/.test(plugin)) {
+        module.scopes.push({ start: call.index, end: call.end, prefix, hooks: [] });
+        continue;
+      }
+
+      const targets = await this.resolvePlugin(plugin, options, content, filePath);
+      if (targets.length > 0) {
+        module.registrations.push({ index: call.index, prefix, targets });
+      }
+    }
+
+    // fastify.addHook('onRequest', fastify.authenticate)
+    for (const call of findCalls(content, '[\\w$]+\\.addHook')) {
+      const hookName = readStringLiteral(call.args[0]);
+      if (AUTH_HOOKS.includes(hookName) && AUTH_PATTERN.test(call.args.slice(1).join(','))) {
+        this.innermostScope(module.scopes, call.index).hooks.push(this.describeHook(call.args[1], hookName));
+      }
+    }
+
+    console.log(`🔍 Fastify - Extracting routes from: ${path.relative(this.projectPath, filePath)}`);
+
+    // fastify.get('/users/:id', { schema, onRequest }, handler)
+    for (const call of findCalls(content, `[\\w$]+\\.(?:${SHORTHAND_METHODS.join('|')})`)) {
+      const url = readStringLiteral(call.args[0]);
+      if (url === null || (url && !url.startsWith('/'))) {
+        continue;
+      }
+
+      const method = call.callee.split('.').pop().toUpperCase();
+      const options = call.args.length > 2 ? parseObjectLiteral(call.args[1]) : {};
+      module.routes.push(await this.buildRoute(url, method === 'ALL' ? 'GET' : method, options, call.index, content, filePath));
+    }
+
+    // fastify.route({ method: ['GET', 'HEAD'], url: '/users', schema, preHandler, handler })
+    for (const call of findCalls(content, '[\\w$]+\\.route')) {
+      const options = parseObjectLiteral(call.args[0]);
+      const url = readStringLiteral(options.url || options.path);
+      if (url === null) {
+        continue;
+      }
+
+      for (const method of readStringList(options.method)) {
+        module.routes.push(await this.buildRoute(url, method.toUpperCase(), options, call.index, content, filePath));
+      }
+    }
+
+    return module;
+  }
+
+  async buildRoute(url, method, options, index, content, filePath) {
+    const authHooks = [];
+    for (const hookName of AUTH_HOOKS) {
+      if (options[hookName] && AUTH_PATTERN.test(options[hookName])) {
+        authHooks.push(this.describeHook(options[hookName], hookName));
+      }
+    }
+
+    const schema = await this.resolveSchema(options.schema, content, filePath);
+
+    return {
+      url,
+      method,
+      index,
+      authHooks,
+      file: path.relative(this.projectPath, filePath),
+      ...(schema && { schema })
+    };
+  }
+
+  // Keeps the parts of a route schema the generated tests use: the request body and response shapes
+  async resolveSchema(raw, content, filePath) {
+    if (!raw) {
+      return null;
+    }
+
+    const importedValues = new Map();
+    const missing = new Set();
+    const resolveIdentifier = name => {
+      const local = resolveIdentifierValue(content, name);
+      if (local) return local;
+      if (importedValues.has(name)) return importedValues.get(name);
+      missing.add(name);
+      return null;
+    };
+
+    // Shared schemas usually live in their own module - load imported identifiers and retry
+    const evaluate = async value => {
+      let result = evaluateLiteral(value, resolveIdentifier);
+      for (let attempt = 0; result === undefined && missing.size > 0 && attempt < 3; attempt++) {
+        for (const name of missing) {
+          const modulePath = await resolveModulePath(filePath, findImportSource(content, name));
+          const moduleContent = modulePath ? await fs.readFile(modulePath, 'utf8') : '';
+          importedValues.set(name, resolveIdentifierValue(moduleContent, name) || resolveIdentifierValue(moduleContent, 'default'));
+        }
+        missing.clear();
+        result = evaluateLiteral(value, resolveIdentifier);
+      }
+      return result;
+    };
+
+    let schema = await evaluate(raw);
+
+    // Siblings such as `params: Type.Object({})` or `tags: TAGS` aren't literals - read body and
+    // each response status on their own so one dynamic part doesn't drop the rest
+    if (schema === undefined) {
+      // `schema: itemSchema` - evaluating it above already loaded the object if it was imported
+      const properties = parseObjectLiteral(/^[\w$]+$/.test(raw.trim()) ? resolveIdentifier(raw.trim()) : raw);
+      schema = {};
+
+      if (properties.body) {
+        schema.body = await evaluate(properties.body);
+      }
+      if (properties.response) {
+        schema.response = await evaluate(properties.response);
+
+        if (schema.response === undefined) {
+          for (const [status, value] of Object.entries(parseObjectLiteral(properties.response))) {
+            const response = status === '__spreads' ? undefined : await evaluate(value);
+            if (response !== undefined) {
+              schema.response = { ...schema.response, [status]: response };
+            }
+          }
+        }
+      }
+    }
+
+    if (!schema || typeof schema !== 'object' || (!schema.body && !schema.response)) {
+      return null;
+    }
+
+    return {
+      ...(schema.body && { body: schema.body }),
+      ...(schema.response && { response: schema.response })
+    };
+  }
+
+  async resolvePlugin(plugin, options, content, filePath) {
+    // import('./routes/users.js') / require('./routes/users')
+    const inlineImport = plugin.match(/(?:import|require)\s*\(\s*['"]([^'"]+)['"]\s*\)/);
+    const name = plugin.match(/^[\w$]+/)?.[0];
+    const specifier = inlineImport ? inlineImport[1] : (name && findImportSource(content, name));
+
+    if (!specifier) {
+      return [];
+    }
+
+    // @fastify/autoload mounts every file under `dir`, prefixed with its folder path
+    if (/^(?:@fastify\/autoload|fastify-autoload)$/.test(specifier)) {
+      return this.resolveAutoload(options, filePath);
+    }
+
+    const modulePath = await resolveModulePath(filePath, specifier);
+    return modulePath ? [{ filePath: modulePath, prefix: '' }] : [];
+  }
+
+  async resolveAutoload(options, filePath) {
+    // dir: path.join(__dirname, 'routes')
+    const segments = [...(options.dir || '').matchAll(/['"`]([^'"`]+)['"`]/g)].map(match => match[1]);
+    if (segments.length === 0) {
+      return [];
+    }
+
+    const dir = path.resolve(path.dirname(filePath), ...segments);
+    const nestedPrefix = readStringLiteral(parseObjectLiteral(options.options).prefix) || '';
+    const files = await glob('**/*.{js,ts,mjs,cjs}', { cwd: dir, ignore: ['**/*.test.*', '**/*.spec.*', '**/*.d.ts'] });
+
+    console.log(`📁 Fastify autoload: ${path.relative(this.projectPath, dir)} (${files.length} files)`);
+
+    return files.map(file => {
+      const folder = path.dirname(file).replace(/\\/g, '/');
+      return {
+        filePath: path.join(dir, file),
+        prefix: nestedPrefix + (folder === '.' ? '' : '/' + folder.replace(/_([\w-]+)/g, ':$1'))
+      };
+    });
+  }
+
+  collectRoutes(filePath, parentPrefix, parentHooks, visiting) {
+    const module = this.modules.get(filePath);
+    if (!module || visiting.has(filePath)) {
+      return [];
+    }
+    visiting.add(filePath);
+
+    const collected = [];
+
+    for (const route of module.routes) {
+      const scopes = this.enclosingScopes(module.scopes, route.index);
+      const hooks = [...parentHooks, ...scopes.flatMap(scope => scope.hooks), ...route.authHooks];
+      const url = this.joinPrefix(parentPrefix, ...scopes.map(scope => scope.prefix), route.url);
+      const { index, authHooks, ...rest } = route;
+
+      collected.push({
+        ...rest,
+        url,
+        title: `${this.generateRouteTitle(url).replace(/ Page$/, ' API')} (${route.method})`,
+        type: 'api',
+        framework: 'fastify',
+        requiresAuth: hooks.length > 0,
+        authHooks: [...new Set(hooks)]
+      });
+    }
+
+    for (const edge of module.registrations) {
+      const scopes = this.enclosingScopes(module.scopes, edge.index);
+      const hooks = [...parentHooks, ...scopes.flatMap(scope => scope.hooks)];
+      const prefix = this.joinPrefix(parentPrefix, ...scopes.map(scope => scope.prefix), edge.prefix);
+
+      for (const target of edge.targets) {
+        collected.push(...this.collectRoutes(target.filePath, this.joinPrefix(prefix, target.prefix), hooks, visiting));
+      }
+    }
+
+    visiting.delete(filePath);
+    return collected;
+  }
+
+  enclosingScopes(scopes, index) {
+    return scopes
+      .filter(scope => scope.start <= index && index < scope.end)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  innermostScope(scopes, index) {
+    const enclosing = this.enclosingScopes(scopes, index);
+    return enclosing[enclosing.length - 1];
+  }
+
+  describeHook(raw, hookName) {
+    // fastify.authenticate / [fastify.verifyJWT] / fastify.auth([fastify.verifyJWT]) / async (req) => req.jwtVerify()
+    const composed = (raw || '').match(/\.auth\s*\(\s*\[([^\]]*)\]/);
+    if (composed) {
+      return composed[1].split(',').map(entry => entry.trim().split('.').pop()).filter(Boolean).join(' | ');
+    }
+
+    const name = (raw || '').match(/^\[?\s*(?:[\w$]+\.)*([\w$]+)\s*(?:\]|$|\()/)?.[1];
+    return name && !/^(?:async|function)$/.test(name) ? name : `${hookName} hook`;
+  }
+
+  // Fastify concatenates prefixes, unlike nested routers an absolute child path doesn't reset them
+  joinPrefix(...parts) {
+    const url = ('/' + parts.filter(Boolean).join('/')).replace(/\/+/g, '/');
+    return url !== '/' && url.endsWith('/') ? url.slice(0, -1) : url;
+  }
+
+  readListenPort(content) {
+    // fastify.listen({ port: 3000 }) / fastify.listen(3000) / port: process.env.PORT || 3000
+    const listenMatch = content.match(/\.listen\s*\(\s*(?:\{[^}]*?\bport\s*:\s*)?(?:[^,)}]*?(?:\?\?|\|\|)\s*)?(\d{2,5})/);
+    if (listenMatch) {
+      this.devServerPort = parseInt(listenMatch[1], 10);
+    }
+  }
+
+  generateRouteTitle(url) {
+    if (url === '/') return 'Home Page';
+
+    return url
+      .split('/')
+      .filter(Boolean)
+      .map(segment => {
+        // Handle dynamic segments
+        if (segment.startsWith(':')) {
+          return segment.substring(1).charAt(0).toUpperCase() + segment.substring(2);
+        }
+        return segment.charAt(0).toUpperCase() + segment.slice(1);
+      })
+      .join(' ') + ' Page';
+  }
+
+  generateJenkinsConfig() {
+    return {
+      buildCommand: 'npm install',
+      testCommand: 'npm run test:routes',
+      devCommand: 'npm start',
+      port: this.devServerPort,
+      environment: {
+        NODE_ENV: 'test'
+      }
+    };
+  }
+}
+
+export default FastifyFramework;
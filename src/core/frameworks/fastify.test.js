@@ -0,0 +1,52 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import FastifyFramework from './fastify.js';
+
+let projectPath;
+
+before(async () => {
+  projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'fastify-scan-'));
+  await fs.writeJson(path.join(projectPath, 'package.json'), { dependencies: { fastify: '^4.0.0', '@sinclair/typebox': '^0.32.0' } });
+  await fs.outputFile(path.join(projectPath, 'app.js'), `
+import Fastify from 'fastify';
+import { Type } from '@sinclair/typebox';
+
+const TAGS = ['items'];
+const app = Fastify();
+
+app.post('/api/items', {
+  schema: {
+    tags: TAGS,
+    params: Type.Object({}),
+    body: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } },
+    response: {
+      201: { type: 'object', properties: { id: { type: 'string' } } },
+      400: Type.Object({ message: Type.String() })
+    }
+  }
+}, async () => ({}));
+
+app.listen({ port: 3000 });
+`);
+});
+
+after(async () => {
+  await fs.remove(projectPath);
+});
+
+test('keeps literal body and response schemas next to TypeBox siblings', async () => {
+  const originalLog = console.log;
+  console.log = () => {};
+  const routes = await new FastifyFramework(projectPath).scanRoutes().finally(() => {
+    console.log = originalLog;
+  });
+
+  const route = routes.api.find(entry => entry.url === '/api/items');
+  assert.deepEqual(route.schema, {
+    body: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } },
+    response: { 201: { type: 'object', properties: { id: { type: 'string' } } } }
+  });
+});
@@ -0,0 +1,318 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import {
+  findCalls,
+  parseObjectLiteral,
+  readStringLiteral,
+  resolveIdentifierValue
+} from '../utils/source-parser.js';
+
+export class GatsbyFramework {
+  constructor(projectPath) {
+    this.projectPath = projectPath;
+    this.pathPrefix = '';
+    this.devServerPort = 8000;
+    this.loginUrl = '/login';
+  }
+
+  async detect() {
+    const packageJsonPath = path.join(this.projectPath, 'package.json');
+
+    if (!await fs.pathExists(packageJsonPath)) {
+      return false;
+    }
+
+    const packageJson = await fs.readJson(packageJsonPath);
+    const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+
+    if (!deps.gatsby) {
+      return false;
+    }
+
+    // gatsby develop -p 9000
+    const portMatch = (packageJson.scripts?.develop || packageJson.scripts?.dev || '').match(/(?:-p|--port)\s+(\d+)/);
+    if (portMatch) {
+      this.devServerPort = parseInt(portMatch[1], 10);
+    }
+
+    this.pathPrefix = await this.getPathPrefix();
+
+    return {
+      name: 'gatsby',
+      version: deps.gatsby,
+      pathPrefix: this.pathPrefix || null
+    };
+  }
+
+  async getPathPrefix() {
+    const configFiles = ['gatsby-config.js', 'gatsby-config.ts', 'gatsby-config.mjs'];
+
+    for (const configFile of configFiles) {
+      const configPath = path.join(this.projectPath, configFile);
+      if (!await fs.pathExists(configPath)) {
+        continue;
+      }
+
+      const content = await fs.readFile(configPath, 'utf8');
+      const config = parseObjectLiteral(
+        content.match(/module\.exports\s*=\s*(\{[\s\S]*)/)?.[1] ||
+        resolveIdentifierValue(content, 'config') ||
+        resolveIdentifierValue(content, 'default')
+      );
+
+      const pathPrefix = readStringLiteral(config.pathPrefix);
+      if (pathPrefix && pathPrefix !== '/') {
+        console.log(`⚙️ Gatsby pathPrefix: ${pathPrefix}`);
+        return '/' + pathPrefix.replace(/^\/+|\/+$/g, '');
+      }
+    }
+
+    return '';
+  }
+
+  async scanRoutes() {
+    const routes = { public: [], protected: [], api: [] };
+    const foundRoutes = new Map();
+
+    for (const route of await this.scanPages()) {
+      foundRoutes.set(route.url, route);
+    }
+
+    for (const route of await this.scanCreatePageCalls()) {
+      if (!foundRoutes.has(route.url)) {
+        foundRoutes.set(route.url, route);
+      }
+    }
+
+    for (const route of foundRoutes.values()) {
+      this.categorizeRoute(route, routes);
+    }
+
+    await this.scanFunctions(routes);
+
+    return routes;
+  }
+
+  async scanPages() {
+    const pagesDir = path.join(this.projectPath, 'src', 'pages');
+
+    if (!await fs.pathExists(pagesDir)) {
+      return [];
+    }
+
+    const pageFiles = await glob('**/*.{js,jsx,ts,tsx}', {
+      cwd: pagesDir,
+      ignore: ['**/*.test.*', '**/*.spec.*', '**/__tests__/**', '**/_*', '**/404.*', '**/404/**']
+    });
+
+    console.log('📁 Gatsby - Found page files:', pageFiles);
+
+    const routes = [];
+    for (const file of pageFiles) {
+      const filePath = path.join(pagesDir, file);
+      const url = this.pathPrefix + this.convertPagePathToUrl(file);
+
+      let content = '';
+      try {
+        content = await fs.readFile(filePath, 'utf8');
+      } catch (error) {
+        // Route still exists even if the file can't be read
+      }
+
+      routes.push({
+        url: url.length > 1 && url.endsWith('/') ? url.slice(0, -1) : url,
+        title: this.generateRouteTitle(url),
+        file: filePath,
+        type: this.getPageType(file),
+        framework: 'gatsby',
+        requiresAuth: this.hasClientAuthCheck(content)
+      });
+    }
+
+    return routes;
+  }
+
+  getPageType(file) {
+    if (/\{[^}]+\}/.test(file)) return 'collection';
+    if (/\[[^\]]*\]/.test(file)) return 'client-only';
+    return 'page';
+  }
+
+  async scanCreatePageCalls() {
+    const routes = [];
+    const nodeFiles = ['gatsby-node.js', 'gatsby-node.ts', 'gatsby-node.mjs'];
+
+    for (const nodeFile of nodeFiles) {
+      const nodePath = path.join(this.projectPath, nodeFile);
+      if (!await fs.pathExists(nodePath)) {
+        continue;
+      }
+
+      const content = await fs.readFile(nodePath, 'utf8');
+      const calls = findCalls(content, 'createPage');
+
+      console.log(`🔍 Gatsby - Found ${calls.length} createPage() calls in ${nodeFile}`);
+
+      for (const call of calls) {
+        const options = parseObjectLiteral(call.args[0]);
+        // Client-only sections declare matchPath: '/app/*'
+        const url = this.convertPathExpression(options.matchPath) || this.convertPathExpression(options.path);
+
+        if (!url) {
+          console.log('  ⚠️ Skipping createPage() with a computed path');
+          continue;
+        }
+
+        const fullUrl = this.pathPrefix + url;
+        routes.push({
+          url: fullUrl.length > 1 && fullUrl.endsWith('/') ? fullUrl.slice(0, -1) : fullUrl,
+          title: this.generateRouteTitle(fullUrl),
+          file: nodePath,
+          type: options.matchPath ? 'client-only' : 'created-page',
+          framework: 'gatsby',
+          requiresAuth: false
+        });
+      }
+    }
+
+    return routes;
+  }
+
+  convertPathExpression(raw) {
+    if (!raw) {
+      return null;
+    }
+
+    const literal = readStringLiteral(raw);
+    if (literal !== null) {
+      return literal.startsWith('/') ? literal : '/' + literal;
+    }
+
+    // `/blog/${node.fields.slug}` -> /blog/:slug
+    const templateMatch = raw.trim().match(/^`([^`]*)`$/);
+    if (templateMatch && templateMatch[1].startsWith('/')) {
+      return templateMatch[1].replace(/\$\{([^}]*)\}/g, (match, expression) => {
+        const name = expression.match(/(\w+)\s*\)?\s*$/)?.[1] || 'param';
+        return `:${name}`;
+      });
+    }
+
+    return null;
+  }
+
+  async scanFunctions(routes) {
+    // Gatsby Functions: src/api/users/[id].js -> /api/users/:id
+    const apiDir = path.join(this.projectPath, 'src', 'api');
+
+    if (!await fs.pathExists(apiDir)) {
+      return;
+    }
+
+    const functionFiles = await glob('**/*.{js,ts}', { cwd: apiDir, ignore: ['**/_*', '**/*.test.*'] });
+
+    for (const file of functionFiles) {
+      const url = '/api' + this.convertPagePathToUrl(file).replace(/^\/$/, '');
+      const requiresAuth = this.isProtectedRoute(url);
+
+      routes.api.push({
+        url,
+        title: this.generateRouteTitle(url),
+        method: 'GET',
+        file: path.join(apiDir, file),
+        type: 'api',
+        framework: 'gatsby',
+        requiresAuth,
+        expectedStatus: requiresAuth ? 401 : 200
+      });
+    }
+  }
+
+  convertPagePathToUrl(filePath) {
+    const normalizedPath = filePath.replace(/\\/g, '/');
+
+    const segments = normalizedPath
+      .replace(/\.(js|jsx|ts|tsx)$/, '')
+      .split('/')
+      .map(segment => segment
+        .replace(/^\[\.\.\.(\w*)\]$/, '*') // [...].js / [...slug].js -> * (client-only splat)
+        .replace(/\[(\w+)\]/g, ':$1') // [id].js -> :id (client-only param)
+        .replace(/\{\w+\.(?:\w+?__)*(\w+)\}/g, ':$1') // {MarkdownRemark.fields__slug}.js -> :slug
+      );
+
+    if (segments[segments.length - 1] === 'index') {
+      segments.pop();
+    }
+
+    return '/' + segments.join('/');
+  }
+
+  hasClientAuthCheck(content) {
+    // Client-only sections usually wrap pages in a PrivateRoute / redirect when logged out
+    const loginRedirect = content.match(/navigate\s*\(\s*['"`](\/[\w/-]*(?:login|signin|sign-in)[\w/-]*)/i);
+    if (loginRedirect) {
+      this.loginUrl = loginRedirect[1];
+    }
+
+    return /<PrivateRoute\b|\bisLoggedIn\s*\(|\bisAuthenticated\b/.test(content) || !!loginRedirect;
+  }
+
+  categorizeRoute(route, routes) {
+    const isProtected = route.requiresAuth || this.isProtectedRoute(route.url);
+
+    if (isProtected && route.url !== this.loginUrl) {
+      routes.protected.push({
+        ...route,
+        requiresAuth: true,
+        expectedRedirect: this.pathPrefix + this.loginUrl
+      });
+    } else {
+      routes.public.push({
+        ...route,
+        requiresAuth: false,
+        expectedStatus: 200
+      });
+    }
+  }
+
+  isProtectedRoute(url) {
+    const protectedPatterns = [
+      '/dashboard', '/admin', '/profile', '/settings', '/account',
+      '/user', '/management', '/private', '/secure', '/protected'
+    ];
+
+    return protectedPatterns.some(pattern =>
+      url.toLowerCase().includes(pattern.toLowerCase())
+    );
+  }
+
+  generateRouteTitle(url) {
+    if (url === '/' || url === this.pathPrefix) return 'Home Page';
+
+    return url
+      .split('/')
+      .filter(Boolean)
+      .map(segment => {
+        // Handle dynamic segments
+        if (segment.startsWith(':')) {
+          return segment.substring(1).charAt(0).toUpperCase() + segment.substring(2);
+        }
+        return segment.charAt(0).toUpperCase() + segment.slice(1);
+      })
+      .join(' ') + ' Page';
+  }
+
+  generateJenkinsConfig() {
+    return {
+      buildCommand: 'npm run build',
+      testCommand: 'npm run test:routes',
+      devCommand: 'npm run develop',
+      port: this.devServerPort,
+      environment: {
+        NODE_ENV: 'test'
+      }
+    };
+  }
+}
+
+export default GatsbyFramework;
@@ -0,0 +1,444 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import {
+  findCalls,
+  findClosingBracket,
+  parseObjectLiteral,
+  readStringLiteral
+} from '../utils/source-parser.js';
+
+const SERVERS = [
+  { name: 'apollo', packages: ['@apollo/server', 'apollo-server', 'apollo-server-express', 'apollo-server-koa', 'apollo-server-fastify', 'apollo-server-micro'] },
+  { name: 'yoga', packages: ['graphql-yoga', '@graphql-yoga/node'] },
+  { name: 'mercurius', packages: ['mercurius'] },
+  { name: 'graphql-http', packages: ['graphql-http', 'express-graphql'] }
+];
+
+// Handlers that serve GraphQL wherever they are mounted: app.use('/graphql', expressMiddleware(server))
+const MOUNTED_HANDLER = /\b(?:expressMiddleware|koaMiddleware|fastifyApolloHandler|createHandler|graphqlHTTP)\s*\(/;
+// Schema directives that restrict a type or field to signed-in users: @auth, @authenticated, @hasRole(role: ADMIN)
+const AUTH_DIRECTIVE = /^(?:auth\w*|authenticated|requires?(?:Auth|Login|User)\w*|isAuthenticated|has(?:Role|Scope|Permission)s?|private|protected)$/i;
+// Resolvers wrapped in an auth check: requireAuth(resolver), authenticated((parent, args) => ...)
+const AUTH_WRAPPER = /^(?:async\s+)?(?:requireAuth|requireUser|authenticated|withAuth|isAuthenticated|protect\w*|authorized|guard\w*)\s*\(/;
+const AUTH_ERROR = /UNAUTHENTICATED|FORBIDDEN|AuthenticationError|ForbiddenError|Unauthori[sz]ed|Not authenticated|must be (?:logged|signed) in/i;
+const BUILT_IN_SCALARS = { Int: 1, Float: 1.5, String: 'test', ID: '1', Boolean: true };
+
+export class GraphqlFramework {
+  constructor(projectPath) {
+    this.projectPath = projectPath;
+    this.server = null;
+  }
+
+  async detect() {
+    const packageJsonPath = path.join(this.projectPath, 'package.json');
+
+    if (!await fs.pathExists(packageJsonPath)) {
+      return false;
+    }
+
+    const packageJson = await fs.readJson(packageJsonPath);
+    const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+
+    for (const server of SERVERS) {
+      const packageName = server.packages.find(name => deps[name]);
+      if (packageName) {
+        this.server = server.name;
+        return { name: 'graphql', server: server.name, package: packageName, version: deps[packageName] };
+      }
+    }
+
+    return false;
+  }
+
+  async scanRoutes() {
+    console.log(`🔍 Scanning GraphQL (${this.server}) endpoint and schema...`);
+
+    const sourceFiles = await glob('**/*.{js,jsx,ts,tsx,mjs,cjs}', {
+      cwd: this.projectPath,
+      ignore: ['node_modules/**', 'dist/**', 'build/**', '.next/**', 'coverage/**', '**/*.test.*', '**/*.spec.*', '**/*.d.ts']
+    });
+    const schemaFiles = await glob('**/*.{graphql,gql}', {
+      cwd: this.projectPath,
+      ignore: ['node_modules/**', 'dist/**', 'build/**', '.next/**']
+    });
+
+    const sources = [];
+    for (const file of sourceFiles) {
+      try {
+        sources.push({ file, content: await fs.readFile(path.join(this.projectPath, file), 'utf8') });
+      } catch (error) {
+        // Skip files that can't be read
+        continue;
+      }
+    }
+
+    const sdl = [
+      ...await Promise.all(schemaFiles.map(file => fs.readFile(path.join(this.projectPath, file), 'utf8'))),
+      ...sources.flatMap(({ content }) => this.extractTypeDefs(content))
+    ].join('\n');
+
+    const schema = this.parseSchema(sdl);
+    const resolverAuth = this.findResolverAuth(sources);
+    const contextAuth = this.findContextAuth(sources);
+    const operations = this.buildOperations(schema, resolverAuth, contextAuth);
+    const introspection = !sources.some(({ content }) => /\bintrospection\s*:\s*false\b/.test(content));
+
+    console.log(`  📄 Schema: ${schema.types.size} types, ${operations.length} root operations${contextAuth ? ` (context requires auth: ${contextAuth})` : ''}`);
+
+    const routes = { public: [], protected: [], api: [] };
+    for (const endpoint of this.findEndpoints(sources)) {
+      console.log(`  ✅ Found GraphQL endpoint: ${endpoint.url}`);
+      routes.api.push({
+        url: endpoint.url,
+        title: this.generateEndpointTitle(endpoint.url),
+        method: 'POST',
+        file: endpoint.file,
+        type: 'graphql',
+        framework: 'graphql',
+        server: this.server,
+        // A context that rejects anonymous callers locks the whole endpoint, introspection included
+        requiresAuth: !!contextAuth,
+        expectedStatus: 200,
+        graphql: { introspection, operations, ...(contextAuth && { expectedErrorCode: contextAuth }) }
+      });
+    }
+
+    return routes;
+  }
+
+  // gql`...`, graphql`...`, /* GraphQL */ `...`, `#graphql ...` and typeDefs/schema template literals
+  extractTypeDefs(content) {
+    const typeDefs = [];
+    const literalRegex = /(?:\b(?:gql|graphql)\s*|\/\*\s*GraphQL\s*\*\/\s*|\b(?:typeDefs|schema)\s*[:=]\s*|buildSchema\s*\(\s*)`([^`]*)`|`(\s*#graphql[^`]*)`/g;
+    let match;
+
+    while ((match = literalRegex.exec(content)) !== null) {
+      const text = match[1] ?? match[2];
+      if (/\b(?:type|extend\s+type|input|enum)\s+\w+/.test(text)) {
+        typeDefs.push(text.replace(/\$\{[^}]*\}/g, ''));
+      }
+    }
+
+    return typeDefs;
+  }
+
+  parseSchema(sdl) {
+    const types = new Map();
+    const roots = { query: 'Query', mutation: 'Mutation' };
+
+    // Descriptions and comments aren't needed, and their braces would confuse the type regex
+    const clean = sdl
+      .replace(/"""[\s\S]*?"""/g, '')
+      .replace(/"(?:[^"\\\n]|\\.)*"/g, '""')
+      .replace(/#[^\n]*/g, '');
+
+    const schemaBlock = clean.match(/\bschema\s*(?:@\w+\s*)*\{([^}]*)\}/);
+    if (schemaBlock) {
+      roots.query = schemaBlock[1].match(/\bquery\s*:\s*(\w+)/)?.[1] || roots.query;
+      roots.mutation = schemaBlock[1].match(/\bmutation\s*:\s*(\w+)/)?.[1] || roots.mutation;
+    }
+
+    const typeRegex = /\b(?:extend\s+)?(type|input|enum|interface)\s+(\w+)([^{]*)\{([^}]*)\}/g;
+    let match;
+
+    while ((match = typeRegex.exec(clean)) !== null) {
+      const [, kind, name, header, body] = match;
+      const type = types.get(name) || { kind, directives: [], fields: [], values: [] };
+
+      type.directives.push(...[...header.matchAll(/@(\w+)/g)].map(directive => directive[1]));
+
+      if (kind === 'enum') {
+        type.values.push(...body.split(/[\s,]+/).filter(value => /^[A-Z_a-z]\w*$/.test(value)));
+      } else {
+        type.fields.push(...this.parseFields(body));
+      }
+
+      types.set(name, type);
+    }
+
+    // union SearchResult = Post | User
+    const unionRegex = /\b(?:extend\s+)?union\s+(\w+)[^=]*=\s*\|?\s*(\w+(?:\s*\|\s*\w+)*)/g;
+    while ((match = unionRegex.exec(clean)) !== null) {
+      const type = types.get(match[1]) || { kind: 'union', directives: [], fields: [], values: [] };
+      type.values.push(...match[2].split('|').map(member => member.trim()));
+      types.set(match[1], type);
+    }
+
+    return { types, roots };
+  }
+
+  parseFields(body) {
+    const fields = [];
+    const fieldRegex = /(\w+)\s*(?:\(([^)]*)\))?\s*:\s*([\w!\[\]]+)((?:\s*@\w+(?:\s*\([^)]*\))?)*)/g;
+    let match;
+
+    while ((match = fieldRegex.exec(body)) !== null) {
+      const [, name, rawArgs = '', type, rawDirectives] = match;
+      fields.push({
+        name,
+        type,
+        args: [...rawArgs.matchAll(/(\w+)\s*:\s*([\w!\[\]]+)/g)].map(arg => ({ name: arg[1], type: arg[2] })),
+        directives: [...rawDirectives.matchAll(/@(\w+)/g)].map(directive => directive[1])
+      });
+    }
+
+    return fields;
+  }
+
+  // Resolver maps: { Query: { me: requireAuth(...), users(_, __, ctx) { if (!ctx.user) throw ... } } }
+  findResolverAuth(sources) {
+    const guarded = new Map();
+
+    for (const { content } of sources) {
+      const rootRegex = /\b(Query|Mutation)\s*:\s*\{/g;
+      let match;
+
+      while ((match = rootRegex.exec(content)) !== null) {
+        const openIndex = match.index + match[0].length - 1;
+        const close = findClosingBracket(content, openIndex);
+        if (close === -1) {
+          continue;
+        }
+
+        for (const [field, value] of Object.entries(parseObjectLiteral(content.slice(openIndex, close + 1)))) {
+          const code = this.readAuthErrorCode(value);
+          if (code) {
+            guarded.set(`${match[1]}.${field}`, code);
+          }
+        }
+      }
+    }
+
+    return guarded;
+  }
+
+  // Returns the error code a resolver or context function raises for anonymous callers, or null
+  readAuthErrorCode(code) {
+    const text = code.trim();
+    const throwsAuthError = AUTH_ERROR.test(text) && /\bthrow\b|new\s+GraphQLError/.test(text);
+
+    if (!AUTH_WRAPPER.test(text) && !throwsAuthError) {
+      return null;
+    }
+
+    const declared = text.match(/\bcode\s*:\s*['"`](\w+)['"`]/)?.[1];
+    if (declared) {
+      return declared;
+    }
+
+    return /ForbiddenError|FORBIDDEN/.test(text) && !/AuthenticationError|UNAUTHENTICATED/.test(text) ? 'FORBIDDEN' : 'UNAUTHENTICATED';
+  }
+
+  // A context function that throws without a user locks every operation: new ApolloServer({ context: ... })
+  findContextAuth(sources) {
+    for (const { content } of sources) {
+      for (const call of findCalls(content, '(?:new\\s+)?(?:ApolloServer|createYoga|startStandaloneServer|expressMiddleware|koaMiddleware|[\\w$]+\\.register)')) {
+        for (const arg of call.args) {
+          const context = parseObjectLiteral(arg).context;
+          const code = context && this.readAuthErrorCode(context);
+          if (code) {
+            return code;
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  findEndpoints(sources) {
+    const endpoints = new Map();
+    const add = (url, file) => {
+      const normalized = url.length > 1 ? url.replace(/\/$/, '') : url;
+      if (!endpoints.has(normalized)) {
+        endpoints.set(normalized, { url: normalized, file });
+      }
+    };
+
+    for (const { file, content } of sources) {
+      const fileUrl = this.nextRouteUrl(file);
+
+      // Next.js route handlers: startServerAndCreateNextHandler(server), createYoga({ ... }) in app/api/graphql/route.ts
+      if (fileUrl && /startServerAndCreateNextHandler|createYoga|createHandler|ApolloServer/.test(content)) {
+        add(fileUrl, file);
+        continue;
+      }
+
+      // Apollo Server 2/3: server.applyMiddleware({ app, path: '/api/graphql' })
+      for (const call of findCalls(content, '[\\w$]+\\.applyMiddleware')) {
+        add(readStringLiteral(parseObjectLiteral(call.args[0]).path) || '/graphql', file);
+      }
+
+      // Apollo Server 4 standalone serves at the root
+      if (/\bstartStandaloneServer\s*\(/.test(content)) {
+        add('/', file);
+      }
+
+      // GraphQL Yoga: createYoga({ graphqlEndpoint: '/api/graphql' })
+      for (const call of findCalls(content, 'createYoga')) {
+        add(readStringLiteral(parseObjectLiteral(call.args[0]).graphqlEndpoint) || '/graphql', file);
+      }
+
+      // Mercurius: app.register(mercurius, { path: '/gql' })
+      for (const call of findCalls(content, '[\\w$]+\\.register')) {
+        if (/^\s*mercurius\b/.test(call.args[0] || '')) {
+          add(readStringLiteral(parseObjectLiteral(call.args[1]).path) || '/graphql', file);
+        }
+      }
+
+      // app.use('/graphql', expressMiddleware(server)) / app.all('/graphql', createHandler({ schema }))
+      for (const call of findCalls(content, '[\\w$]+\\.(?:use|all|post|get|route)')) {
+        if (!call.args.some(arg => MOUNTED_HANDLER.test(arg))) {
+          continue;
+        }
+        const options = call.args[0]?.trim().startsWith('{') ? parseObjectLiteral(call.args[0]) : null;
+        add((options ? readStringLiteral(options.url) : readStringLiteral(call.args[0])) || '/', file);
+      }
+    }
+
+    return [...endpoints.values()];
+  }
+
+  // app/api/graphql/route.ts -> /api/graphql, pages/api/graphql.ts -> /api/graphql
+  nextRouteUrl(file) {
+    const appRoute = file.match(/^(?:src\/)?app\/(.*?)\/?route\.[jt]s$/);
+    if (appRoute) {
+      return '/' + appRoute[1].split('/').filter(segment => !/^\(.*\)$/.test(segment)).join('/');
+    }
+
+    const pagesRoute = file.match(/^(?:src\/)?pages\/(api\/.*?)(?:\/index)?\.[jt]s$/);
+    return pagesRoute ? `/${pagesRoute[1]}` : null;
+  }
+
+  buildOperations(schema, resolverAuth, contextAuth) {
+    const operations = [];
+
+    for (const [operationType, rootName] of Object.entries(schema.roots)) {
+      const root = schema.types.get(rootName);
+      if (!root) {
+        continue;
+      }
+
+      const rootGuarded = root.directives.some(directive => AUTH_DIRECTIVE.test(directive));
+
+      for (const field of root.fields) {
+        const guardedBy = resolverAuth.get(`${operationType === 'query' ? 'Query' : 'Mutation'}.${field.name}`) ||
+          ((rootGuarded || field.directives.some(directive => AUTH_DIRECTIVE.test(directive))) && 'UNAUTHENTICATED') ||
+          contextAuth;
+
+        operations.push({
+          name: field.name,
+          type: operationType,
+          ...this.buildDocument(operationType, field, schema),
+          requiresAuth: !!guardedBy,
+          ...(guardedBy && { expectedErrorCode: guardedBy })
+        });
+      }
+    }
+
+    return operations;
+  }
+
+  // query Me { me { id name email } } with sample variables for required arguments
+  buildDocument(operationType, field, schema) {
+    const variables = {};
+    const definitions = [];
+
+    for (const arg of field.args.filter(entry => entry.type.endsWith('!'))) {
+      const value = this.sampleValue(arg.type, schema, 0);
+      if (value === undefined) {
+        return { skip: `No sample value for argument ${arg.name}: ${arg.type}` };
+      }
+      variables[arg.name] = value;
+      definitions.push(`$${arg.name}: ${arg.type}`);
+    }
+
+    const operationName = field.name.charAt(0).toUpperCase() + field.name.slice(1);
+    const variableList = definitions.length ? `(${definitions.join(', ')})` : '';
+    const argumentList = definitions.length ? `(${Object.keys(variables).map(name => `${name}: $${name}`).join(', ')})` : '';
+    const selection = this.selectionFor(field.type, schema);
+
+    return {
+      query: `${operationType} ${operationName}${variableList} { ${field.name}${argumentList}${selection} }`,
+      variables
+    };
+  }
+
+  // Object results need a selection set - pick a few scalar fields, or fall back to __typename
+  // (always for unions and interfaces, whose fields depend on the concrete type)
+  selectionFor(typeName, schema) {
+    const type = schema.types.get(this.baseType(typeName));
+    if (!type || type.kind === 'enum') {
+      return '';
+    }
+
+    const scalars = type.kind === 'type'
+      ? type.fields
+        .filter(field => !field.args.some(arg => arg.type.endsWith('!')))
+        .filter(field => {
+          const fieldType = schema.types.get(this.baseType(field.type));
+          return !fieldType || fieldType.kind === 'enum';
+        })
+        .slice(0, 5)
+        .map(field => field.name)
+      : [];
+
+    return ` { ${scalars.length ? scalars.join(' ') : '__typename'} }`;
+  }
+
+  sampleValue(typeName, schema, depth) {
+    const base = this.baseType(typeName);
+    const wrap = value => value === undefined ? undefined : (typeName.replace(/!$/, '').startsWith('[') ? [value] : value);
+
+    if (base in BUILT_IN_SCALARS) {
+      return wrap(BUILT_IN_SCALARS[base]);
+    }
+
+    const type = schema.types.get(base);
+    if (!type) {
+      // Custom scalars (DateTime, JSON, Email, ...) mostly accept strings
+      return wrap(/date|time/i.test(base) ? new Date(0).toISOString() : 'test');
+    }
+
+    if (type.kind === 'enum') {
+      return wrap(type.values[0]);
+    }
+
+    if (type.kind !== 'input' || depth > 3) {
+      return undefined;
+    }
+
+    const input = {};
+    for (const field of type.fields.filter(entry => entry.type.endsWith('!'))) {
+      const value = this.sampleValue(field.type, schema, depth + 1);
+      if (value === undefined) {
+        return undefined;
+      }
+      input[field.name] = value;
+    }
+    return wrap(input);
+  }
+
+  baseType(typeName) {
+    return typeName.replace(/[[\]!]/g, '');
+  }
+
+  // /graphql -> GraphQL API (POST), /v2/graphql -> V2 GraphQL API (POST)
+  generateEndpointTitle(url) {
+    const prefix = url.split('/').filter(segment => segment && !/^(?:api|graphql|gql)$/i.test(segment));
+    return `${prefix.length ? this.generateRouteTitle(`/${prefix.join('/')}`).replace(/ Page$/, ' ') : ''}GraphQL API (POST)`;
+  }
+
+  generateRouteTitle(url) {
+    if (url === '/') return 'Home Page';
+
+    return url
+      .split('/')
+      .filter(Boolean)
+      .map(segment => segment.charAt(0).toUpperCase() + segment.slice(1))
+      .join(' ') + ' Page';
+  }
+}
+
+export default GraphqlFramework;
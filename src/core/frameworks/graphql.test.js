@@ -0,0 +1,55 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import GraphqlFramework from './graphql.js';
+
+let projectPath;
+
+before(async () => {
+  projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'graphql-scan-'));
+  await fs.writeJson(path.join(projectPath, 'package.json'), { dependencies: { '@apollo/server': '^4.0.0' } });
+  await fs.outputFile(path.join(projectPath, 'schema.graphql'), `
+type Query {
+  search(term: String!): [SearchResult!]!
+  node(id: ID!): Node
+  post(id: ID!): Post
+}
+
+union SearchResult =
+  | Post
+  | User
+
+interface Node { id: ID! }
+type Post implements Node { id: ID! title: String! author: User }
+type User implements Node { id: ID! email: String! }
+`);
+  await fs.outputFile(path.join(projectPath, 'server.js'), `
+import { ApolloServer } from '@apollo/server';
+import { startStandaloneServer } from '@apollo/server/standalone';
+
+const server = new ApolloServer({ typeDefs, resolvers });
+await startStandaloneServer(server);
+`);
+});
+
+after(async () => {
+  await fs.remove(projectPath);
+});
+
+test('selects __typename on union and interface results', async () => {
+  const originalLog = console.log;
+  console.log = () => {};
+  const framework = new GraphqlFramework(projectPath);
+  const routes = await framework.detect().then(() => framework.scanRoutes()).finally(() => {
+    console.log = originalLog;
+  });
+
+  const queries = Object.fromEntries(routes.api[0].graphql.operations.map(operation => [operation.name, operation.query]));
+  assert.deepEqual(queries, {
+    search: 'query Search($term: String!) { search(term: $term) { __typename } }',
+    node: 'query Node($id: ID!) { node(id: $id) { __typename } }',
+    post: 'query Post($id: ID!) { post(id: $id) { id title } }'
+  });
+});
@@ -0,0 +1,312 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import {
+  findCalls,
+  parseArrayLiteral,
+  parseObjectLiteral,
+  readStringLiteral,
+  readStringList,
+  resolveIdentifierValue,
+  extractBalanced,
+  findImportSource,
+  resolveModulePath
+} from '../utils/source-parser.js';
+
+export class HapiFramework {
+  constructor(projectPath) {
+    this.projectPath = projectPath;
+    this.devServerPort = 3000;
+    this.defaultAuth = null;
+    this.modules = new Map();
+  }
+
+  async detect() {
+    const packageJsonPath = path.join(this.projectPath, 'package.json');
+
+    if (!await fs.pathExists(packageJsonPath)) {
+      return false;
+    }
+
+    const packageJson = await fs.readJson(packageJsonPath);
+    const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+    const version = deps['@hapi/hapi'] || deps.hapi;
+
+    if (!version) {
+      return false;
+    }
+
+    return {
+      name: 'hapi',
+      version
+    };
+  }
+
+  async scanRoutes() {
+    const routes = { public: [], protected: [], api: [] };
+
+    const sourceFiles = await glob('**/*.{js,ts,mjs,cjs}', {
+      cwd: this.projectPath,
+      ignore: ['node_modules/**', 'dist/**', 'build/**', 'coverage/**', '**/*.test.*', '**/*.spec.*', '**/*.d.ts']
+    });
+
+    for (const file of sourceFiles) {
+      const filePath = path.join(this.projectPath, file);
+
+      try {
+        const content = await fs.readFile(filePath, 'utf8');
+        this.modules.set(filePath, await this.parseModule(content, filePath));
+      } catch (error) {
+        // Skip files that can't be read
+        continue;
+      }
+    }
+
+    // Plugins registered with { routes: { prefix } } pass it on to every route they add
+    const registered = new Set();
+    for (const module of this.modules.values()) {
+      for (const registration of module.registrations) {
+        registered.add(registration.filePath);
+      }
+    }
+
+    const seen = new Set();
+    for (const filePath of this.modules.keys()) {
+      if (registered.has(filePath)) {
+        continue;
+      }
+
+      for (const route of this.collectRoutes(filePath, '', new Set())) {
+        const key = `${route.method}:${route.url}`;
+        if (seen.has(key)) {
+          continue;
+        }
+        seen.add(key);
+
+        console.log(`  ✅ Found route: ${route.method} ${route.url}${route.requiresAuth ? ` (auth: ${route.authStrategy})` : ''}`);
+        routes.api.push({
+          ...route,
+          expectedStatus: route.requiresAuth ? 401 : 200
+        });
+      }
+    }
+
+    return routes;
+  }
+
+  async parseModule(content, filePath) {
+    const module = { filePath, routeConfigs: [], registrations: [] };
+
+    // server.auth.default('jwt') / server.auth.default({ strategy: 'session' })
+    const [defaultAuthCall] = findCalls(content, '[\\w$]+\\.auth\\.default');
+    if (defaultAuthCall) {
+      const options = parseObjectLiteral(defaultAuthCall.args[0]);
+      this.defaultAuth = readStringLiteral(defaultAuthCall.args[0]) || readStringLiteral(options.strategy) || readStringList(options.strategies)[0] || 'default';
+      console.log(`⚙️ Hapi default auth strategy: ${this.defaultAuth}`);
+    }
+
+    for (const call of findCalls(content, '[\\w$]+\\.register')) {
+      module.registrations.push(...await this.resolveRegistrations(call.args, content, filePath));
+    }
+
+    const routeCalls = findCalls(content, '[\\w$]+\\.route');
+    if (routeCalls.length > 0) {
+      console.log(`🔍 Hapi - Extracting routes from: ${path.relative(this.projectPath, filePath)}`);
+    }
+
+    for (const call of routeCalls) {
+      module.routeConfigs.push(...await this.resolveRouteConfigs(call.args[0], content, filePath, 0));
+    }
+
+    // await server.start() with new Hapi.Server({ port: 4000 }) / Hapi.server({ port: process.env.PORT || 4000 })
+    const portMatch = content.match(/[Ss]erver\s*\(\s*\{[^}]*?\bport\s*:\s*(?:[^,}]*?(?:\?\?|\|\|)\s*)?(\d{2,5})/);
+    if (portMatch) {
+      this.devServerPort = parseInt(portMatch[1], 10);
+    }
+
+    return module;
+  }
+
+  // server.route() accepts one config, an array, or an identifier holding either (often imported)
+  async resolveRouteConfigs(raw, content, filePath, depth) {
+    if (!raw || depth > 5) {
+      return [];
+    }
+
+    const value = raw.trim();
+
+    if (value.startsWith('{')) {
+      return [{ raw: value, filePath }];
+    }
+
+    if (value.startsWith('[')) {
+      const configs = [];
+      for (const element of parseArrayLiteral(value)) {
+        configs.push(...await this.resolveRouteConfigs(element.replace(/^\.\.\./, ''), content, filePath, depth + 1));
+      }
+      return configs;
+    }
+
+    const name = value.match(/^[\w$]+$/)?.[0];
+    if (!name) {
+      return [];
+    }
+
+    const local = resolveIdentifierValue(content, name);
+    if (local) {
+      return this.resolveRouteConfigs(local, content, filePath, depth + 1);
+    }
+
+    const modulePath = await resolveModulePath(filePath, findImportSource(content, name));
+    if (!modulePath) {
+      return [];
+    }
+
+    const moduleContent = await fs.readFile(modulePath, 'utf8');
+    const exported = resolveIdentifierValue(moduleContent, name) ||
+      resolveIdentifierValue(moduleContent, 'default') ||
+      this.extractModuleExports(moduleContent);
+
+    return this.resolveRouteConfigs(exported, moduleContent, modulePath, depth + 1);
+  }
+
+  extractModuleExports(content) {
+    // module.exports = [ ... ]
+    const match = content.match(/module\.exports\s*=\s*(?=[[{])/);
+    return match ? extractBalanced(content, match.index + match[0].length) : null;
+  }
+
+  async resolveRegistrations(args, content, filePath) {
+    // server.register(require('./users'), { routes: { prefix: '/users' } })
+    // server.register({ plugin: usersPlugin, routes: { prefix: '/users' } })
+    // server.register([{ plugin: a, routes: { prefix: '/a' } }, b])
+    const registrations = [];
+    const sharedPrefix = readStringLiteral(parseObjectLiteral(parseObjectLiteral(args[1]).routes).prefix) || '';
+    const entries = args[0]?.trim().startsWith('[') ? parseArrayLiteral(args[0]) : [args[0]];
+
+    for (const entry of entries.filter(Boolean)) {
+      const options = entry.trim().startsWith('{') ? parseObjectLiteral(entry) : null;
+      const plugin = options ? options.plugin : entry;
+      const prefix = (options && readStringLiteral(parseObjectLiteral(options.routes).prefix)) || sharedPrefix;
+
+      const requireMatch = plugin?.match(/(?:require|import)\s*\(\s*['"]([^'"]+)['"]\s*\)/);
+      const name = plugin?.match(/^[\w$]+/)?.[0];
+      const specifier = requireMatch ? requireMatch[1] : (name && findImportSource(content, name));
+      const modulePath = await resolveModulePath(filePath, specifier);
+
+      if (modulePath) {
+        registrations.push({ filePath: modulePath, prefix });
+      }
+    }
+
+    return registrations;
+  }
+
+  collectRoutes(filePath, prefix, visiting) {
+    const module = this.modules.get(filePath);
+    if (!module || visiting.has(filePath)) {
+      return [];
+    }
+    visiting.add(filePath);
+
+    const collected = [];
+
+    for (const config of module.routeConfigs) {
+      const properties = parseObjectLiteral(config.raw);
+      const routePaths = readStringList(properties.path);
+      const methods = readStringList(properties.method).map(method => method === '*' ? 'GET' : method.toUpperCase());
+      const authStrategy = this.resolveAuth(properties);
+
+      for (const routePath of routePaths) {
+        const url = this.convertHapiPath(prefix + routePath);
+
+        for (const method of methods.length ? methods : ['GET']) {
+          collected.push({
+            url,
+            title: `${this.generateRouteTitle(url).replace(/ Page$/, ' API')} (${method})`,
+            method,
+            file: path.relative(this.projectPath, config.filePath),
+            type: 'api',
+            framework: 'hapi',
+            requiresAuth: !!authStrategy,
+            ...(authStrategy && { authStrategy })
+          });
+        }
+      }
+    }
+
+    for (const registration of module.registrations) {
+      collected.push(...this.collectRoutes(registration.filePath, prefix + registration.prefix, visiting));
+    }
+
+    visiting.delete(filePath);
+    return collected;
+  }
+
+  // Returns the strategy a route is guarded by, or null when it can be reached anonymously
+  resolveAuth(properties) {
+    const options = parseObjectLiteral(properties.options || properties.config);
+    const auth = options.auth;
+
+    if (auth === undefined) {
+      return this.defaultAuth;
+    }
+
+    if (auth.trim() === 'false') {
+      return null;
+    }
+
+    const strategy = readStringLiteral(auth);
+    if (strategy) {
+      return strategy;
+    }
+
+    const authOptions = parseObjectLiteral(auth);
+    // 'try' and 'optional' let unauthenticated requests through
+    if (/^['"`](?:try|optional)['"`]$/.test((authOptions.mode || '').trim())) {
+      return null;
+    }
+
+    return readStringLiteral(authOptions.strategy) || readStringList(authOptions.strategies)[0] || this.defaultAuth || 'default';
+  }
+
+  convertHapiPath(routePath) {
+    // /users/{id} -> /users/:id, {id?} -> :id?, {path*} -> *
+    const url = routePath
+      .replace(/\{(\w+)\*\d*\}/g, '*')
+      .replace(/\{(\w+)(\??)\}/g, ':$1$2')
+      .replace(/\/+/g, '/');
+
+    return url.length > 1 && url.endsWith('/') ? url.slice(0, -1) : url || '/';
+  }
+
+  generateRouteTitle(url) {
+    if (url === '/') return 'Home Page';
+
+    return url
+      .split('/')
+      .filter(Boolean)
+      .map(segment => {
+        // Handle dynamic segments
+        if (segment.startsWith(':')) {
+          return segment.substring(1).charAt(0).toUpperCase() + segment.substring(2);
+        }
+        return segment.charAt(0).toUpperCase() + segment.slice(1);
+      })
+      .join(' ') + ' Page';
+  }
+
+  generateJenkinsConfig() {
+    return {
+      buildCommand: 'npm install',
+      testCommand: 'npm run test:routes',
+      devCommand: 'npm start',
+      port: this.devServerPort,
+      environment: {
+        NODE_ENV: 'test'
+      }
+    };
+  }
+}
+
+export default HapiFramework;
@@ -0,0 +1,374 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import {
+  skipNonCode,
+  findClosingBracket,
+  splitTopLevel,
+  readStringLiteral,
+  readStringList,
+  findImportSource,
+  resolveModulePath,
+  isPathWithin
+} from '../utils/source-parser.js';
+
+const CHAIN_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'all', 'on', 'use', 'route', 'basePath'];
+const AUTH_MIDDLEWARE = /auth|jwt|bearer|session|protect|guard|clerk|lucia|verify|require(?:User|Login)/i;
+
+export class HonoFramework {
+  constructor(projectPath) {
+    this.projectPath = projectPath;
+    this.devServerPort = 3000;
+    this.modules = new Map();
+  }
+
+  async detect() {
+    const packageJsonPath = path.join(this.projectPath, 'package.json');
+
+    if (!await fs.pathExists(packageJsonPath)) {
+      return false;
+    }
+
+    const packageJson = await fs.readJson(packageJsonPath);
+    const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+
+    if (!deps.hono) {
+      return false;
+    }
+
+    // Cloudflare Workers projects run on wrangler's dev server
+    if (deps.wrangler) {
+      this.devServerPort = 8787;
+    }
+
+    return {
+      name: 'hono',
+      version: deps.hono,
+      runtime: deps.wrangler ? 'cloudflare-workers' : deps['@hono/node-server'] ? 'node' : 'unknown'
+    };
+  }
+
+  async scanRoutes() {
+    const routes = { public: [], protected: [], api: [] };
+
+    const sourceFiles = await glob('**/*.{js,ts,mjs,jsx,tsx}', {
+      cwd: this.projectPath,
+      ignore: ['node_modules/**', 'dist/**', 'build/**', '.wrangler/**', '**/*.test.*', '**/*.spec.*', '**/*.d.ts']
+    });
+
+    for (const file of sourceFiles) {
+      const filePath = path.join(this.projectPath, file);
+
+      try {
+        const content = await fs.readFile(filePath, 'utf8');
+        this.modules.set(filePath, this.parseModule(content, filePath));
+      } catch (error) {
+        // Skip files that can't be read
+        continue;
+      }
+    }
+
+    // Resolve app.route('/books', books) to the sub-app instance it mounts
+    const mounted = new Set();
+    for (const module of this.modules.values()) {
+      for (const app of Object.values(module.apps)) {
+        for (const event of app.events.filter(event => event.type === 'mount')) {
+          event.target = await this.resolveApp(event.childName, module);
+          if (event.target) {
+            mounted.add(`${event.target.filePath}#${event.target.name}`);
+          }
+        }
+      }
+    }
+
+    const seen = new Set();
+    for (const module of this.modules.values()) {
+      for (const name of Object.keys(module.apps)) {
+        if (mounted.has(`${module.filePath}#${name}`)) {
+          continue;
+        }
+
+        for (const route of this.collectRoutes({ filePath: module.filePath, name }, '', [], new Set())) {
+          const key = `${route.method}:${route.url}`;
+          if (seen.has(key)) {
+            continue;
+          }
+          seen.add(key);
+
+          console.log(`  ✅ Found route: ${route.method} ${route.url}${route.requiresAuth ? ` (middleware: ${route.authMiddleware.join(', ')})` : ''}`);
+          routes.api.push({
+            ...route,
+            expectedStatus: route.requiresAuth ? 401 : 200
+          });
+        }
+      }
+    }
+
+    return routes;
+  }
+
+  parseModule(content, filePath) {
+    const module = { filePath, apps: {}, exportedApp: null, content };
+
+    // const app = new Hono() / new Hono<{ Bindings: Env }>().basePath('/api') / new OpenAPIHono()
+    const declarationRegex = /(?:const|let|var)\s+([\w$]+)\s*(?::[^=]+)?=\s*new\s+(?:Hono|OpenAPIHono)\b\s*(?:<[^(]*>)?\s*\(/g;
+    let match;
+    while ((match = declarationRegex.exec(content)) !== null) {
+      const close = findClosingBracket(content, match.index + match[0].length - 1);
+      const app = { basePath: '', events: [] };
+      module.apps[match[1]] = app;
+
+      if (close === -1) {
+        continue;
+      }
+
+      // new Hono().basePath('/api') - the declared instance itself serves under the base path
+      const basePathMatch = content.slice(close + 1).match(/^\s*\.\s*basePath\s*\(\s*(['"`][^'"`]*['"`])\s*\)/);
+      if (basePathMatch) {
+        app.basePath = readStringLiteral(basePathMatch[1]);
+      }
+
+      // Chained calls on the constructor belong to the declared instance
+      this.parseChain(content, close + 1 + (basePathMatch ? basePathMatch[0].length : 0), app, '');
+    }
+
+    // const api = app.basePath('/api') derives a new instance mounted on its parent
+    const derivedRegex = /(?:const|let|var)\s+([\w$]+)\s*=\s*([\w$]+)\s*\.\s*basePath\s*\(\s*(['"`][^'"`]*['"`])\s*\)/g;
+    while ((match = derivedRegex.exec(content)) !== null) {
+      if (module.apps[match[2]] && !module.apps[match[1]]) {
+        module.apps[match[1]] = { basePath: '', events: [] };
+        module.apps[match[2]].events.push({ type: 'mount', index: match.index, path: readStringLiteral(match[3]), childName: match[1] });
+      }
+    }
+
+    const appNames = Object.keys(module.apps);
+    if (appNames.length === 0) {
+      return module;
+    }
+
+    console.log(`🔍 Hono - Extracting routes from: ${path.relative(this.projectPath, filePath)}`);
+
+    const receiver = appNames.map(name => name.replace(/\$/g, '\\$')).join('|');
+    const callRegex = new RegExp(`(?:^|[^\\w$.])(${receiver})\\s*(?=\\.\\s*(?:${CHAIN_METHODS.join('|')})\\s*\\()`, 'g');
+    while ((match = callRegex.exec(content)) !== null) {
+      callRegex.lastIndex = this.parseChain(content, match.index + match[0].length, module.apps[match[1]], '');
+    }
+
+    for (const app of Object.values(module.apps)) {
+      app.events.sort((a, b) => a.index - b.index);
+    }
+
+    // export default app / export default { fetch: app.fetch, port: 8787 }
+    const exportMatch = content.match(new RegExp(`export\\s+default\\s+(?:\\{[^}]*fetch\\s*:\\s*)?(${receiver})\\b`)) ||
+      content.match(new RegExp(`module\\.exports\\s*=\\s*(${receiver})\\b`));
+    module.exportedApp = exportMatch ? exportMatch[1] : appNames[0];
+
+    const portMatch = content.match(/\bport\s*:\s*(?:[^,}]*?(?:\?\?|\|\|)\s*)?(\d{2,5})/);
+    if (portMatch && /serve\s*\(|export\s+default\s*\{/.test(content)) {
+      this.devServerPort = parseInt(portMatch[1], 10);
+    }
+
+    return module;
+  }
+
+  // Walks `.get(...).post(...).route(...)` chains starting at `index`, returning where the chain ends
+  parseChain(content, index, app, chainPrefix) {
+    let i = index;
+    let end = index;
+    let prefix = chainPrefix;
+
+    while (i < content.length) {
+      while (i < content.length && /\s/.test(content[i])) i++;
+      const skipped = skipNonCode(content, i);
+      if (skipped !== -1 && content[i] === '/') {
+        i = skipped;
+        continue;
+      }
+
+      const callMatch = content.slice(i).match(new RegExp(`^\\.\\s*(${CHAIN_METHODS.join('|')})\\s*\\(`));
+      if (!callMatch) {
+        return end;
+      }
+
+      const openIndex = i + callMatch[0].length - 1;
+      const close = findClosingBracket(content, openIndex);
+      if (close === -1) {
+        return content.length;
+      }
+
+      const args = splitTopLevel(content.slice(openIndex + 1, close));
+      this.recordCall(callMatch[1], args, i, app, prefix);
+
+      if (callMatch[1] === 'basePath') {
+        prefix = this.joinPrefix(prefix, readStringLiteral(args[0]) || '');
+      }
+
+      i = end = close + 1;
+    }
+
+    return end;
+  }
+
+  recordCall(method, args, index, app, prefix) {
+    switch (method) {
+      case 'basePath':
+        return;
+
+      case 'route': {
+        // app.route('/books', books)
+        const childName = args[1]?.match(/^[\w$]+$/)?.[0];
+        if (childName) {
+          app.events.push({ type: 'mount', index, path: this.joinPrefix(prefix, readStringLiteral(args[0]) || ''), childName });
+        }
+        return;
+      }
+
+      case 'use': {
+        // app.use('/admin/*', jwt({ secret })) / app.use(bearerAuth({ token }))
+        const usePaths = readStringList(args[0]);
+        const authMiddleware = this.authMiddlewareNames(usePaths.length ? args.slice(1) : args);
+        if (authMiddleware.length > 0) {
+          app.events.push({ type: 'use', index, paths: usePaths.map(usePath => this.joinPrefix(prefix, usePath)), authMiddleware });
+        }
+        return;
+      }
+
+      case 'on': {
+        // app.on(['GET', 'POST'], '/form', handler)
+        for (const routePath of readStringList(args[1])) {
+          for (const httpMethod of readStringList(args[0])) {
+            app.events.push(this.routeEvent(httpMethod.toUpperCase(), this.joinPrefix(prefix, routePath), args.slice(2, -1), index));
+          }
+        }
+        return;
+      }
+
+      default: {
+        // app.get('/users/:id', validator, handler)
+        const routePaths = readStringList(args[0]);
+        if (routePaths.length === 0) {
+          return;
+        }
+        for (const routePath of routePaths) {
+          const httpMethod = method === 'all' ? 'GET' : method.toUpperCase();
+          app.events.push(this.routeEvent(httpMethod, this.joinPrefix(prefix, routePath), args.slice(1, -1), index));
+        }
+      }
+    }
+  }
+
+  routeEvent(method, routePath, middleware, index) {
+    return {
+      type: 'route',
+      index,
+      method,
+      // :id{[0-9]+} -> :id
+      path: routePath.replace(/(:\w+\??)\{[^}]*\}/g, '$1'),
+      authMiddleware: this.authMiddlewareNames(middleware)
+    };
+  }
+
+  async resolveApp(name, module) {
+    if (module.apps[name]) {
+      return { filePath: module.filePath, name };
+    }
+
+    const modulePath = await resolveModulePath(module.filePath, findImportSource(module.content, name), ['.ts', '.tsx', '.js', '.jsx', '.mjs']);
+    const target = modulePath && this.modules.get(modulePath);
+
+    return target?.exportedApp ? { filePath: modulePath, name: target.exportedApp } : null;
+  }
+
+  collectRoutes(appRef, parentPrefix, parentAuth, visiting) {
+    const key = `${appRef.filePath}#${appRef.name}`;
+    const app = this.modules.get(appRef.filePath)?.apps[appRef.name];
+
+    if (!app || visiting.has(key)) {
+      return [];
+    }
+    visiting.add(key);
+
+    const prefix = this.joinPrefix(parentPrefix, app.basePath);
+    const collected = [];
+    const uses = [];
+
+    // Middleware only wraps handlers registered after it
+    const authFor = url => uses
+      .filter(use => use.paths.length === 0 || use.paths.some(usePath => isPathWithin(this.joinPrefix(prefix, usePath), url)))
+      .flatMap(use => use.authMiddleware);
+
+    for (const event of app.events) {
+      if (event.type === 'use') {
+        uses.push(event);
+        continue;
+      }
+
+      const url = this.joinPrefix(prefix, event.path);
+
+      if (event.type === 'mount') {
+        if (event.target) {
+          collected.push(...this.collectRoutes(event.target, url, [...parentAuth, ...authFor(url)], visiting));
+        }
+        continue;
+      }
+
+      const authMiddleware = [...new Set([...parentAuth, ...authFor(url), ...event.authMiddleware])];
+      collected.push({
+        url,
+        title: `${this.generateRouteTitle(url).replace(/ Page$/, ' API')} (${event.method})`,
+        method: event.method,
+        file: path.relative(this.projectPath, appRef.filePath),
+        type: 'api',
+        framework: 'hono',
+        requiresAuth: authMiddleware.length > 0,
+        authMiddleware
+      });
+    }
+
+    visiting.delete(key);
+    return collected;
+  }
+
+  authMiddlewareNames(args) {
+    return args
+      .filter(arg => AUTH_MIDDLEWARE.test(arg))
+      // jwt({ secret }) -> jwt / bearerAuth({ token }) -> bearerAuth
+      .map(arg => arg.match(/^(?:await\s+)?([\w$.]+)/)?.[1] || 'inline middleware');
+  }
+
+  // Hono joins base paths with route paths, '/' included
+  joinPrefix(...parts) {
+    const url = ('/' + parts.filter(Boolean).join('/')).replace(/\/+/g, '/');
+    return url !== '/' && url.endsWith('/') ? url.slice(0, -1) : url;
+  }
+
+  generateRouteTitle(url) {
+    if (url === '/') return 'Home Page';
+
+    return url
+      .split('/')
+      .filter(Boolean)
+      .map(segment => {
+        // Handle dynamic segments
+        if (segment.startsWith(':')) {
+          return segment.substring(1).charAt(0).toUpperCase() + segment.substring(2);
+        }
+        return segment.charAt(0).toUpperCase() + segment.slice(1);
+      })
+      .join(' ') + ' Page';
+  }
+
+  generateJenkinsConfig() {
+    return {
+      buildCommand: 'npm install',
+      testCommand: 'npm run test:routes',
+      devCommand: 'npm run dev',
+      port: this.devServerPort,
+      environment: {
+        NODE_ENV: 'test'
+      }
+    };
+  }
+}
+
+export default HonoFramework;
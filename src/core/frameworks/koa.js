@@ -0,0 +1,302 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import {
+  findCalls,
+  findClosingBracket,
+  parseObjectLiteral,
+  readStringLiteral,
+  readStringList,
+  findImportSource,
+  resolveModulePath,
+  isPathWithin
+} from '../utils/source-parser.js';
+
+const ROUTE_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'del', 'head', 'options', 'all'];
+const AUTH_MIDDLEWARE = /auth|jwt|passport|session|login|protect|guard|bearer|apikey|verify|require(?:User|Login)|ensure/i;
+
+export class KoaFramework {
+  constructor(projectPath) {
+    this.projectPath = projectPath;
+    this.devServerPort = 3000;
+    this.modules = new Map();
+  }
+
+  async detect() {
+    const packageJsonPath = path.join(this.projectPath, 'package.json');
+
+    if (!await fs.pathExists(packageJsonPath)) {
+      return false;
+    }
+
+    const packageJson = await fs.readJson(packageJsonPath);
+    const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+    const router = deps['@koa/router'] ? '@koa/router' : deps['koa-router'] ? 'koa-router' : null;
+
+    if (!deps.koa && !router) {
+      return false;
+    }
+
+    return {
+      name: 'koa',
+      version: deps.koa || null,
+      router
+    };
+  }
+
+  async scanRoutes() {
+    const routes = { public: [], protected: [], api: [] };
+
+    const sourceFiles = await glob('**/*.{js,ts,mjs,cjs}', {
+      cwd: this.projectPath,
+      ignore: ['node_modules/**', 'dist/**', 'build/**', 'coverage/**', '**/*.test.*', '**/*.spec.*', '**/*.d.ts']
+    });
+
+    for (const file of sourceFiles) {
+      const filePath = path.join(this.projectPath, file);
+
+      try {
+        const content = await fs.readFile(filePath, 'utf8');
+        this.modules.set(filePath, this.parseModule(content, filePath));
+      } catch (error) {
+        // Skip files that can't be read
+        continue;
+      }
+    }
+
+    // Resolve router.use('/users', usersRouter.routes()) to the router instance it mounts
+    const mounted = new Set();
+    for (const module of this.modules.values()) {
+      for (const router of Object.values(module.routers)) {
+        for (const event of router.events.filter(event => event.type === 'mount')) {
+          event.target = await this.resolveRouter(event.childName, module);
+          if (event.target) {
+            mounted.add(`${event.target.filePath}#${event.target.name}`);
+          }
+        }
+      }
+    }
+
+    const seen = new Set();
+    for (const module of this.modules.values()) {
+      for (const name of Object.keys(module.routers)) {
+        if (mounted.has(`${module.filePath}#${name}`)) {
+          continue;
+        }
+
+        for (const route of this.collectRoutes({ filePath: module.filePath, name }, '', [], new Set())) {
+          const key = `${route.method}:${route.url}`;
+          if (seen.has(key)) {
+            continue;
+          }
+          seen.add(key);
+
+          console.log(`  ✅ Found route: ${route.method} ${route.url}${route.requiresAuth ? ` (middleware: ${route.authMiddleware.join(', ')})` : ''}`);
+          routes.api.push({
+            ...route,
+            expectedStatus: route.requiresAuth ? 401 : 200
+          });
+        }
+      }
+    }
+
+    return routes;
+  }
+
+  parseModule(content, filePath) {
+    const module = { filePath, routers: {}, exportedRouter: null, content };
+
+    // const router = new Router({ prefix: '/api' }) / const router = require('koa-router')()
+    const declarationRegex = /(?:const|let|var)\s+([\w$]+)\s*=\s*(?:new\s+[\w$]*Router\s*\(|require\s*\(\s*['"](?:@koa\/router|koa-router)['"]\s*\)\s*\()/g;
+    let match;
+    while ((match = declarationRegex.exec(content)) !== null) {
+      const openIndex = match.index + match[0].length - 1;
+      const close = findClosingBracket(content, openIndex);
+      const options = close === -1 ? {} : parseObjectLiteral(content.slice(openIndex + 1, close));
+      module.routers[match[1]] = { prefix: readStringLiteral(options.prefix) || '', events: [] };
+    }
+
+    const routerNames = Object.keys(module.routers);
+    if (routerNames.length === 0) {
+      return module;
+    }
+
+    console.log(`🔍 Koa - Extracting routes from: ${path.relative(this.projectPath, filePath)}`);
+
+    const receiver = routerNames.map(name => name.replace(/\$/g, '\\$')).join('|');
+
+    // router.prefix('/v1')
+    for (const call of findCalls(content, `(?:${receiver})\\.prefix`)) {
+      module.routers[call.callee.split('.')[0]].prefix = readStringLiteral(call.args[0]) || '';
+    }
+
+    for (const call of findCalls(content, `(?:${receiver})\\.(?:${ROUTE_METHODS.join('|')}|use)`)) {
+      const [name, method] = call.callee.split('.');
+      const router = module.routers[name];
+
+      if (method === 'use') {
+        this.parseUse(call, router);
+        continue;
+      }
+
+      // router.get('/users', handler) / router.get('user', '/users/:id', handler) for named routes
+      const hasName = readStringLiteral(call.args[1])?.startsWith('/');
+      const routePaths = readStringList(call.args[hasName ? 1 : 0]);
+      const middleware = call.args.slice(hasName ? 2 : 1, -1);
+
+      for (const routePath of routePaths) {
+        router.events.push({
+          type: 'route',
+          index: call.index,
+          method: method === 'del' ? 'DELETE' : method === 'all' ? 'GET' : method.toUpperCase(),
+          path: routePath,
+          authMiddleware: this.authMiddlewareNames(middleware)
+        });
+      }
+    }
+
+    for (const router of Object.values(module.routers)) {
+      router.events.sort((a, b) => a.index - b.index);
+    }
+
+    // export default router / module.exports = router
+    const exportMatch = content.match(new RegExp(`(?:export\\s+default|module\\.exports\\s*=)\\s*(${receiver})\\b`));
+    module.exportedRouter = exportMatch ? exportMatch[1] : routerNames[0];
+
+    this.readListenPort(content);
+
+    return module;
+  }
+
+  parseUse(call, router) {
+    // router.use(auth) / router.use('/admin', requireAdmin) / router.use('/users', users.routes(), users.allowedMethods())
+    const usePaths = readStringList(call.args[0]);
+    const middleware = usePaths.length ? call.args.slice(1) : call.args;
+
+    for (const arg of middleware) {
+      const mountMatch = arg.match(/^([\w$]+)\s*\.\s*(?:routes|middleware)\s*\(\s*\)$/);
+      if (mountMatch) {
+        for (const usePath of usePaths.length ? usePaths : ['']) {
+          router.events.push({ type: 'mount', index: call.index, path: usePath, childName: mountMatch[1] });
+        }
+      }
+    }
+
+    const authMiddleware = this.authMiddlewareNames(middleware.filter(arg => !/\.\s*(?:routes|middleware|allowedMethods)\s*\(/.test(arg)));
+    if (authMiddleware.length > 0) {
+      router.events.push({ type: 'use', index: call.index, paths: usePaths, authMiddleware });
+    }
+  }
+
+  async resolveRouter(name, module) {
+    if (module.routers[name]) {
+      return { filePath: module.filePath, name };
+    }
+
+    const modulePath = await resolveModulePath(module.filePath, findImportSource(module.content, name));
+    const target = modulePath && this.modules.get(modulePath);
+
+    return target?.exportedRouter ? { filePath: modulePath, name: target.exportedRouter } : null;
+  }
+
+  collectRoutes(routerRef, parentPrefix, parentAuth, visiting) {
+    const key = `${routerRef.filePath}#${routerRef.name}`;
+    const router = this.modules.get(routerRef.filePath)?.routers[routerRef.name];
+
+    if (!router || visiting.has(key)) {
+      return [];
+    }
+    visiting.add(key);
+
+    const prefix = this.joinPrefix(parentPrefix, router.prefix);
+    const collected = [];
+    const uses = [];
+
+    // Koa composes middleware in registration order, so router.use() only guards what comes after it
+    const authFor = url => uses
+      .filter(use => use.paths.length === 0 || use.paths.some(usePath => isPathWithin(this.joinPrefix(prefix, usePath), url)))
+      .flatMap(use => use.authMiddleware);
+
+    for (const event of router.events) {
+      if (event.type === 'use') {
+        uses.push(event);
+        continue;
+      }
+
+      const url = this.joinPrefix(prefix, event.path);
+
+      if (event.type === 'mount') {
+        if (event.target) {
+          collected.push(...this.collectRoutes(event.target, url, [...parentAuth, ...authFor(url)], visiting));
+        }
+        continue;
+      }
+
+      const authMiddleware = [...new Set([...parentAuth, ...authFor(url), ...event.authMiddleware])];
+      collected.push({
+        url,
+        title: `${this.generateRouteTitle(url).replace(/ Page$/, ' API')} (${event.method})`,
+        method: event.method,
+        file: path.relative(this.projectPath, routerRef.filePath),
+        type: 'api',
+        framework: 'koa',
+        requiresAuth: authMiddleware.length > 0,
+        authMiddleware
+      });
+    }
+
+    visiting.delete(key);
+    return collected;
+  }
+
+  authMiddlewareNames(args) {
+    return args
+      .filter(arg => AUTH_MIDDLEWARE.test(arg))
+      // passport.authenticate('jwt') -> passport.authenticate / requireAuth -> requireAuth
+      .map(arg => arg.match(/^(?:await\s+)?([\w$.]+)/)?.[1] || 'inline middleware');
+  }
+
+  // koa-router concatenates prefixes with route paths
+  joinPrefix(...parts) {
+    const url = ('/' + parts.filter(Boolean).join('/')).replace(/\/+/g, '/');
+    return url !== '/' && url.endsWith('/') ? url.slice(0, -1) : url;
+  }
+
+  readListenPort(content) {
+    // app.listen(3000) / app.listen(process.env.PORT || 3000)
+    const listenMatch = content.match(/\.listen\s*\(\s*(?:[^,)]*?(?:\?\?|\|\|)\s*)?(\d{2,5})/);
+    if (listenMatch) {
+      this.devServerPort = parseInt(listenMatch[1], 10);
+    }
+  }
+
+  generateRouteTitle(url) {
+    if (url === '/') return 'Home Page';
+
+    return url
+      .split('/')
+      .filter(Boolean)
+      .map(segment => {
+        // Handle dynamic segments
+        if (segment.startsWith(':')) {
+          return segment.substring(1).charAt(0).toUpperCase() + segment.substring(2);
+        }
+        return segment.charAt(0).toUpperCase() + segment.slice(1);
+      })
+      .join(' ') + ' Page';
+  }
+
+  generateJenkinsConfig() {
+    return {
+      buildCommand: 'npm install',
+      testCommand: 'npm run test:routes',
+      devCommand: 'npm start',
+      port: this.devServerPort,
+      environment: {
+        NODE_ENV: 'test'
+      }
+    };
+  }
+}
+
+export default KoaFramework;
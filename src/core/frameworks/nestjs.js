@@ -0,0 +1,505 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import {
+  skipNonCode,
+  findClosingBracket,
+  findCalls,
+  parseArrayLiteral,
+  parseObjectLiteral,
+  readStringLiteral,
+  readStringList,
+  joinRoutePaths
+} from '../utils/source-parser.js';
+
+const HTTP_DECORATORS = {
+  Get: 'GET',
+  Post: 'POST',
+  Put: 'PUT',
+  Patch: 'PATCH',
+  Delete: 'DELETE',
+  Options: 'OPTIONS',
+  Head: 'HEAD',
+  All: 'GET'
+};
+
+// Guards that don't authenticate the caller
+const NON_AUTH_GUARDS = /^(Throttler|RateLimit|Csrf)/i;
+
+export class NestjsFramework {
+  constructor(projectPath) {
+    this.projectPath = projectPath;
+    this.globalPrefix = '';
+    this.globalPrefixExclude = [];
+    this.versioning = null; // { defaultVersion, prefix }
+    this.globalGuards = [];
+    this.publicDecorators = new Set(['Public', 'SkipAuth', 'AllowAnonymous', 'IsPublic']);
+    this.devServerPort = 3000;
+  }
+
+  async detect() {
+    const packageJsonPath = path.join(this.projectPath, 'package.json');
+
+    if (!await fs.pathExists(packageJsonPath)) {
+      return false;
+    }
+
+    const packageJson = await fs.readJson(packageJsonPath);
+    const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+
+    if (!deps['@nestjs/core']) {
+      return false;
+    }
+
+    return {
+      name: 'nestjs',
+      version: deps['@nestjs/core'],
+      platform: deps['@nestjs/platform-fastify'] ? 'fastify' : 'express'
+    };
+  }
+
+  async scanRoutes() {
+    const routes = { public: [], protected: [], api: [] };
+    const srcDir = path.join(this.projectPath, 'src');
+
+    if (!await fs.pathExists(srcDir)) {
+      return routes;
+    }
+
+    const sourceFiles = await glob('**/*.ts', {
+      cwd: srcDir,
+      ignore: ['**/*.spec.ts', '**/*.test.ts', '**/*.d.ts', '**/node_modules/**']
+    });
+
+    const contents = new Map();
+    for (const file of sourceFiles) {
+      try {
+        contents.set(file, await fs.readFile(path.join(srcDir, file), 'utf8'));
+      } catch (error) {
+        // Skip files that can't be read
+        continue;
+      }
+    }
+
+    // Application-wide settings first: prefix, versioning, global guards, @Public() decorators
+    for (const [file, content] of contents) {
+      this.readBootstrapSettings(content, file);
+      this.readGlobalGuards(content);
+      this.readPublicDecorators(content);
+    }
+
+    const seen = new Set();
+    for (const [file, content] of contents) {
+      if (!content.includes('@Controller')) {
+        continue;
+      }
+
+      console.log(`🔍 NestJS - Extracting routes from: ${file}`);
+
+      for (const route of this.extractControllerRoutes(content, path.join(srcDir, file))) {
+        const key = `${route.method}:${route.url}`;
+        if (seen.has(key)) {
+          continue;
+        }
+        seen.add(key);
+
+        console.log(`  ✅ Found route: ${route.method} ${route.url}${route.requiresAuth ? ` (guards: ${route.guards.join(', ')})` : ''}`);
+        routes.api.push({
+          ...route,
+          expectedStatus: route.requiresAuth ? 401 : 200
+        });
+      }
+    }
+
+    return routes;
+  }
+
+  readBootstrapSettings(content, file) {
+    // app.setGlobalPrefix('api', { exclude: ['health', { path: 'metrics', method: RequestMethod.GET }] })
+    const [prefixCall] = findCalls(content, '\\w+\\.setGlobalPrefix');
+    if (prefixCall) {
+      this.globalPrefix = readStringLiteral(prefixCall.args[0]) || '';
+      const options = parseObjectLiteral(prefixCall.args[1]);
+      this.globalPrefixExclude = parseArrayLiteral(options.exclude)
+        .map(entry => readStringLiteral(entry) ?? readStringLiteral(parseObjectLiteral(entry).path))
+        .filter(Boolean)
+        .map(entry => joinRoutePaths('', entry));
+      console.log(`⚙️ NestJS global prefix: /${this.globalPrefix}`);
+    }
+
+    // app.enableVersioning({ type: VersioningType.URI, defaultVersion: '1' })
+    const [versioningCall] = findCalls(content, '\\w+\\.enableVersioning');
+    if (versioningCall) {
+      const options = parseObjectLiteral(versioningCall.args[0]);
+      const type = options.type || 'VersioningType.URI';
+
+      if (type.includes('URI')) {
+        this.versioning = {
+          defaultVersion: readStringList(options.defaultVersion),
+          prefix: options.prefix === 'false' ? '' : (readStringLiteral(options.prefix) ?? 'v')
+        };
+        console.log('⚙️ NestJS URI versioning enabled');
+      }
+    }
+
+    // await app.listen(process.env.PORT ?? 3000)
+    if (/NestFactory\.create/.test(content)) {
+      const portMatch = content.match(/\.listen\s*\(\s*(?:[^,)]*?(?:\?\?|\|\|)\s*)?(\d{2,5})/);
+      if (portMatch) {
+        this.devServerPort = parseInt(portMatch[1], 10);
+      }
+      console.log(`⚙️ NestJS bootstrap: ${file}`);
+    }
+  }
+
+  readGlobalGuards(content) {
+    // { provide: APP_GUARD, useClass: JwtAuthGuard }
+    const providerRegex = /provide\s*:\s*APP_GUARD\s*,\s*use(?:Class|Existing)\s*:\s*(\w+)/g;
+    let match;
+    while ((match = providerRegex.exec(content)) !== null) {
+      if (this.isAuthGuard(match[1])) {
+        this.globalGuards.push(match[1]);
+      }
+    }
+
+    // app.useGlobalGuards(new JwtAuthGuard(reflector))
+    for (const call of findCalls(content, '\\w+\\.useGlobalGuards')) {
+      for (const arg of call.args) {
+        const name = arg.match(/(?:new\s+)?(\w+)/)?.[1];
+        if (name && this.isAuthGuard(name)) {
+          this.globalGuards.push(name);
+        }
+      }
+    }
+  }
+
+  readPublicDecorators(content) {
+    // export const Public = () => SetMetadata(IS_PUBLIC_KEY, true)
+    const regex = /export\s+const\s+(\w+)\s*=\s*\([^)]*\)\s*=>\s*SetMetadata\s*\(\s*([\w'"`-]+)/g;
+    let match;
+    while ((match = regex.exec(content)) !== null) {
+      if (/public|skip_?auth|anonymous|no_?auth/i.test(match[2]) || /public|skipauth|anonymous/i.test(match[1])) {
+        this.publicDecorators.add(match[1]);
+      }
+    }
+  }
+
+  extractControllerRoutes(content, filePath) {
+    const routes = [];
+    const classRegex = /\bclass\s+(\w+)[^{]*\{/g;
+    let lastClassEnd = 0;
+    let match;
+
+    while ((match = classRegex.exec(content)) !== null) {
+      const bodyStart = match.index + match[0].length - 1;
+      const bodyEnd = findClosingBracket(content, bodyStart);
+      if (bodyEnd === -1) break;
+
+      const classDecorators = this.parseDecorators(content.slice(lastClassEnd, match.index));
+      lastClassEnd = bodyEnd + 1;
+      classRegex.lastIndex = bodyEnd + 1;
+
+      const controller = classDecorators.find(decorator => decorator.name === 'Controller');
+      if (!controller) {
+        continue;
+      }
+
+      const controllerOptions = this.parseControllerArgument(controller.args[0]);
+      const classVersions = this.readVersions(classDecorators) || controllerOptions.versions;
+      const classGuards = this.readGuards(classDecorators);
+      const classIsPublic = classDecorators.some(decorator => this.publicDecorators.has(decorator.name));
+
+      for (const member of this.parseMembers(content.slice(bodyStart + 1, bodyEnd))) {
+        const httpDecorator = member.decorators.find(decorator => HTTP_DECORATORS[decorator.name]);
+        if (!httpDecorator) {
+          continue;
+        }
+
+        const methodPaths = readStringList(httpDecorator.args[0]);
+        const versions = this.readVersions(member.decorators) || classVersions || this.versioning?.defaultVersion || [];
+        const isPublic = classIsPublic || member.decorators.some(decorator => this.publicDecorators.has(decorator.name));
+        const guards = isPublic ? [] : [...this.globalGuards, ...classGuards, ...this.readGuards(member.decorators)];
+
+        for (const controllerPath of controllerOptions.paths) {
+          for (const methodPath of methodPaths.length ? methodPaths : ['']) {
+            for (const version of this.versioning && versions.length ? versions : [null]) {
+              const url = this.buildUrl(controllerPath, methodPath, version);
+
+              routes.push({
+                url,
+                title: `${this.generateRouteTitle(url).replace(/ Page$/, ' API')} (${HTTP_DECORATORS[httpDecorator.name]})`,
+                method: HTTP_DECORATORS[httpDecorator.name],
+                file: filePath,
+                handler: `${match[1]}.${member.name}`,
+                type: 'api',
+                framework: 'nestjs',
+                requiresAuth: guards.length > 0,
+                guards: [...new Set(guards)]
+              });
+            }
+          }
+        }
+      }
+    }
+
+    return routes;
+  }
+
+  parseControllerArgument(raw) {
+    // @Controller() / @Controller('users') / @Controller(['a', 'b']) / @Controller({ path: 'users', version: '1' })
+    if (!raw) {
+      return { paths: [''], versions: null };
+    }
+
+    if (raw.trim().startsWith('{')) {
+      const options = parseObjectLiteral(raw);
+      const paths = readStringList(options.path);
+      const versions = /VERSION_NEUTRAL/.test(options.version || '') ? [null] : readStringList(options.version);
+      return { paths: paths.length ? paths : [''], versions: versions.length ? versions : null };
+    }
+
+    const paths = readStringList(raw);
+    return { paths: paths.length ? paths : [''], versions: null };
+  }
+
+  readVersions(decorators) {
+    const versionDecorator = decorators.find(decorator => decorator.name === 'Version');
+    if (!versionDecorator) {
+      return null;
+    }
+
+    // VERSION_NEUTRAL routes are served without a version segment
+    if (/VERSION_NEUTRAL/.test(versionDecorator.args[0] || '')) {
+      return [null];
+    }
+
+    return readStringList(versionDecorator.args[0]);
+  }
+
+  readGuards(decorators) {
+    const guards = [];
+
+    for (const decorator of decorators) {
+      if (decorator.name !== 'UseGuards') {
+        continue;
+      }
+
+      for (const arg of decorator.args) {
+        // AuthGuard('jwt') / JwtAuthGuard / new RolesGuard()
+        const passportMatch = arg.match(/AuthGuard\s*\(\s*['"`]?([\w-]*)/);
+        const name = passportMatch ? `AuthGuard(${passportMatch[1] || 'default'})` : arg.match(/(?:new\s+)?(\w+)/)?.[1];
+
+        if (name && this.isAuthGuard(name)) {
+          guards.push(name);
+        }
+      }
+    }
+
+    return guards;
+  }
+
+  isAuthGuard(name) {
+    return !NON_AUTH_GUARDS.test(name);
+  }
+
+  buildUrl(controllerPath, methodPath, version) {
+    const routePath = joinRoutePaths(joinRoutePaths('', controllerPath), methodPath.replace(/^\//, ''));
+    let url = routePath;
+
+    if (version) {
+      url = joinRoutePaths(`/${this.versioning.prefix}${version}`, url.replace(/^\//, ''));
+    }
+
+    // Excluded paths are matched against the controller + method path
+    if (this.globalPrefix && !this.globalPrefixExclude.includes(routePath)) {
+      url = joinRoutePaths(`/${this.globalPrefix.replace(/^\/+/, '')}`, url.replace(/^\//, ''));
+    }
+
+    return url;
+  }
+
+  parseDecorators(source) {
+    const decorators = [];
+    const regex = /@([\w.]+)\s*(\()?/g;
+    let match;
+
+    while ((match = regex.exec(source)) !== null) {
+      let args = [];
+      if (match[2]) {
+        const openIndex = match.index + match[0].length - 1;
+        const close = findClosingBracket(source, openIndex);
+        if (close !== -1) {
+          args = this.splitArguments(source.slice(openIndex + 1, close));
+          regex.lastIndex = close + 1;
+        }
+      }
+      decorators.push({ name: match[1].split('.').pop(), args });
+    }
+
+    return decorators;
+  }
+
+  splitArguments(source) {
+    return parseArrayLiteral(`[${source}]`);
+  }
+
+  // Walks a class body collecting each method with the decorators written above it.
+  // Members are only matched where one starts, so calls inside property initialisers
+  // (`logger = new Logger(UsersController.name)`) are skipped rather than read as methods
+  parseMembers(body) {
+    const members = [];
+    let pending = '';
+    let i = 0;
+
+    while (i < body.length) {
+      const skipped = skipNonCode(body, i);
+      if (skipped !== -1) {
+        i = skipped;
+        continue;
+      }
+
+      if (/[\s;]/.test(body[i])) {
+        i++;
+        continue;
+      }
+
+      const rest = body.slice(i);
+
+      const decoratorMatch = rest.match(/^@[\w.]+\s*/);
+      if (decoratorMatch) {
+        let end = i + decoratorMatch[0].length;
+        if (body[end] === '(') {
+          const close = findClosingBracket(body, end);
+          end = close === -1 ? end + 1 : close + 1;
+        }
+        pending += body.slice(i, end) + '\n';
+        i = end;
+        continue;
+      }
+
+      const methodMatch = rest.match(/^(?:(?:public|private|protected|static|async|readonly|override)\s+)*\*?\s*([\w$]+)\s*(?:<[^>(]*>)?\s*\(/);
+      if (methodMatch) {
+        const paramsOpen = i + methodMatch[0].length - 1;
+        const paramsClose = findClosingBracket(body, paramsOpen);
+        const bodyOpen = paramsClose === -1 ? -1 : this.findMethodBodyStart(body, paramsClose + 1);
+        const bodyClose = bodyOpen === -1 ? -1 : findClosingBracket(body, bodyOpen);
+
+        if (bodyClose !== -1) {
+          if (methodMatch[1] !== 'constructor') {
+            members.push({ name: methodMatch[1], decorators: this.parseDecorators(pending) });
+          }
+          pending = '';
+          i = bodyClose + 1;
+          continue;
+        }
+      }
+
+      // Properties, and abstract or overload signatures without a body, end at their statement
+      pending = '';
+      i = this.findStatementEnd(body, i);
+    }
+
+    return members;
+  }
+
+  // Returns the index after a class property such as `private readonly logger = new Logger(X.name);`.
+  // Properties written without a semicolon end at the line break before the next member
+  findStatementEnd(body, index) {
+    let i = index;
+
+    while (i < body.length) {
+      const skipped = skipNonCode(body, i);
+      if (skipped !== -1) {
+        i = skipped;
+        continue;
+      }
+
+      const char = body[i];
+      if (char === ';') {
+        return i + 1;
+      }
+      if (char === '{' || char === '(' || char === '[') {
+        const close = findClosingBracket(body, i);
+        if (close === -1) return body.length;
+        i = close + 1;
+        continue;
+      }
+      if (char === '\n') {
+        const before = body.slice(index, i).trimEnd();
+        const after = body.slice(i).trimStart();
+        if (!/[=,.+\-*/|&?:<>]$/.test(before) && !/^[.?+\-*/|&=:<>]/.test(after)) {
+          return i + 1;
+        }
+      }
+      i++;
+    }
+
+    return body.length;
+  }
+
+  // Skips a return type annotation such as `: Promise<{ id: string }[]>` to reach the method body
+  findMethodBodyStart(body, index) {
+    let expectingType = false;
+    let angleDepth = 0;
+
+    for (let i = index; i < body.length; i++) {
+      const char = body[i];
+
+      if (/\s/.test(char)) continue;
+
+      if (char === '{' && !expectingType && angleDepth === 0) {
+        return i;
+      }
+
+      if (char === '{' || char === '(' || char === '[') {
+        const close = findClosingBracket(body, i);
+        if (close === -1) return -1;
+        i = close;
+        expectingType = false;
+      } else if (char === '<') {
+        angleDepth++;
+      } else if (char === '>' && body[i - 1] !== '=') {
+        angleDepth--;
+      } else if (char === ':' || char === '|' || char === '&' || char === ',' || (char === '>' && body[i - 1] === '=')) {
+        expectingType = true;
+      } else if (char === ';') {
+        // Abstract or overload signature without a body
+        return -1;
+      } else {
+        expectingType = false;
+      }
+    }
+
+    return -1;
+  }
+
+  generateRouteTitle(url) {
+    if (url === '/') return 'Home Page';
+
+    return url
+      .split('/')
+      .filter(Boolean)
+      .map(segment => {
+        // Handle dynamic segments
+        if (segment.startsWith(':')) {
+          return segment.substring(1).charAt(0).toUpperCase() + segment.substring(2);
+        }
+        return segment.charAt(0).toUpperCase() + segment.slice(1);
+      })
+      .join(' ') + ' Page';
+  }
+
+  generateJenkinsConfig() {
+    return {
+      buildCommand: 'npm run build',
+      testCommand: 'npm run test:routes',
+      devCommand: 'npm run start:dev',
+      port: this.devServerPort,
+      environment: {
+        NODE_ENV: 'test'
+      }
+    };
+  }
+}
+
+export default NestjsFramework;
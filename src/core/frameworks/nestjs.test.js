@@ -0,0 +1,57 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import NestjsFramework from './nestjs.js';
+
+let projectPath;
+
+before(async () => {
+  projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'nestjs-scan-'));
+  await fs.writeJson(path.join(projectPath, 'package.json'), { dependencies: { '@nestjs/core': '^10.0.0' } });
+  await fs.outputFile(path.join(projectPath, 'src/users.controller.ts'), `
+import { Controller, Get, Post, Param, Body, Logger } from '@nestjs/common';
+
+@Controller('users')
+export class UsersController {
+  private readonly logger = new Logger(UsersController.name);
+  private readonly cache = new Map<string, User>()
+
+  constructor(private readonly users: UsersService) {}
+
+  @Get()
+  findAll(): Promise<User[]> {
+    return this.users.findAll();
+  }
+
+  @Get(':id')
+  findOne(@Param('id') id: string) {
+    this.logger.log(id);
+    return this.users.find(id);
+  }
+
+  @Post()
+  async create(@Body() dto: CreateUserDto) {
+    return this.users.create(dto);
+  }
+}
+`);
+});
+
+after(async () => {
+  await fs.remove(projectPath);
+});
+
+test('reads controller methods declared after class properties with initialisers', async () => {
+  const originalLog = console.log;
+  console.log = () => {};
+  const routes = await new NestjsFramework(projectPath).scanRoutes().finally(() => {
+    console.log = originalLog;
+  });
+
+  assert.deepEqual(
+    routes.api.map(route => `${route.method} ${route.url} ${route.handler}`),
+    ['GET /users UsersController.findAll', 'GET /users/:id UsersController.findOne', 'POST /users UsersController.create']
+  );
+});
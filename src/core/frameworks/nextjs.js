@@ -1,12 +1,28 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { glob } from 'glob';
+import {
+  resolveIdentifierValue,
+  parseObjectLiteral,
+  parseArrayLiteral,
+  evaluateLiteral,
+  extractBalanced,
+  readStringList,
+  findExportedNames,
+  isPathWithin
+} from '../utils/source-parser.js';
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
 
 export class NextjsFramework {
   constructor(projectPath) {
     this.projectPath = projectPath;
     this.hasAppRouter = false;
     this.hasPagesRouter = false;
+    this.middleware = null;
+    this.loginUrl = null;
+    this.notFoundPage = null;
+    this.nextConfig = null;
   }
 
   async detect() {
@@ -45,37 +61,261 @@ export class NextjsFramework {
       await this.scanPagesRouter(routes);
     }
     
+    this.middleware = await this.readMiddleware();
+    if (this.middleware) {
+      this.applyMiddleware(routes);
+    }
+    
+    this.nextConfig = await this.getNextConfig();
+    if (this.nextConfig.exists) {
+      this.applyNextConfig(routes);
+    }
+    
     return routes;
   }
 
+  async readMiddleware() {
+    // middleware.ts (renamed to proxy.ts in Next.js 16) lives in the project root or src/
+    const candidates = ['', 'src'].flatMap(dir =>
+      ['middleware', 'proxy'].flatMap(name =>
+        ['ts', 'js', 'mjs'].map(extension => path.join(this.projectPath, dir, `${name}.${extension}`))));
+    
+    for (const filePath of candidates) {
+      if (!await fs.pathExists(filePath)) {
+        continue;
+      }
+      
+      const content = await fs.readFile(filePath, 'utf8');
+      const redirect = this.findMiddlewareRedirect(content);
+      const rejectsApi = /status\s*:\s*401|NextResponse\.json\s*\([^)]*401|Unauthorized/.test(content);
+      
+      // i18n or header-only middleware doesn't protect anything
+      if (!/auth|session|token|jwt|cookie|user/i.test(content) || (!redirect && !rejectsApi)) {
+        console.log(`⚠️ ${path.basename(filePath)} found but it doesn't look like auth middleware`);
+        return null;
+      }
+      
+      // export const config = { matcher: ['/dashboard/:path*', '/((?!api|_next/static).*)'] }
+      const config = parseObjectLiteral(resolveIdentifierValue(content, 'config'));
+      const matcherValue = evaluateLiteral(config.matcher);
+      const matchers = [].concat(matcherValue ?? [])
+        .map(matcher => typeof matcher === 'string' ? matcher : matcher?.source)
+        .filter(Boolean);
+      
+      const middleware = {
+        file: path.relative(this.projectPath, filePath),
+        matchers: matchers.map(matcher => this.convertMatcherToRegExp(matcher)),
+        publicPaths: this.findPublicPaths(content),
+        redirect
+      };
+      
+      console.log(`⚙️ Next.js middleware: ${middleware.file} (matcher: ${matchers.length ? matchers.join(', ') : 'all routes'}${redirect ? `, redirects to ${redirect}` : ''})`);
+      return middleware;
+    }
+    
+    return null;
+  }
+
+  findMiddlewareRedirect(content) {
+    // export { default } from 'next-auth/middleware' / withAuth({ pages: { signIn: '/login' } })
+    if (/from\s+['"]next-auth\/middleware['"]/.test(content)) {
+      const signIn = content.match(/signIn\s*:\s*(['"`])(\/[^'"`]*)\1/);
+      return signIn ? signIn[2] : '/api/auth/signin';
+    }
+    
+    const patterns = [
+      // NextResponse.redirect(new URL('/signin', request.url))
+      /\.redirect\s*\(\s*new\s+URL\s*\(\s*(['"`])(\/[^'"`]*)\1/,
+      // url.pathname = '/login'; return NextResponse.redirect(url)
+      /\.pathname\s*=\s*(['"`])(\/[^'"`]*)\1/,
+      // NextResponse.redirect(`${origin}/login`)
+      /\.redirect\s*\(\s*`\$\{[^}]+\}(\/[^`?#$]*)/
+    ];
+    
+    for (const pattern of patterns) {
+      const match = content.match(pattern);
+      if (match) {
+        return (match[2] ?? match[1]).split(/[?#$]/)[0] || '/';
+      }
+    }
+    
+    return null;
+  }
+
+  // const publicRoutes = ['/', '/login', '/register'] lets anonymous users through
+  findPublicPaths(content) {
+    const paths = [];
+    const declarationRegex = /(?:const|let|var)\s+([\w$]*[Pp]ublic[\w$]*)\s*(?::[^=]+)?=\s*(?:new\s+Set\s*\(\s*)?(?=\[)/g;
+    let match;
+    
+    while ((match = declarationRegex.exec(content)) !== null) {
+      paths.push(...readStringList(extractBalanced(content, match.index + match[0].length)));
+    }
+    
+    return paths;
+  }
+
+  // Converts a path-to-regexp matcher ('/dashboard/:path*', '/api/:path+',
+  // '/((?!api|_next/static).*)') into a RegExp tested against route URLs
+  convertMatcherToRegExp(matcher) {
+    let source = '';
+    
+    for (let i = 0; i < matcher.length; i++) {
+      const char = matcher[i];
+      let segment = null;
+      
+      if (char === ':') {
+        const name = matcher.slice(i + 1).match(/^\w+/)?.[0] || '';
+        i += name.length;
+        segment = '[^/]+';
+        if (matcher[i + 1] === '(') {
+          const group = extractBalanced(matcher, i + 1) || '()';
+          segment = group.slice(1, -1);
+          i += group.length;
+        }
+      } else if (char === '(') {
+        const group = extractBalanced(matcher, i) || '()';
+        segment = group.slice(1, -1);
+        i += group.length - 1;
+      }
+      
+      if (segment === null) {
+        source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        continue;
+      }
+      
+      // A modifier applies to the whole segment, including the slash before it
+      const modifier = /[*+?]/.test(matcher[i + 1]) ? matcher[++i] : '';
+      const hasPrefix = source.endsWith('/');
+      const repeated = `(?:${segment})(?:/(?:${segment}))*`;
+      
+      if (hasPrefix && modifier) {
+        source = source.slice(0, -1);
+        source += modifier === '*' ? `(?:/${repeated})?` : modifier === '+' ? `/${repeated}` : `(?:/(?:${segment}))?`;
+      } else {
+        source += modifier === '*' ? `(?:${repeated})?` : modifier === '+' ? repeated : `(?:${segment})${modifier}`;
+      }
+    }
+    
+    return new RegExp(`^${source}/?$`);
+  }
+
+  isCoveredByMiddleware(url) {
+    const { matchers, publicPaths, redirect } = this.middleware;
+    
+    // The login page itself has to stay reachable
+    if (url === redirect || publicPaths.includes(url)) {
+      return false;
+    }
+    
+    return matchers.length === 0 || matchers.some(matcher => matcher.test(url));
+  }
+
+  applyMiddleware(routes) {
+    const { file, redirect } = this.middleware;
+    
+    if (redirect) {
+      this.loginUrl = redirect;
+    }
+    
+    const stillPublic = [];
+    for (const route of routes.public) {
+      if (!this.isCoveredByMiddleware(route.url)) {
+        stillPublic.push(route);
+        continue;
+      }
+      
+      console.log(`  🔒 ${route.url} is covered by ${file}`);
+      const { expectedStatus, ...rest } = route;
+      routes.protected.push({
+        ...rest,
+        requiresAuth: true,
+        expectedRedirect: redirect || '/login',
+        authMiddleware: [file]
+      });
+    }
+    routes.public = stillPublic;
+    
+    for (const route of routes.protected) {
+      if (redirect) {
+        route.expectedRedirect = redirect;
+      }
+      if (!route.authMiddleware && this.isCoveredByMiddleware(route.url)) {
+        route.authMiddleware = [file];
+      }
+    }
+    
+    for (const route of routes.api) {
+      if (this.isCoveredByMiddleware(route.url)) {
+        route.authMiddleware = [file];
+      }
+    }
+  }
+
   async scanAppRouter(routes) {
     const appDir = path.join(this.projectPath, 'app');
+    // Folders prefixed with _ are private and opt out of routing
+    const ignore = ['**/_*/**'];
     
     // Find all page files
-    const pageFiles = await glob('**/page.{js,jsx,ts,tsx}', { cwd: appDir });
+    const pageFiles = await glob('**/page.{js,jsx,ts,tsx}', { cwd: appDir, ignore });
     
     // Find all route files (API routes)
-    const routeFiles = await glob('**/route.{js,jsx,ts,tsx}', { cwd: appDir });
+    const routeFiles = await glob('**/route.{js,jsx,ts,tsx}', { cwd: appDir, ignore });
+    
+    // loading/error/not-found boundaries apply to every page below them
+    const boundaryFiles = await glob('**/{loading,error,not-found}.{js,jsx,ts,tsx}', { cwd: appDir, ignore });
     
     console.log('📁 App Router - Found page files:', pageFiles);
     console.log('📁 App Router - Found route files:', routeFiles);
     
+    const rootNotFound = boundaryFiles.find(file => /^not-found\./.test(file));
+    if (rootNotFound) {
+      const content = await fs.readFile(path.join(appDir, rootNotFound), 'utf8');
+      this.notFoundPage = {
+        file: path.join('app', rootNotFound),
+        text: this.extractHeadingText(content)
+      };
+      console.log(`📁 App Router - Custom not-found page: ${this.notFoundPage.file}`);
+    }
+    
+    // Real pages first so parallel slots that resolve to the same URL are dropped
+    const seenUrls = new Set();
+    const sortedPageFiles = [...pageFiles].sort((a, b) => a.includes('@') - b.includes('@'));
+    
     // Process page files
-    for (const file of pageFiles) {
+    for (const file of sortedPageFiles) {
       console.log(`Processing page file: ${file}`);
       
       // Convert file path to URL path
       const routePath = this.convertAppRouterPathToUrl(file);
       console.log(`  → Converted to route: ${routePath}`);
       
+      // (.)photo / (..)photo only render during client-side navigation;
+      // loading the URL directly renders the page they intercept
+      if (/(?:^|\/)\(\.{1,3}\)/.test(file)) {
+        console.log(`  → Skipping intercepting route for ${routePath}`);
+        continue;
+      }
+      
+      if (seenUrls.has(routePath)) {
+        console.log(`  → Skipping parallel route slot already covered by ${routePath}`);
+        continue;
+      }
+      seenUrls.add(routePath);
+      
       const isProtected = this.isProtectedRoute(routePath);
+      const boundaries = this.findBoundaries(file, boundaryFiles);
+      const staticParams = this.extractStaticParams(await fs.readFile(path.join(appDir, file), 'utf8'), routePath);
       
       const route = {
         url: routePath,
         title: this.generateRouteTitle(routePath),
         file: path.join(appDir, file),
         type: 'page',
-        framework: 'nextjs'
+        framework: 'nextjs',
+        ...(Object.keys(boundaries).length > 0 && { boundaries }),
+        ...(staticParams && { staticParams })
       };
       
       if (isProtected) {
@@ -99,16 +339,22 @@ export class NextjsFramework {
       const routePath = this.convertAppRouterPathToUrl(file);
       console.log(`  → Converted to API route: ${routePath}`);
       
-      routes.api.push({
-        url: routePath,
-        title: this.generateRouteTitle(routePath),
-        method: 'GET', // Default, could be enhanced to detect actual methods
-        file: path.join(appDir, file),
-        type: 'api',
-        framework: 'nextjs',
-        requiresAuth: true,
-        expectedStatus: 401
-      });
+      const filePath = path.join(appDir, file);
+      const methods = this.extractRouteHandlerMethods(await fs.readFile(filePath, 'utf8'));
+      console.log(`  → Methods: ${methods.join(', ')}`);
+      
+      for (const method of methods) {
+        routes.api.push({
+          url: routePath,
+          title: `${this.generateRouteTitle(routePath).replace(/ Page$/, ' API')} (${method})`,
+          method,
+          file: filePath,
+          type: 'api',
+          framework: 'nextjs',
+          requiresAuth: true,
+          expectedStatus: 401
+        });
+      }
     }
   }
 
@@ -129,22 +375,29 @@ export class NextjsFramework {
       const isApiRoute = file.startsWith('api/');
       
       if (isApiRoute) {
-        routes.api.push({
-          url: routePath,
-          title: this.generateRouteTitle(routePath),
-          method: 'GET',
-          file: path.join(pagesDir, file),
-          type: 'api',
-          requiresAuth: true,
-          expectedStatus: 401
-        });
+        const filePath = path.join(pagesDir, file);
+        const methods = this.extractApiHandlerMethods(await fs.readFile(filePath, 'utf8'));
+        
+        for (const method of methods) {
+          routes.api.push({
+            url: routePath,
+            title: `${this.generateRouteTitle(routePath).replace(/ Page$/, ' API')} (${method})`,
+            method,
+            file: filePath,
+            type: 'api',
+            requiresAuth: true,
+            expectedStatus: 401
+          });
+        }
       } else {
         const isProtected = this.isProtectedRoute(routePath);
+        const staticParams = this.extractStaticParams(await fs.readFile(path.join(pagesDir, file), 'utf8'), routePath);
         const route = {
           url: routePath,
           title: this.generateRouteTitle(routePath),
           file: path.join(pagesDir, file),
-          type: 'page'
+          type: 'page',
+          ...(staticParams && { staticParams })
         };
         
         if (isProtected) {
@@ -163,55 +416,176 @@ export class NextjsFramework {
     }
   }
 
-  convertAppRouterPathToUrl(filePath) {
-    console.log(`Converting file path: "${filePath}"`);
+  // generateStaticParams() returning [{ slug: 'a' }] or getStaticPaths() returning
+  // { paths: [{ params: { id: '1' } }, '/posts/2'] } when the values are literals
+  extractStaticParams(content, routePath) {
+    const functionMatch = content.match(/(?:function\s+|const\s+)(generateStaticParams|getStaticPaths)\b/);
+    if (!functionMatch) {
+      return null;
+    }
     
-    // Normalize Windows backslashes to forward slashes
-    let url = filePath.replace(/\\/g, '/');
+    const rest = content.slice(functionMatch.index);
+    const returnMatch = rest.match(/\breturn\s*(?=[[{])/);
+    const value = returnMatch && evaluateLiteral(
+      extractBalanced(rest, returnMatch.index + returnMatch[0].length),
+      name => resolveIdentifierValue(content, name)
+    );
+    
+    // An empty list means the params are computed (e.g. fetched from a CMS)
+    const entries = Array.isArray(value) ? value : Array.isArray(value?.paths) ? value.paths : [];
+    return entries
+      .map(entry => typeof entry === 'string' ? this.matchStaticPath(routePath, entry) : functionMatch[1] === 'generateStaticParams' ? entry : entry?.params)
+      .filter(entry => entry && typeof entry === 'object');
+  }
+
+  // Reads params back out of a concrete path: ('/posts/:id', '/posts/2') -> { id: '2' }
+  matchStaticPath(routePath, urlPath) {
+    const names = [];
+    const source = routePath.replace(/(\/?):(\w+)(\*)?|\*|[.+?^${}()|[\]\\]/g, (match, slash, name, optional) => {
+      if (match === '*' || name) {
+        names.push(name || '*');
+        return match === '*' ? '(.+)' : optional ? `(?:${slash}(.*))?` : `${slash}([^/]+)`;
+      }
+      return `\\${match}`;
+    });
+    
+    const match = urlPath.replace(/(.)\/$/, '$1').match(new RegExp(`^${source}$`));
+    return match ? Object.fromEntries(names.map((name, index) => [name, match[index + 1]])) : null;
+  }
+
+  extractRouteHandlerMethods(content) {
+    // export async function POST() / export const GET = ... / export { handler as GET, handler as POST }
+    const exported = findExportedNames(content);
+    const methods = HTTP_METHODS.filter(method => exported.has(method));
+    
+    return methods.length > 0 ? methods : ['GET'];
+  }
+
+  extractApiHandlerMethods(content) {
+    const methods = new Set();
+    
+    // if (req.method === 'POST') / if (method !== 'GET') return res.status(405)
+    const comparisonRegex = /\bmethod\s*[!=]==?\s*['"`](\w+)['"`]|['"`](\w+)['"`]\s*[!=]==?\s*(?:\w+\.)?method\b/g;
+    let match;
+    while ((match = comparisonRegex.exec(content)) !== null) {
+      methods.add((match[1] || match[2]).toUpperCase());
+    }
     
-    // Remove the page.tsx or route.tsx file name (handle both with and without leading slash)
-    url = url.replace(/^(page|route)\.(js|jsx|ts|tsx)$/, '');
-    url = url.replace(/\/(page|route)\.(js|jsx|ts|tsx)$/, '');
+    // switch (req.method) { case 'GET': ... }
+    const switchMatch = content.match(/switch\s*\(\s*(?:[\w$]+\.)?method\s*\)\s*(?=\{)/);
+    if (switchMatch) {
+      const body = extractBalanced(content, switchMatch.index + switchMatch[0].length) || '';
+      for (const caseMatch of body.matchAll(/case\s+['"`](\w+)['"`]\s*:/g)) {
+        methods.add(caseMatch[1].toUpperCase());
+      }
+    }
     
-    // Remove route groups like (auth), (dashboard)
-    url = url.replace(/\([^)]*\)/g, '');
+    // res.setHeader('Allow', ['GET', 'POST'])
+    const allowMatch = content.match(/setHeader\s*\(\s*['"]Allow['"]\s*,\s*(\[[^\]]*\]|['"][^'"]*['"])/);
+    if (allowMatch) {
+      const allowed = readStringList(allowMatch[1]).flatMap(value => value.split(/\s*,\s*/));
+      allowed.forEach(method => methods.add(method.toUpperCase()));
+    }
     
-    // Convert [...slug] to * (catch-all routes)
-    url = url.replace(/\[\.\.\.(\w+)\]/g, '*');
+    // next-connect: router.get(handler).post(handler)
+    if (/next-connect/.test(content)) {
+      for (const connectMatch of content.matchAll(/\.(get|post|put|patch|delete|head|options)\s*\(/g)) {
+        methods.add(connectMatch[1].toUpperCase());
+      }
+    }
+    
+    const supported = HTTP_METHODS.filter(method => methods.has(method));
+    return supported.length > 0 ? supported : ['GET'];
+  }
+
+  convertAppRouterPathToUrl(filePath) {
+    console.log(`Converting file path: "${filePath}"`);
     
-    // Convert [id] to :id (dynamic routes)
-    url = url.replace(/\[(\w+)\]/g, ':$1');
+    // Normalize Windows backslashes to forward slashes
+    const segments = filePath.replace(/\\/g, '/').split('/');
     
-    // Clean up multiple slashes
-    url = url.replace(/\/+/g, '/');
+    // Remove the page.tsx or route.tsx file name
+    if (/^(page|route)\.(js|jsx|ts|tsx)$/.test(segments[segments.length - 1])) {
+      segments.pop();
+    }
     
-    // Handle empty string or root case first
-    if (!url || url === '' || url === '/') {
-      url = '/';
-    } else {
-      // Add leading slash if needed
-      if (!url.startsWith('/')) {
-        url = '/' + url;
+    const urlSegments = [];
+    for (let segment of segments) {
+      // Parallel route slots like @modal don't appear in the URL
+      if (!segment || segment.startsWith('@')) {
+        continue;
       }
       
-      // Remove trailing slash except for root
-      if (url !== '/' && url.endsWith('/')) {
-        url = url.slice(0, -1);
+      // Intercepting segments: (.) same level, (..) one level up, (..)(..) two, (...) root
+      const interceptMatch = segment.match(/^((?:\(\.{1,3}\))+)(.*)$/);
+      if (interceptMatch) {
+        const markers = interceptMatch[1].match(/\(\.{1,3}\)/g);
+        if (markers[0] === '(...)') {
+          urlSegments.length = 0;
+        } else {
+          markers.filter(marker => marker === '(..)').forEach(() => urlSegments.pop());
+        }
+        segment = interceptMatch[2];
       }
+      
+      // Remove route groups like (auth), (dashboard)
+      if (!segment || /^\(.*\)$/.test(segment)) {
+        continue;
+      }
+      
+      urlSegments.push(segment
+        .replace(/^\[\[\.\.\.([\w-]+)\]\]$/, ':$1*') // [[...slug]] -> :slug* (optional catch-all)
+        .replace(/^\[\.\.\.([\w-]+)\]$/, '*') // [...slug] -> * (catch-all)
+        .replace(/^\[([\w-]+)\]$/, ':$1') // [id] -> :id
+        .replace(/%5F/gi, '_')); // %5Ffolder is a routable folder starting with _
     }
     
+    const url = '/' + urlSegments.join('/');
+    
     console.log(`  → Final URL: "${url}"`);
     
     return url;
   }
 
+  // Nearest loading/error/not-found file at or above the page's folder
+  findBoundaries(pageFile, boundaryFiles) {
+    const boundaries = {};
+    const kinds = { loading: 'loading', error: 'error', 'not-found': 'notFound' };
+    let dir = path.posix.dirname(pageFile.replace(/\\/g, '/'));
+    
+    while (true) {
+      for (const [fileName, key] of Object.entries(kinds)) {
+        if (boundaries[key]) continue;
+        
+        const match = boundaryFiles.find(file => {
+          const normalized = file.replace(/\\/g, '/');
+          return path.posix.dirname(normalized) === dir && normalized.slice(dir === '.' ? 0 : dir.length + 1).startsWith(`${fileName}.`);
+        });
+        if (match) {
+          boundaries[key] = path.join('app', match);
+        }
+      }
+      
+      if (dir === '.') break;
+      dir = path.posix.dirname(dir);
+    }
+    
+    return boundaries;
+  }
+
+  // First heading-like text in a page component (used to recognise the custom 404 page)
+  extractHeadingText(content) {
+    const match = content.match(/<(h1|h2|h3|title|p)\b[^>]*>\s*([^<{]+?)\s*<\/\1>/);
+    return match ? match[2] : null;
+  }
+
   convertPagesRouterPathToUrl(filePath) {
     // Normalize Windows backslashes to forward slashes
     const normalizedPath = filePath.replace(/\\/g, '/');
     
     let url = '/' + normalizedPath
       .replace(/\.(js|jsx|ts|tsx)$/, '') // Remove file extension
-      .replace(/\/index$/, '') // Remove /index from the end
+      .replace(/(^|\/)index$/, '') // Remove /index from the end (and a root index)
       .replace(/\[\.\.\.(\w+)\]/g, '*') // Convert [...slug] to *
       .replace(/\[(\w+)\]/g, ':$1') // Convert [id] to :id
       .replace(/\/+/g, '/') // Clean up multiple slashes
@@ -248,24 +622,211 @@ export class NextjsFramework {
   }
 
   async getNextConfig() {
-    const configFiles = ['next.config.js', 'next.config.mjs'];
+    const configFiles = ['next.config.js', 'next.config.mjs', 'next.config.ts', 'next.config.cjs'];
     
     for (const configFile of configFiles) {
       const configPath = path.join(this.projectPath, configFile);
-      if (await fs.pathExists(configPath)) {
-        try {
-          // For now, just return that config exists
-          // Could be enhanced to parse actual config values
-          return { exists: true, file: configFile };
-        } catch (error) {
-          continue;
-        }
+      if (!await fs.pathExists(configPath)) {
+        continue;
+      }
+      
+      try {
+        const content = await fs.readFile(configPath, 'utf8');
+        const properties = parseObjectLiteral(this.findNextConfigObject(content));
+        
+        // Values are evaluated statically; anything computed at runtime is ignored
+        const resolveIdentifier = name => resolveIdentifierValue(content, name) ||
+          content.match(new RegExp(`(?:const|let|var)\\s+${name.replace(/\$/g, '\\$')}\\s*(?::[^=]+)?=\\s*(['"\`][^'"\`]*['"\`]|true|false|\\d+)`))?.[1] ||
+          null;
+        const evaluate = raw => evaluateLiteral(raw, resolveIdentifier);
+        const i18n = evaluate(properties.i18n);
+        
+        return {
+          exists: true,
+          file: configFile,
+          basePath: evaluate(properties.basePath) || '',
+          trailingSlash: evaluate(properties.trailingSlash) === true,
+          i18n: Array.isArray(i18n?.locales) ? i18n : null,
+          redirects: this.evaluateConfigRoutes(properties.redirects, evaluate),
+          rewrites: this.evaluateConfigRoutes(properties.rewrites, evaluate)
+        };
+      } catch (error) {
+        continue;
       }
     }
     
     return { exists: false };
   }
 
+  findNextConfigObject(content) {
+    // module.exports = { ... } / export default nextConfig / export default withMDX(withBundleAnalyzer(nextConfig))
+    const exportMatch = content.match(/(?:module\.exports\s*=|export\s+default)\s*/);
+    if (!exportMatch) {
+      return null;
+    }
+    
+    let value = content.slice(exportMatch.index + exportMatch[0].length);
+    let pluginMatch;
+    while ((pluginMatch = value.match(/^[\w$.]+\s*\(\s*/))) {
+      value = value.slice(pluginMatch[0].length);
+    }
+    
+    if (value.startsWith('{')) {
+      return extractBalanced(value, 0);
+    }
+    
+    const name = value.match(/^[\w$]+/)?.[0];
+    return name ? resolveIdentifierValue(content, name) : null;
+  }
+
+  // async redirects() { return [...] } / rewrites: async () => ({ beforeFiles: [...], afterFiles: [...] })
+  evaluateConfigRoutes(raw, evaluate) {
+    if (!raw) {
+      return [];
+    }
+    
+    const returnMatch = raw.match(/\breturn\s*(?=[[{])/) || raw.match(/=>\s*\(?\s*(?=[[{])/);
+    const value = returnMatch ? extractBalanced(raw, returnMatch.index + returnMatch[0].length) : null;
+    if (!value) {
+      return [];
+    }
+    
+    const entries = value.startsWith('[')
+      ? parseArrayLiteral(value)
+      : Object.values(parseObjectLiteral(value)).flatMap(phase => typeof phase === 'string' ? parseArrayLiteral(phase) : []);
+    
+    const routes = [];
+    for (const entry of entries) {
+      const evaluated = entry.startsWith('...') ? evaluate(entry.slice(3)) : [evaluate(entry)];
+      for (const route of [].concat(evaluated ?? [])) {
+        if (typeof route?.source === 'string' && typeof route.destination === 'string') {
+          routes.push(route);
+        }
+      }
+    }
+    
+    return routes;
+  }
+
+  applyNextConfig(routes) {
+    const { basePath, trailingSlash, i18n, redirects, rewrites } = this.nextConfig;
+    const pagesDir = path.join(this.projectPath, 'pages');
+    
+    console.log(`⚙️ Next.js config: ${this.nextConfig.file}${basePath ? ` (basePath: ${basePath})` : ''}${i18n ? ` (locales: ${i18n.locales.join(', ')})` : ''}`);
+    
+    // Rewritten URLs serve the page they point to
+    for (const rewrite of rewrites) {
+      if (!rewrite.destination.startsWith('/') || rewrite.has || rewrite.missing) {
+        continue;
+      }
+      
+      const pattern = this.normalizeParams(rewrite.destination);
+      for (const type of ['public', 'protected']) {
+        const target = routes[type].find(route => this.normalizeParams(route.url) === pattern);
+        if (target && !routes[type].some(route => route.url === rewrite.source)) {
+          console.log(`  ✅ Found rewrite: ${rewrite.source} → ${rewrite.destination}`);
+          routes[type].push({
+            ...target,
+            url: rewrite.source,
+            title: this.generateRouteTitle(rewrite.source),
+            rewriteOf: target.url
+          });
+        }
+      }
+    }
+    
+    // i18n only applies to the Pages Router: the default locale is served without a prefix
+    if (i18n) {
+      for (const type of ['public', 'protected']) {
+        routes[type] = routes[type].flatMap(route => {
+          if (!route.file?.startsWith(pagesDir)) {
+            return [route];
+          }
+          
+          return i18n.locales.map(locale => locale === i18n.defaultLocale
+            ? { ...route, locale }
+            : {
+              ...route,
+              url: `/${locale}${route.url === '/' ? '' : route.url}`,
+              title: `${route.title} (${locale})`,
+              locale
+            });
+        });
+      }
+    }
+    
+    // Scanned routes never include basePath, but redirect targets may already be written with it
+    const withBasePath = (url, { unlessPrefixed = false } = {}) => {
+      const skip = !basePath || !url.startsWith('/') || (unlessPrefixed && isPathWithin(basePath, url.split(/[?#]/)[0]));
+      const prefixed = skip ? url : basePath + (url === '/' ? '' : url);
+      return trailingSlash && !prefixed.endsWith('/') && !/\.\w+$/.test(prefixed) ? `${prefixed}/` : prefixed;
+    };
+    const withBasePathTarget = url => withBasePath(url, { unlessPrefixed: true });
+    
+    for (const route of [...routes.public, ...routes.protected, ...routes.api]) {
+      route.url = withBasePath(route.url);
+      if (route.expectedRedirect) {
+        route.expectedRedirect = withBasePathTarget(route.expectedRedirect);
+      }
+    }
+    if (this.loginUrl) {
+      this.loginUrl = withBasePathTarget(this.loginUrl);
+    }
+    
+    routes.redirects = [];
+    for (const redirect of redirects) {
+      const sample = this.sampleRedirect(redirect);
+      if (!sample) {
+        console.log(`  ⚠️ Skipping redirect ${redirect.source} - needs request conditions or custom regex params`);
+        continue;
+      }
+      
+      const statusCode = redirect.statusCode || (redirect.permanent ? 308 : 307);
+      
+      console.log(`  ✅ Found redirect: ${redirect.source} → ${statusCode} → ${redirect.destination}`);
+      routes.redirects.push({
+        url: redirect.basePath === false ? sample.url : withBasePath(sample.url),
+        title: `Redirect ${redirect.source}`,
+        source: redirect.source,
+        destination: redirect.destination,
+        statusCode,
+        expectedLocation: redirect.basePath === false ? sample.destination : withBasePathTarget(sample.destination),
+        framework: 'nextjs'
+      });
+    }
+  }
+
+  // Fills route params with sample values: /old-blog/:slug -> /old-blog/example
+  sampleRedirect(redirect) {
+    if (redirect.has || redirect.missing) {
+      return null;
+    }
+    
+    const params = {};
+    let valid = true;
+    
+    const url = redirect.source.replace(/:(\w+)(\([^)]*\))?[*+?]?|\([^)]*\)/g, (match, name, pattern) => {
+      if (!name || (pattern && !/^\(\\d/.test(pattern))) {
+        valid = false;
+        return match;
+      }
+      params[name] = pattern ? '1' : 'example';
+      return params[name];
+    });
+    
+    if (!valid) {
+      return null;
+    }
+    
+    const destination = redirect.destination.replace(/:(\w+)[*+?]?/g, (match, name) => params[name] ?? match);
+    return { url, destination };
+  }
+
+  // /blog/:slug and /blog/:id describe the same route
+  normalizeParams(url) {
+    return url.replace(/:\w+[*+?]?/g, ':param').replace(/\/$/, '') || '/';
+  }
+
   generateJenkinsConfig() {
     return {
       buildCommand: 'npm run build',
@@ -0,0 +1,113 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import NextjsFramework from './nextjs.js';
+
+let projectPath;
+let configProjectPath;
+
+async function scan(root) {
+  const originalLog = console.log;
+  console.log = () => {};
+  const framework = new NextjsFramework(root);
+  return framework.detect().then(() => framework.scanRoutes()).finally(() => {
+    console.log = originalLog;
+  });
+}
+
+before(async () => {
+  projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'nextjs-scan-'));
+  await fs.writeJson(path.join(projectPath, 'package.json'), { dependencies: { next: '^14.0.0' } });
+  await fs.outputFile(path.join(projectPath, 'middleware.ts'), `
+import { NextResponse } from 'next/server';
+
+export function middleware(request) {
+  if (!request.cookies.get('session')) {
+    return NextResponse.redirect(new URL('/signin', request.url));
+  }
+  return NextResponse.next();
+}
+
+export const config = {
+  matcher: ['/team/:path*', { source: '/api/users/:path*' }, '/((?!api|_next/static|_next/image|favicon.ico|signin).*)']
+};
+`);
+
+  for (const page of ['', 'signin', 'team', 'team/members', 'pricing']) {
+    await fs.outputFile(path.join(projectPath, 'app', page, 'page.tsx'), 'export default function Page() { return null; }\n');
+  }
+  for (const route of ['users', 'health']) {
+    await fs.outputFile(path.join(projectPath, 'app/api', route, 'route.ts'), 'export async function GET() {}\n');
+  }
+
+  configProjectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'nextjs-scan-'));
+  await fs.writeJson(path.join(configProjectPath, 'package.json'), { dependencies: { next: '^14.0.0' } });
+  await fs.outputFile(path.join(configProjectPath, 'next.config.js'), `
+module.exports = {
+  basePath: '/docs',
+  i18n: { locales: ['en', 'fr'], defaultLocale: 'en' },
+  async rewrites() {
+    return [{ source: '/guides/:slug', destination: '/articles/:slug' }];
+  },
+  async redirects() {
+    return [
+      { source: '/old-search', destination: '/docsearch', permanent: true },
+      { source: '/home', destination: '/docs', basePath: false, permanent: false }
+    ];
+  }
+};
+`);
+
+  for (const page of ['index', 'docsearch', 'articles/[slug]']) {
+    await fs.outputFile(path.join(configProjectPath, 'pages', `${page}.tsx`), 'export default function Page() { return null; }\n');
+  }
+});
+
+after(async () => {
+  await fs.remove(projectPath);
+  await fs.remove(configProjectPath);
+});
+
+test('protects exactly the routes the middleware matcher covers', async () => {
+  const routes = await scan(projectPath);
+
+  const guardedBy = route => route.authMiddleware?.join(',') || null;
+  assert.deepEqual(routes.public.map(route => route.url), ['/signin']);
+  assert.deepEqual(
+    Object.fromEntries(routes.protected.map(route => [route.url, [guardedBy(route), route.expectedRedirect]])),
+    {
+      '/': ['middleware.ts', '/signin'],
+      '/pricing': ['middleware.ts', '/signin'],
+      '/team': ['middleware.ts', '/signin'],
+      '/team/members': ['middleware.ts', '/signin']
+    }
+  );
+  assert.deepEqual(
+    Object.fromEntries(routes.api.map(route => [route.url, guardedBy(route)])),
+    { '/api/users': 'middleware.ts', '/api/health': null }
+  );
+});
+
+test('prefixes every route with basePath and expands locales and rewrites', async () => {
+  const routes = await scan(configProjectPath);
+
+  assert.deepEqual(routes.public.map(route => route.url).sort(), [
+    '/docs',
+    '/docs/articles/:slug',
+    '/docs/docsearch',
+    '/docs/fr',
+    '/docs/fr/articles/:slug',
+    '/docs/fr/docsearch',
+    '/docs/fr/guides/:slug',
+    '/docs/guides/:slug'
+  ]);
+  assert.deepEqual(
+    routes.redirects.map(({ url, statusCode, expectedLocation }) => ({ url, statusCode, expectedLocation })),
+    [
+      { url: '/docs/old-search', statusCode: 308, expectedLocation: '/docs/docsearch' },
+      { url: '/home', statusCode: 307, expectedLocation: '/docs' }
+    ]
+  );
+});
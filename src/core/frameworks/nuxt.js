@@ -0,0 +1,284 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import {
+  findCalls,
+  parseObjectLiteral,
+  readBooleanLiteral,
+  readStringList
+} from '../utils/source-parser.js';
+
+export class NuxtFramework {
+  constructor(projectPath) {
+    this.projectPath = projectPath;
+    this.srcDir = projectPath;
+    this.globalAuthMiddleware = null;
+    this.middlewareRedirects = {};
+    this.loginUrl = '/login';
+  }
+
+  async detect() {
+    const packageJsonPath = path.join(this.projectPath, 'package.json');
+
+    if (!await fs.pathExists(packageJsonPath)) {
+      return false;
+    }
+
+    const packageJson = await fs.readJson(packageJsonPath);
+    const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+    const version = deps.nuxt || deps['@nuxt/core'] || deps['@nuxt/kit'];
+
+    if (!version) {
+      return false;
+    }
+
+    // Nuxt 4 moved pages/ under app/
+    if (await fs.pathExists(path.join(this.projectPath, 'app', 'pages'))) {
+      this.srcDir = path.join(this.projectPath, 'app');
+    } else if (await fs.pathExists(path.join(this.projectPath, 'src', 'pages'))) {
+      this.srcDir = path.join(this.projectPath, 'src');
+    }
+
+    return {
+      name: 'nuxt',
+      version,
+      srcDir: this.srcDir
+    };
+  }
+
+  async scanRoutes() {
+    const routes = { public: [], protected: [], api: [] };
+
+    await this.scanMiddleware();
+    await this.scanPages(routes);
+    await this.scanServerRoutes(routes);
+
+    if (routes.public.length + routes.protected.length === 0) {
+      routes.public.push({ url: '/', title: 'Home Page', framework: 'nuxt', expectedStatus: 200 });
+    }
+
+    return routes;
+  }
+
+  async scanMiddleware() {
+    const middlewareDir = path.join(this.srcDir, 'middleware');
+
+    if (!await fs.pathExists(middlewareDir)) {
+      return;
+    }
+
+    const middlewareFiles = await glob('**/*.{js,ts}', { cwd: middlewareDir });
+
+    for (const file of middlewareFiles) {
+      const name = file.replace(/\\/g, '/').replace(/\.(js|ts)$/, '').replace(/\.global$/, '');
+
+      try {
+        const content = await fs.readFile(path.join(middlewareDir, file), 'utf8');
+
+        // navigateTo('/login') / redirect('/login')
+        const redirectMatch = content.match(/(?:navigateTo|redirect)\s*\(\s*['"`](\/[^'"`?]*)/);
+        if (redirectMatch) {
+          this.middlewareRedirects[name] = redirectMatch[1];
+        }
+
+        if (/\.global\.(js|ts)$/.test(file) && this.isAuthMiddleware(name, content)) {
+          this.globalAuthMiddleware = name;
+          console.log(`🔒 Nuxt - Global auth middleware: ${name}`);
+        }
+      } catch (error) {
+        // Skip files that can't be read
+        continue;
+      }
+    }
+
+    const loginRedirect = Object.values(this.middlewareRedirects)
+      .find(url => /login|signin|sign-in|auth/i.test(url));
+    if (loginRedirect) {
+      this.loginUrl = loginRedirect;
+    }
+  }
+
+  async scanPages(routes) {
+    const pagesDir = path.join(this.srcDir, 'pages');
+
+    if (!await fs.pathExists(pagesDir)) {
+      return;
+    }
+
+    const pageFiles = await glob('**/*.{vue,js,jsx,ts,tsx}', {
+      cwd: pagesDir,
+      ignore: ['**/*.test.*', '**/*.spec.*', '**/components/**']
+    });
+
+    console.log('📁 Nuxt - Found page files:', pageFiles);
+
+    for (const file of pageFiles) {
+      const url = this.convertPagePathToUrl(file);
+      const filePath = path.join(pagesDir, file);
+
+      let pageMeta = { middleware: [], auth: null };
+      try {
+        pageMeta = this.extractPageMeta(await fs.readFile(filePath, 'utf8'));
+      } catch (error) {
+        // Fall back to URL heuristics when the page can't be read
+      }
+
+      const authMiddleware = pageMeta.middleware.find(name => this.isAuthMiddleware(name));
+      const isLoginPage = url === this.loginUrl;
+      const isProtected = pageMeta.auth === false || isLoginPage
+        ? false
+        : Boolean(authMiddleware || pageMeta.auth === true || this.globalAuthMiddleware || this.isProtectedRoute(url));
+
+      const route = {
+        url,
+        title: this.generateRouteTitle(url),
+        file: filePath,
+        type: 'page',
+        framework: 'nuxt',
+        ...(pageMeta.middleware.length > 0 && { middleware: pageMeta.middleware })
+      };
+
+      if (isProtected) {
+        const middleware = authMiddleware || this.globalAuthMiddleware;
+        routes.protected.push({
+          ...route,
+          requiresAuth: true,
+          expectedRedirect: this.middlewareRedirects[middleware] || this.loginUrl
+        });
+      } else {
+        routes.public.push({
+          ...route,
+          expectedStatus: 200
+        });
+      }
+    }
+  }
+
+  async scanServerRoutes(routes) {
+    // server/api/users.get.ts -> GET /api/users, server/routes/feed.xml.ts -> GET /feed.xml
+    const serverDirs = [
+      { dir: path.join(this.projectPath, 'server', 'api'), prefix: '/api' },
+      { dir: path.join(this.projectPath, 'server', 'routes'), prefix: '' }
+    ];
+
+    for (const { dir, prefix } of serverDirs) {
+      if (!await fs.pathExists(dir)) {
+        continue;
+      }
+
+      const handlerFiles = await glob('**/*.{js,ts}', { cwd: dir });
+
+      for (const file of handlerFiles) {
+        const methodMatch = file.match(/\.(get|post|put|patch|delete|head|options)\.(js|ts)$/i);
+        const method = methodMatch ? methodMatch[1].toUpperCase() : 'GET';
+        const url = prefix + this.convertPagePathToUrl(file.replace(/\.(get|post|put|patch|delete|head|options)(?=\.(js|ts)$)/i, ''));
+        const normalizedUrl = url.length > 1 && url.endsWith('/') ? url.slice(0, -1) : url;
+
+        routes.api.push({
+          url: normalizedUrl,
+          title: this.generateRouteTitle(normalizedUrl),
+          method,
+          file: path.join(dir, file),
+          type: 'api',
+          framework: 'nuxt',
+          requiresAuth: this.isProtectedRoute(normalizedUrl),
+          expectedStatus: this.isProtectedRoute(normalizedUrl) ? 401 : 200
+        });
+      }
+    }
+  }
+
+  extractPageMeta(content) {
+    const meta = { middleware: [], auth: null };
+
+    // Nuxt 3: definePageMeta({ middleware: ['auth'], auth: false })
+    const [pageMetaCall] = findCalls(content, 'definePageMeta');
+    if (pageMetaCall) {
+      const properties = parseObjectLiteral(pageMetaCall.args[0]);
+      meta.middleware = readStringList(properties.middleware);
+      meta.auth = readBooleanLiteral(properties.auth);
+      return meta;
+    }
+
+    // Nuxt 2: export default { middleware: 'auth' }
+    const optionsMatch = content.match(/middleware\s*:\s*(\[[^\]]*\]|['"`][^'"`]+['"`])/);
+    if (optionsMatch) {
+      meta.middleware = readStringList(optionsMatch[1]);
+    }
+
+    const authMatch = content.match(/\bauth\s*:\s*(true|false)\b/);
+    if (authMatch) {
+      meta.auth = authMatch[1] === 'true';
+    }
+
+    return meta;
+  }
+
+  isAuthMiddleware(name, content = '') {
+    return /auth|guard|login|protected|session/i.test(name) ||
+      /navigateTo\s*\(\s*['"`]\/(?:login|signin|sign-in|auth)/i.test(content);
+  }
+
+  convertPagePathToUrl(filePath) {
+    const normalizedPath = filePath.replace(/\\/g, '/');
+
+    const segments = normalizedPath
+      .replace(/\.(vue|js|jsx|ts|tsx)$/, '')
+      .split('/')
+      .filter(segment => !/^\(.*\)$/.test(segment)) // Route groups: (marketing)
+      .map(segment => segment
+        .replace(/^\[\.\.\.(\w+)\]$/, '*') // [...slug] -> *
+        .replace(/^_$/, '*') // Nuxt 2 catch-all: _.vue
+        .replace(/\[\[(\w+)\]\]/g, ':$1?') // [[id]] -> :id?
+        .replace(/\[(\w+)\]/g, ':$1') // [id] -> :id
+        .replace(/^_(\w+)$/, ':$1') // Nuxt 2 dynamic: _id.vue
+      );
+
+    if (segments[segments.length - 1] === 'index') {
+      segments.pop();
+    }
+
+    return '/' + segments.join('/');
+  }
+
+  isProtectedRoute(url) {
+    const protectedPatterns = [
+      '/dashboard', '/admin', '/profile', '/settings', '/account',
+      '/user', '/management', '/private', '/secure', '/protected'
+    ];
+
+    return protectedPatterns.some(pattern =>
+      url.toLowerCase().includes(pattern.toLowerCase())
+    );
+  }
+
+  generateRouteTitle(url) {
+    if (url === '/') return 'Home Page';
+
+    return url
+      .split('/')
+      .filter(Boolean)
+      .map(segment => {
+        // Handle dynamic segments
+        if (segment.startsWith(':')) {
+          return segment.substring(1).charAt(0).toUpperCase() + segment.substring(2);
+        }
+        return segment.charAt(0).toUpperCase() + segment.slice(1);
+      })
+      .join(' ') + ' Page';
+  }
+
+  generateJenkinsConfig() {
+    return {
+      buildCommand: 'npm run build',
+      testCommand: 'npm run test:routes',
+      devCommand: 'npm run dev',
+      port: 3000,
+      environment: {
+        NODE_ENV: 'test'
+      }
+    };
+  }
+}
+
+export default NuxtFramework;
@@ -1,11 +1,25 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { glob } from 'glob';
+import {
+  findCalls,
+  findJsxTags,
+  readJsxAttribute,
+  parseArrayLiteral,
+  parseObjectLiteral,
+  readStringLiteral,
+  readBooleanLiteral,
+  resolveIdentifierValue,
+  findImportSource,
+  resolveModulePath,
+  joinRoutePaths
+} from '../utils/source-parser.js';
 
 export class ReactFramework {
   constructor(projectPath) {
     this.projectPath = projectPath;
     this.routerType = null; // 'react-router', 'reach-router', or null
+    this.linkTargets = new Set(); // <Link to> / navigate() targets, kept apart from declared routes
   }
 
   async detect() {
@@ -71,7 +85,7 @@ export class ReactFramework {
         const content = await fs.readFile(filePath, 'utf8');
         
         // Extract routes from file content
-        const extractedRoutes = this.extractRoutesFromFile(content, file);
+        const extractedRoutes = await this.extractRoutesFromFile(content, file, filePath);
         
         extractedRoutes.forEach(route => {
           if (!foundRoutes.has(route.url)) {
@@ -86,6 +100,22 @@ export class ReactFramework {
       }
     }
     
+    // Without declared routes, list the paths the app links to as skipped candidates -
+    // a link target may be an external page or one the router never renders
+    if (foundRoutes.size === 0 && this.linkTargets.size > 0) {
+      console.log(`⚠️ No route declarations found - listing ${this.linkTargets.size} link targets as skipped candidates`);
+      for (const url of this.linkTargets) {
+        foundRoutes.add(url);
+        this.categorizeRoute({
+          url,
+          title: this.generateRouteTitle(url),
+          framework: 'react',
+          source: 'react-link',
+          skip: `${url} is only a link target - no route declaration found`
+        }, routes);
+      }
+    }
+    
     // If no routes found, add common defaults
     if (foundRoutes.size === 0) {
       this.addDefaultRoutes(routes);
@@ -97,55 +127,174 @@ export class ReactFramework {
     this.addDefaultRoutes(routes);
   }
 
-  extractRoutesFromFile(content, filename) {
+  async extractRoutesFromFile(content, filename, filePath) {
     const routes = [];
     
     console.log(`🔍 React - Extracting routes from: ${filename}`);
     
-    // Enhanced React Router patterns with better matching
-    const routePatterns = [
-      // <Route path="/path" ... /> or <Route path="/path">
-      /<Route[^>]*path\s*=\s*["']([^"']+)["'][^>]*>/gi,
-      // Route object: { path: "/path" }
-      /{\s*path\s*:\s*["']([^"']+)["']/gi,
-      // createBrowserRouter/createHashRouter paths
-      /path\s*:\s*["']([^"']+)["']/gi,
-      // Route definitions in arrays
-      /{\s*path\s*:\s*["']([^"']+)["'][^}]*}/gi,
-      // Navigate and Link to paths
-      /<(?:Navigate|Link)[^>]*to\s*=\s*["']([^"']+)["'][^>]*>/gi,
-      // useNavigate("/path")
-      /navigate\s*\(\s*["']([^"']+)["']\s*\)/gi
+    const declared = this.extractJsxRoutes(content);
+    
+    // createBrowserRouter([...]) / useRoutes(routes) route object trees
+    for (const call of findCalls(content, '(?:create(?:Browser|Hash|Memory)Router|useRoutes)')) {
+      declared.push(...await this.extractRouteObjects(call.args[0], '', content, filePath, 0));
+    }
+    
+    for (const { url: declaredPath, component } of declared) {
+      const routePath = this.normalizeReactRoutePath(declaredPath);
+      
+      // A top-level * route is the "no match" page, not something to visit
+      if (!routePath || routePath === '/*' || routes.some(r => r.url === routePath)) {
+        continue;
+      }
+      
+      console.log(`  ✅ Found route: ${routePath}`);
+      routes.push({
+        url: routePath,
+        title: this.generateRouteTitle(routePath),
+        file: filename,
+        component: component || null,
+        framework: 'react'
+      });
+    }
+    
+    this.collectLinkTargets(content);
+    
+    console.log(`  → Total routes found: ${routes.length}`);
+    return routes;
+  }
+
+  // Walks <Route> nesting: children join their parent's path, index routes
+  // take the parent's path and pathless layout routes only group children
+  extractJsxRoutes(content) {
+    if (!/<Route\b/.test(content)) {
+      return [];
+    }
+    
+    const routes = [];
+    const stack = [];
+    
+    for (const tag of findJsxTags(content)) {
+      if (tag.name !== 'Route') {
+        continue;
+      }
+      
+      if (tag.closing) {
+        stack.pop();
+        continue;
+      }
+      
+      const parentPath = stack.reduce((url, entry) => entry.path !== null ? joinRoutePaths(url, entry.path) : url, '');
+      const routePath = readStringLiteral(readJsxAttribute(tag.attributes, 'path'));
+      const isIndex = readJsxAttribute(tag.attributes, 'index') === 'true';
+      
+      if (isIndex || routePath !== null) {
+        routes.push({
+          url: isIndex ? parentPath || '/' : joinRoutePaths(parentPath, routePath),
+          component: this.componentFromElement(
+            readJsxAttribute(tag.attributes, 'element') ||
+            readJsxAttribute(tag.attributes, 'Component') ||
+            readJsxAttribute(tag.attributes, 'component')
+          )
+        });
+      }
+      
+      if (!tag.selfClosing) {
+        stack.push({ path: isIndex ? null : routePath });
+      }
+    }
+    
+    return routes;
+  }
+
+  // [{ path: '/account', element: <Account />, children: [{ index: true }, { path: 'settings' }] }]
+  async extractRouteObjects(raw, parentPath, content, filePath, depth) {
+    if (!raw || depth > 10) {
+      return [];
+    }
+    
+    const value = raw.trim();
+    
+    // const routes = [...] in this file, or imported from another module
+    if (/^[\w$]+$/.test(value)) {
+      const local = resolveIdentifierValue(content, value);
+      if (local) {
+        return this.extractRouteObjects(local, parentPath, content, filePath, depth + 1);
+      }
+      
+      const modulePath = await resolveModulePath(filePath, findImportSource(content, value));
+      if (!modulePath) {
+        return [];
+      }
+      
+      const moduleContent = await fs.readFile(modulePath, 'utf8');
+      const defaultName = moduleContent.match(/export\s+default\s+([\w$]+)\s*;?\s*$/m)?.[1];
+      const exported = resolveIdentifierValue(moduleContent, value) ||
+        resolveIdentifierValue(moduleContent, 'default') ||
+        (defaultName && resolveIdentifierValue(moduleContent, defaultName));
+      
+      return this.extractRouteObjects(exported, parentPath, moduleContent, modulePath, depth + 1);
+    }
+    
+    const routes = [];
+    
+    for (const element of parseArrayLiteral(value)) {
+      if (element.startsWith('...')) {
+        routes.push(...await this.extractRouteObjects(element.slice(3), parentPath, content, filePath, depth + 1));
+        continue;
+      }
+      
+      const properties = parseObjectLiteral(element);
+      const routePath = readStringLiteral(properties.path);
+      const isIndex = readBooleanLiteral(properties.index) === true;
+      const url = isIndex ? parentPath || '/' : routePath !== null ? joinRoutePaths(parentPath, routePath) : null;
+      
+      if (url) {
+        routes.push({
+          url,
+          component: this.componentFromElement(properties.element || properties.Component || properties.lazy)
+        });
+      }
+      
+      if (properties.children) {
+        routes.push(...await this.extractRouteObjects(properties.children, isIndex ? parentPath : url ?? parentPath, content, filePath, depth + 1));
+      }
+    }
+    
+    return routes;
+  }
+
+  componentFromElement(raw) {
+    if (!raw) {
+      return null;
+    }
+    
+    // <Dashboard /> / Dashboard / () => import('./pages/Dashboard')
+    const importMatch = raw.match(/import\s*\(\s*['"`]([^'"`]+)['"`]/);
+    if (importMatch) {
+      return path.basename(importMatch[1]).replace(/\.\w+$/, '');
+    }
+    
+    return raw.match(/^<?\s*([A-Z][\w.]*)/)?.[1] || null;
+  }
+
+  collectLinkTargets(content) {
+    const patterns = [
+      // <Link to="/about"> / <NavLink to={'/about'}> / <Navigate to="/login" />
+      /<(?:Link|NavLink|Navigate)\b[^>]*?\bto\s*=\s*\{?\s*(['"`])([^'"`]+)\1/g,
+      // navigate('/about')
+      /\bnavigate\s*\(\s*(['"`])([^'"`]+)\1/g
     ];
     
-    for (const pattern of routePatterns) {
+    for (const pattern of patterns) {
       let match;
-      pattern.lastIndex = 0; // Reset regex state
       while ((match = pattern.exec(content)) !== null) {
-        const routePath = this.normalizeReactRoutePath(match[1]);
-        
-        // Skip invalid or duplicate routes
-        if (!routePath || routePath.startsWith('http') || routePath.startsWith('#')) {
-          continue;
-        }
-        
-        const existingRoute = routes.find(r => r.url === routePath);
-        if (!existingRoute) {
-          console.log(`  ✅ Found route: ${routePath}`);
-          
-          routes.push({
-            url: routePath,
-            title: this.generateRouteTitle(routePath),
-            file: filename,
-            component: this.extractComponentName(content, routePath),
-            framework: 'react'
-          });
+        // Only absolute in-app paths - not other origins, protocol-relative URLs or anchors
+        const target = match[2].split(/[?#]/)[0];
+        if (target.startsWith('/') && !target.startsWith('//') && !target.includes('${')) {
+          this.linkTargets.add(this.normalizeReactRoutePath(target));
         }
       }
     }
-    
-    console.log(`  → Total routes found: ${routes.length}`);
-    return routes;
   }
 
   normalizeReactRoutePath(routePath) {
@@ -187,23 +336,6 @@ export class ReactFramework {
     return url;
   }
 
-  extractComponentName(content, routePath) {
-    // Try to find the component associated with this route
-    const componentPatterns = [
-      new RegExp(`path=["']${routePath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}["'][^>]*component={([^}]+)}`, 'i'),
-      new RegExp(`path=["']${routePath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}["'][^>]*element={<([^\\s>]+)`, 'i')
-    ];
-    
-    for (const pattern of componentPatterns) {
-      const match = content.match(pattern);
-      if (match) {
-        return match[1];
-      }
-    }
-    
-    return null;
-  }
-
   categorizeRoute(route, routes) {
     const isProtected = this.isProtectedRoute(route.url);
     
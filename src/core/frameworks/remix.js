@@ -0,0 +1,397 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import {
+  findExportedNames,
+  findClosingBracket,
+  parseArrayLiteral,
+  splitTopLevel,
+  readStringLiteral,
+  resolveIdentifierValue,
+  joinRoutePaths
+} from '../utils/source-parser.js';
+
+export class RemixFramework {
+  constructor(projectPath) {
+    this.projectPath = projectPath;
+    this.appDir = path.join(projectPath, 'app');
+    this.isReactRouter = false;
+    this.loginUrl = '/login';
+  }
+
+  async detect() {
+    const packageJsonPath = path.join(this.projectPath, 'package.json');
+
+    if (!await fs.pathExists(packageJsonPath)) {
+      return false;
+    }
+
+    const packageJson = await fs.readJson(packageJsonPath);
+    const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+    const remixDep = Object.keys(deps).find(dep => dep.startsWith('@remix-run/'));
+
+    this.isReactRouter = !!deps['@react-router/dev'];
+
+    if (!remixDep && !this.isReactRouter) {
+      return false;
+    }
+
+    await this.readAppDirectory();
+
+    return {
+      name: 'remix',
+      version: this.isReactRouter ? deps['@react-router/dev'] : deps[remixDep],
+      flavor: this.isReactRouter ? 'react-router' : 'remix',
+      appDir: path.relative(this.projectPath, this.appDir)
+    };
+  }
+
+  async readAppDirectory() {
+    const configFiles = ['react-router.config.ts', 'react-router.config.js', 'remix.config.js', 'remix.config.mjs', 'vite.config.ts', 'vite.config.js'];
+
+    for (const configFile of configFiles) {
+      const configPath = path.join(this.projectPath, configFile);
+      if (!await fs.pathExists(configPath)) {
+        continue;
+      }
+
+      const content = await fs.readFile(configPath, 'utf8');
+      const appDirMatch = content.match(/appDirectory\s*:\s*['"`]([^'"`]+)['"`]/);
+      if (appDirMatch) {
+        this.appDir = path.join(this.projectPath, appDirMatch[1]);
+        return;
+      }
+    }
+  }
+
+  async scanRoutes() {
+    const routes = { public: [], protected: [], api: [] };
+
+    const configRoutes = await this.scanRouteConfig();
+    const routeEntries = configRoutes || await this.scanFlatRoutes(path.join(this.appDir, 'routes'));
+
+    const seen = new Set();
+    for (const entry of routeEntries) {
+      const key = `${entry.isResource ? 'api' : 'page'}:${entry.url}`;
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+      this.categorizeRoute(entry, routes);
+    }
+
+    return routes;
+  }
+
+  // React Router v7 framework mode: app/routes.ts with route()/index()/layout()/prefix()
+  async scanRouteConfig() {
+    for (const configFile of ['routes.ts', 'routes.js']) {
+      const configPath = path.join(this.appDir, configFile);
+      if (!await fs.pathExists(configPath)) {
+        continue;
+      }
+
+      console.log(`🔍 Remix - Reading route config: ${path.relative(this.projectPath, configPath)}`);
+
+      const content = await fs.readFile(configPath, 'utf8');
+      const configArray = resolveIdentifierValue(content, 'default') ||
+        (content.match(/export\s+default\s+(?:await\s+)?flatRoutes\s*\(/) ? '[...flatRoutes()]' : null);
+
+      if (!configArray) {
+        return null;
+      }
+
+      return this.walkRouteConfig(parseArrayLiteral(configArray), '', null);
+    }
+
+    return null;
+  }
+
+  async walkRouteConfig(elements, parentPath, parentGuard) {
+    const entries = [];
+
+    for (const rawElement of elements) {
+      const element = rawElement.replace(/^\.\.\.\s*(?:await\s+)?/, '');
+      const callMatch = element.match(/^(index|route|layout|prefix|flatRoutes)\s*\(/);
+
+      if (!callMatch) {
+        continue;
+      }
+
+      const openIndex = callMatch[0].length - 1;
+      const close = findClosingBracket(element, openIndex);
+      const args = close === -1 ? [] : splitTopLevel(element.slice(openIndex + 1, close));
+      const kind = callMatch[1];
+
+      if (kind === 'flatRoutes') {
+        entries.push(...await this.scanFlatRoutes(path.join(this.appDir, 'routes'), parentPath));
+        continue;
+      }
+
+      if (kind === 'prefix') {
+        const prefixPath = joinRoutePaths(parentPath, readStringLiteral(args[0]) || '');
+        entries.push(...await this.walkRouteConfig(parseArrayLiteral(args[1]), prefixPath, parentGuard));
+        continue;
+      }
+
+      // index(file, options?) / layout(file, options?, children) / route(path, file, options?, children?)
+      const routePath = kind === 'route' ? readStringLiteral(args[0]) : '';
+      const file = readStringLiteral(kind === 'route' ? args[1] : args[0]);
+      const childrenArg = args.slice(kind === 'route' ? 2 : 1).reverse().find(arg => arg.trim().startsWith('['));
+      const children = parseArrayLiteral(childrenArg);
+      const url = this.normalizeConfigPath(joinRoutePaths(parentPath, routePath || ''));
+
+      const analysis = file ? await this.analyzeRouteModule(path.join(this.appDir, file)) : {};
+      const guard = analysis.guard || parentGuard;
+
+      // Layouts only wrap their children
+      if (kind !== 'layout' && file) {
+        entries.push(this.createEntry(url, path.join(this.appDir, file), analysis, guard));
+      }
+
+      if (children.length > 0) {
+        entries.push(...await this.walkRouteConfig(children, url, guard));
+      }
+    }
+
+    return entries;
+  }
+
+  normalizeConfigPath(url) {
+    // route(':lang?/about') / route('files/*')
+    return url.replace(/\/+/g, '/').replace(/(.)\/$/, '$1') || '/';
+  }
+
+  // Remix v2 / React Router fs-routes flat file conventions
+  async scanFlatRoutes(routesDir, basePath = '') {
+    if (!await fs.pathExists(routesDir)) {
+      return [];
+    }
+
+    const files = await glob('**/*.{js,jsx,ts,tsx,md,mdx}', {
+      cwd: routesDir,
+      ignore: ['**/*.test.*', '**/*.spec.*']
+    });
+
+    // Folder routes only use their route.* file - the rest of the folder is colocated modules
+    const routeFiles = files
+      .map(file => file.replace(/\\/g, '/'))
+      .filter(file => !file.includes('/') || /\/route\.\w+$/.test(file) || !this.isFolderRoute(file, files));
+
+    console.log('📁 Remix - Found route files:', routeFiles);
+
+    const modules = [];
+    for (const file of routeFiles) {
+      const routeId = this.getRouteId(file);
+      const analysis = await this.analyzeRouteModule(path.join(routesDir, file));
+      modules.push({ file, routeId, analysis });
+    }
+
+    const entries = [];
+    for (const { file, routeId, analysis } of modules) {
+      // Pathless layouts (_auth.tsx) have no URL of their own
+      const lastSegment = this.splitRouteId(routeId).pop();
+      if (lastSegment.startsWith('_') && lastSegment !== '_index') {
+        continue;
+      }
+
+      // Inherit guards from parent layouts: _auth.tsx guards _auth.login.tsx
+      const guard = analysis.guard || modules
+        .filter(parent => parent.routeId !== routeId && routeId.startsWith(parent.routeId + '.'))
+        .map(parent => parent.analysis.guard)
+        .find(Boolean);
+
+      const url = joinRoutePaths(basePath, this.convertRemixRouteToUrl(file));
+      entries.push(this.createEntry(url, path.join(routesDir, file), analysis, guard));
+    }
+
+    return entries;
+  }
+
+  isFolderRoute(file, files) {
+    // Remix v1 nested folders (routes/users/$id.tsx) have no route.* file
+    const folder = file.split('/')[0];
+    return files.some(other => other.replace(/\\/g, '/').match(new RegExp(`^${folder.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/route\\.\\w+$`)));
+  }
+
+  getRouteId(file) {
+    // users.$id/route.tsx -> users.$id, users/$id.tsx -> users.$id (v1 folders)
+    return file
+      .replace(/\/route\.\w+$/, '')
+      .replace(/\.(js|jsx|ts|tsx|md|mdx)$/, '')
+      .replace(/\//g, '.')
+      .replace(/(^|\.)index$/, '$1_index');
+  }
+
+  splitRouteId(routeId) {
+    // Split on dots that aren't escaped inside [ ]
+    const segments = [];
+    let current = '';
+    let escaped = false;
+
+    for (const char of routeId) {
+      if (char === '[') escaped = true;
+      if (char === ']') escaped = false;
+
+      if (char === '.' && !escaped) {
+        segments.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    segments.push(current);
+    return segments;
+  }
+
+  convertRemixRouteToUrl(filePath) {
+    const segments = this.splitRouteId(this.getRouteId(filePath.replace(/\\/g, '/')))
+      .filter(segment => segment !== '_index' && segment !== '.' && !/^_[^_]/.test(segment) && segment !== '_')
+      .map(segment => segment
+        .replace(/_$/, '') // users_.edit opts out of layout nesting
+        .replace(/^\(\$(\w+)\)$/, ':$1?') // ($lang) -> :lang?
+        .replace(/^\((\w[\w-]*)\)$/, '$1?') // (en) optional static segment
+        .replace(/^\$$/, '*') // splat
+        .replace(/\$(\w+)/g, ':$1') // $id -> :id
+        .replace(/\[([^\]]*)\]/g, '$1') // [.] / [sitemap.xml] escapes
+      )
+      .filter(Boolean);
+
+    return '/' + segments.join('/');
+  }
+
+  async analyzeRouteModule(filePath) {
+    if (!await fs.pathExists(filePath)) {
+      return {};
+    }
+
+    try {
+      const content = await fs.readFile(filePath, 'utf8');
+      const exported = findExportedNames(content);
+      const hasDefault = /export\s+default\b/.test(content) || exported.has('default');
+      const hasLoader = exported.has('loader') || exported.has('clientLoader');
+      const hasAction = exported.has('action') || exported.has('clientAction');
+
+      return {
+        isResource: !hasDefault && (hasLoader || hasAction),
+        hasLoader,
+        hasAction,
+        guard: this.detectGuard(content)
+      };
+    } catch (error) {
+      return {};
+    }
+  }
+
+  detectGuard(content) {
+    // throw redirect('/login') / return redirect(`/login?redirectTo=...`)
+    const redirectMatch = content.match(/redirect\s*\(\s*['"`](\/[\w/-]*(?:login|signin|sign-in|auth)[\w/-]*)/i);
+    if (redirectMatch) {
+      this.loginUrl = redirectMatch[1];
+      return { name: 'loader redirect', redirect: redirectMatch[1] };
+    }
+
+    // requireUserId(request) / requireUser / authenticator.isAuthenticated(request, { failureRedirect })
+    const helperMatch = content.match(/\b(require(?:User|UserId|Auth|Session|Admin)\w*|isAuthenticated|authenticate)\s*\(/);
+    if (helperMatch) {
+      const failureRedirect = content.match(/failureRedirect\s*:\s*['"`](\/[^'"`?]*)/);
+      return { name: helperMatch[1], redirect: failureRedirect ? failureRedirect[1] : null };
+    }
+
+    return null;
+  }
+
+  createEntry(url, file, analysis, guard) {
+    return {
+      url,
+      title: this.generateRouteTitle(url),
+      file,
+      framework: 'remix',
+      isResource: !!analysis.isResource,
+      hasLoader: !!analysis.hasLoader,
+      hasAction: !!analysis.hasAction,
+      guard
+    };
+  }
+
+  categorizeRoute(entry, routes) {
+    const { isResource, hasLoader, hasAction, guard, ...route } = entry;
+    const requiresAuth = !!guard || this.isProtectedRoute(route.url);
+    const middleware = guard ? { authMiddleware: guard.name } : {};
+
+    // Resource routes: no component, just a loader (GET) and/or action (POST)
+    if (isResource) {
+      const methods = [...(hasLoader ? ['GET'] : []), ...(hasAction ? ['POST'] : [])];
+      for (const method of methods) {
+        routes.api.push({
+          ...route,
+          title: `${route.title.replace(/ Page$/, ' API')} (${method})`,
+          method,
+          type: 'api',
+          ...middleware,
+          requiresAuth,
+          expectedStatus: requiresAuth ? 401 : 200
+        });
+      }
+      return;
+    }
+
+    if (requiresAuth && route.url !== this.loginUrl) {
+      routes.protected.push({
+        ...route,
+        type: 'page',
+        ...middleware,
+        requiresAuth: true,
+        expectedRedirect: guard?.redirect || this.loginUrl
+      });
+    } else {
+      routes.public.push({
+        ...route,
+        type: 'page',
+        expectedStatus: 200
+      });
+    }
+  }
+
+  isProtectedRoute(url) {
+    const protectedPatterns = [
+      '/dashboard', '/admin', '/profile', '/settings', '/account',
+      '/user', '/management', '/private', '/secure', '/protected'
+    ];
+
+    return protectedPatterns.some(pattern =>
+      url.toLowerCase().includes(pattern.toLowerCase())
+    );
+  }
+
+  generateRouteTitle(url) {
+    if (url === '/') return 'Home Page';
+
+    return url
+      .split('/')
+      .filter(Boolean)
+      .map(segment => {
+        // Handle dynamic segments
+        if (segment.startsWith(':')) {
+          return segment.substring(1).charAt(0).toUpperCase() + segment.substring(2);
+        }
+        return segment.charAt(0).toUpperCase() + segment.slice(1);
+      })
+      .join(' ') + ' Page';
+  }
+
+  generateJenkinsConfig() {
+    return {
+      buildCommand: 'npm run build',
+      testCommand: 'npm run test:routes',
+      devCommand: 'npm run dev',
+      port: 5173,
+      environment: {
+        NODE_ENV: 'test'
+      }
+    };
+  }
+}
+
+export default RemixFramework;
@@ -0,0 +1,50 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import RemixFramework from './remix.js';
+
+let projectPath;
+
+before(async () => {
+  projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'remix-scan-'));
+  await fs.writeJson(path.join(projectPath, 'package.json'), { devDependencies: { '@react-router/dev': '^7.0.0' } });
+  await fs.outputFile(path.join(projectPath, 'app/routes.ts'), `
+import { type RouteConfig, index, route, layout } from '@react-router/dev/routes';
+
+export default [
+  index('routes/home.tsx'),
+  layout('routes/dashboard/layout.tsx', { id: 'dashboard' }, [
+    route('settings', 'routes/dashboard/settings.tsx', { id: 'settings' }, [
+      route('profile', 'routes/dashboard/profile.tsx')
+    ])
+  ]),
+  route('teams', 'routes/teams.tsx', [
+    route(':teamId', 'routes/team.tsx', { id: 'team' })
+  ])
+] satisfies RouteConfig;
+`);
+
+  for (const file of ['home', 'dashboard/layout', 'dashboard/settings', 'dashboard/profile', 'teams', 'team']) {
+    await fs.outputFile(path.join(projectPath, `app/routes/${file}.tsx`), 'export default function Page() { return null; }\n');
+  }
+});
+
+after(async () => {
+  await fs.remove(projectPath);
+});
+
+test('reads nested routes when route() and layout() are given an options object', async () => {
+  const originalLog = console.log;
+  console.log = () => {};
+  const framework = new RemixFramework(projectPath);
+  const routes = await framework.detect().then(() => framework.scanRoutes()).finally(() => {
+    console.log = originalLog;
+  });
+
+  assert.deepEqual(
+    [...routes.public, ...routes.protected].map(route => route.url).sort(),
+    ['/', '/settings', '/settings/profile', '/teams', '/teams/:teamId']
+  );
+});
@@ -1,10 +1,29 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { glob } from 'glob';
+import RemixFramework from './remix.js';
+import {
+  findCalls,
+  parseObjectLiteral,
+  readStringLiteral,
+  readStringList,
+  extractBalanced
+} from '../utils/source-parser.js';
+
+// Webhook resources whose names contain an underscore, so the topic split can't just take the first word
+const MULTI_WORD_RESOURCES = [
+  'app_purchases_one_time', 'app_subscriptions', 'bulk_operations', 'collection_listings', 'customer_groups',
+  'customer_payment_methods', 'customers_email_marketing_consent', 'customers_marketing_consent', 'draft_orders',
+  'fulfillment_events', 'fulfillment_holds', 'fulfillment_orders', 'inventory_items', 'inventory_levels',
+  'order_transactions', 'payment_schedules', 'payment_terms', 'product_feeds', 'product_listings',
+  'selling_plan_groups', 'subscription_billing_attempts', 'subscription_billing_cycles', 'subscription_contracts',
+  'tender_transactions'
+];
 
 export class ShopifyFramework {
   constructor(projectPath) {
     this.projectPath = projectPath;
+    this.remixFramework = new RemixFramework(projectPath);
     this.routes = {
       public: [],
       protected: [],
@@ -34,7 +53,7 @@ export class ShopifyFramework {
       await this.scanTraditionalShopifyRoutes();
     }
 
-    // Add common Shopify webhooks as API routes
+    // Add the webhooks the app subscribes to as API routes
     await this.addShopifyWebhooks();
     
     // Categorize routes
@@ -159,35 +178,246 @@ export class ShopifyFramework {
   }
 
   async addShopifyWebhooks() {
-    console.log('🔗 Adding common Shopify webhooks...');
-    
-    const commonWebhooks = [
-      { url: '/webhooks/orders/create', title: 'Order Created Webhook', method: 'POST' },
-      { url: '/webhooks/orders/paid', title: 'Order Paid Webhook', method: 'POST' },
-      { url: '/webhooks/orders/cancelled', title: 'Order Cancelled Webhook', method: 'POST' },
-      { url: '/webhooks/orders/fulfilled', title: 'Order Fulfilled Webhook', method: 'POST' },
-      { url: '/webhooks/app/uninstalled', title: 'App Uninstalled Webhook', method: 'POST' },
-      { url: '/webhooks/customers/create', title: 'Customer Created Webhook', method: 'POST' },
-      { url: '/webhooks/products/create', title: 'Product Created Webhook', method: 'POST' },
-      { url: '/webhooks/products/update', title: 'Product Updated Webhook', method: 'POST' }
+    console.log('🔗 Discovering Shopify webhook subscriptions...');
+
+    const webhooks = [
+      ...await this.readTomlWebhooks(),
+      ...await this.readRegisteredWebhooks()
     ];
 
-    for (const webhook of commonWebhooks) {
-      // Only add if not already detected
-      const exists = this.routes.api.some(route => route.url === webhook.url);
-      if (!exists) {
-        this.routes.api.push({
-          ...webhook,
-          type: 'webhook',
-          framework: 'shopify-webhook',
-          requiresAuth: true,
-          expectedStatus: 200,
-          note: 'Common Shopify webhook - update if not used'
-        });
+    const seen = new Set();
+    const handlers = new Map();
+    for (const webhook of webhooks) {
+      const key = `${webhook.topic}:${webhook.url}`;
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+
+      // A route file already found at the callback path is the handler - replace it with one entry per topic
+      const handler = this.routes.api.find(route => route.url === webhook.url && route.method === 'POST' && !route.topic);
+      if (handler) {
+        this.routes.api = this.routes.api.filter(route => route !== handler);
+        handlers.set(webhook.url, handler.file);
       }
+
+      console.log(`  ✅ Found webhook: ${webhook.topic} -> ${webhook.url}`);
+      this.routes.api.push({
+        url: webhook.url,
+        title: this.generateWebhookTitle(webhook.topic),
+        method: 'POST',
+        topic: webhook.topic,
+        file: handlers.get(webhook.url) || webhook.source,
+        source: webhook.source,
+        type: 'webhook',
+        framework: 'shopify-webhook',
+        requiresAuth: true,
+        expectedStatus: 200
+      });
+    }
+
+    if (seen.size === 0) {
+      console.log('⚠️ No webhook subscriptions declared');
     }
   }
 
+  async readTomlWebhooks() {
+    // shopify.app.toml plus per-environment configs such as shopify.app.staging.toml
+    const tomlFiles = await glob('shopify.app*.toml', { cwd: this.projectPath });
+    const webhooks = [];
+
+    for (const file of tomlFiles.sort()) {
+      const content = await fs.readFile(path.join(this.projectPath, file), 'utf8');
+
+      for (const subscription of this.parseTomlSubscriptions(content)) {
+        const url = this.webhookCallbackPath(readStringLiteral(subscription.uri));
+        if (!url) {
+          continue;
+        }
+
+        const topics = [...readStringList(subscription.topics), ...readStringList(subscription.compliance_topics)];
+        for (const topic of topics) {
+          webhooks.push({ topic, url, source: file });
+        }
+      }
+    }
+
+    return webhooks;
+  }
+
+  // Collects the raw values of each [[webhooks.subscriptions]] table
+  parseTomlSubscriptions(content) {
+    const subscriptions = [];
+    let current = null;
+    let pending = null;
+
+    for (const rawLine of content.split('\n')) {
+      // Drop comments that aren't inside a string
+      const line = rawLine.replace(/("(?:[^"\\]|\\.)*"|'[^']*')|#.*$/g, (match, string) => string || '').trim();
+
+      if (pending) {
+        pending.value += ' ' + line;
+        if (this.isBalanced(pending.value)) {
+          current[pending.key] = pending.value;
+          pending = null;
+        }
+        continue;
+      }
+
+      const header = line.match(/^\[\[?\s*([\w.-]+)\s*\]\]?$/);
+      if (header) {
+        current = line.startsWith('[[') && header[1] === 'webhooks.subscriptions' ? {} : null;
+        if (current) {
+          subscriptions.push(current);
+        }
+        continue;
+      }
+
+      const entry = current && line.match(/^([\w-]+)\s*=\s*(.+)$/);
+      if (!entry) {
+        continue;
+      }
+
+      // Arrays may span several lines
+      if (this.isBalanced(entry[2])) {
+        current[entry[1]] = entry[2];
+      } else {
+        pending = { key: entry[1], value: entry[2] };
+      }
+    }
+
+    return subscriptions;
+  }
+
+  isBalanced(value) {
+    return (value.match(/\[/g) || []).length <= (value.match(/\]/g) || []).length;
+  }
+
+  async readRegisteredWebhooks() {
+    // shopifyApp({ webhooks: { APP_UNINSTALLED: { deliveryMethod: DeliveryMethod.Http, callbackUrl: '/webhooks' } } })
+    // and the web/ template's addHandlers() / processWebhooks() handler maps
+    const sourceFiles = await glob('{app,web}/**/*.{js,jsx,ts,tsx,mjs,cjs}', {
+      cwd: this.projectPath,
+      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**', 'web/frontend/**', '**/*.test.*', '**/*.spec.*', '**/*.d.ts']
+    });
+
+    const sources = [];
+    let defaultPath = null;
+
+    for (const file of sourceFiles) {
+      try {
+        const content = await fs.readFile(path.join(this.projectPath, file), 'utf8');
+        sources.push({ file, content });
+
+        // shopifyApp({ webhooks: { path: '/api/webhooks' } }) sets where handlers without a callbackUrl are served
+        for (const call of findCalls(content, 'shopifyApp')) {
+          const webhookOptions = parseObjectLiteral(parseObjectLiteral(call.args[0]).webhooks);
+          defaultPath = readStringLiteral(webhookOptions.path) || defaultPath;
+        }
+      } catch (error) {
+        // Skip files that can't be read
+        continue;
+      }
+    }
+
+    const webhooks = [];
+    for (const { file, content } of sources) {
+      const deliveryRegex = /deliveryMethod\s*:\s*DeliveryMethod\.Http\b/g;
+      let match;
+
+      while ((match = deliveryRegex.exec(content)) !== null) {
+        const openIndex = this.findEnclosingBrace(content, match.index);
+        if (openIndex === -1) {
+          continue;
+        }
+
+        // TOPIC: { ... } or TOPIC: [{ ... }]
+        const keyMatch = content.slice(0, openIndex).match(/([\w$]+|'[^']+'|"[^"]+")\s*:\s*\[?\s*$/);
+        if (!keyMatch) {
+          continue;
+        }
+
+        const options = parseObjectLiteral(extractBalanced(content, openIndex));
+        const callbackUrl = this.resolveCallbackUrl(options.callbackUrl, content) || defaultPath || '/api/webhooks';
+        const url = this.webhookCallbackPath(callbackUrl);
+
+        if (url) {
+          webhooks.push({
+            topic: this.normalizeWebhookTopic(readStringLiteral(keyMatch[1]) || keyMatch[1]),
+            url,
+            source: file
+          });
+        }
+      }
+    }
+
+    return webhooks;
+  }
+
+  resolveCallbackUrl(raw, content) {
+    if (!raw) {
+      return null;
+    }
+
+    // callbackUrl: '/webhooks' / callbackUrl: WEBHOOK_PATH with const WEBHOOK_PATH = '/webhooks'
+    const value = raw.trim();
+    const name = value.match(/^[\w$]+$/)?.[0];
+    if (!name) {
+      return readStringLiteral(value);
+    }
+
+    const constant = content.match(new RegExp(`(?:const|let|var)\\s+${name.replace(/\$/g, '\\$')}\\s*(?::[^=]+)?=\\s*(['"\`][^'"\`]*['"\`])`));
+    return constant ? readStringLiteral(constant[1]) : null;
+  }
+
+  findEnclosingBrace(content, index) {
+    let depth = 0;
+
+    for (let i = index - 1; i >= 0; i--) {
+      const char = content[i];
+      if (char === '}' || char === ']' || char === ')') {
+        depth++;
+      } else if (char === '{' || char === '[' || char === '(') {
+        if (depth === 0) {
+          return char === '{' ? i : -1;
+        }
+        depth--;
+      }
+    }
+
+    return -1;
+  }
+
+  // Absolute https:// URIs keep only their path; pubsub:// and arn: subscriptions aren't served by the app
+  webhookCallbackPath(uri) {
+    if (!uri) {
+      return null;
+    }
+
+    if (/^https?:\/\//i.test(uri)) {
+      return new URL(uri).pathname;
+    }
+
+    return uri.startsWith('/') ? uri : null;
+  }
+
+  // APP_UNINSTALLED -> app/uninstalled, FULFILLMENT_ORDERS_HOLD_RELEASED -> fulfillment_orders/hold_released
+  normalizeWebhookTopic(topic) {
+    if (topic.includes('/')) {
+      return topic.toLowerCase();
+    }
+
+    const name = topic.toLowerCase();
+    const resource = MULTI_WORD_RESOURCES.find(candidate => name.startsWith(`${candidate}_`)) || name.split('_')[0];
+    return `${resource}/${name.slice(resource.length + 1)}`;
+  }
+
+  generateWebhookTitle(topic) {
+    return topic.split(/[/_]/)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ') + ' Webhook';
+  }
+
   async categorizeShopifyRoutes() {
     // Additional categorization for Shopify-specific patterns
     const protectedPatterns = [
@@ -217,26 +447,8 @@ export class ShopifyFramework {
   }
 
   convertRemixRouteToUrl(filePath) {
-    // Convert Remix file-based routing to URLs
-    let url = filePath
-      .replace(/\.(js|jsx|ts|tsx)$/, '') // Remove extensions
-      .replace(/\._index$/, '') // Handle _index files
-      .replace(/\./g, '/') // Convert dots to slashes
-      .replace(/\$([^/]+)/g, ':$1') // Convert $param to :param
-      .replace(/_/g, '') // Remove underscores from route segments
-      .replace(/\/+/g, '/'); // Clean up multiple slashes
-
-    // Handle special Shopify app routes
-    if (url.startsWith('app/')) {
-      url = '/' + url;
-    } else if (!url.startsWith('/')) {
-      url = '/' + url;
-    }
-
-    // Clean up and ensure proper format
-    url = url.replace(/\/$/, '') || '/';
-    
-    return url;
+    // Shopify's Remix template uses the standard flat-route conventions
+    return this.remixFramework.convertRemixRouteToUrl(filePath);
   }
 
   extractReactRouterRoutes(content) {
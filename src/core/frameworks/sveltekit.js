@@ -0,0 +1,282 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import { findExportedNames, isPathWithin } from '../utils/source-parser.js';
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+export class SvelteKitFramework {
+  constructor(projectPath) {
+    this.projectPath = projectPath;
+    this.routesDir = path.join(projectPath, 'src', 'routes');
+    this.loginUrl = '/login';
+    this.protectedDirs = new Map(); // route directory -> redirect target
+    this.hookGuard = null; // { prefixes: [], redirect }
+  }
+
+  async detect() {
+    const packageJsonPath = path.join(this.projectPath, 'package.json');
+
+    if (!await fs.pathExists(packageJsonPath)) {
+      return false;
+    }
+
+    const packageJson = await fs.readJson(packageJsonPath);
+    const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+
+    if (!deps['@sveltejs/kit']) {
+      return false;
+    }
+
+    // kit.files.routes can move the routes directory
+    const configPath = path.join(this.projectPath, 'svelte.config.js');
+    if (await fs.pathExists(configPath)) {
+      const config = await fs.readFile(configPath, 'utf8');
+      const routesMatch = config.match(/routes\s*:\s*['"`]([^'"`]+)['"`]/);
+      if (routesMatch) {
+        this.routesDir = path.join(this.projectPath, routesMatch[1]);
+      }
+    }
+
+    return {
+      name: 'sveltekit',
+      version: deps['@sveltejs/kit'],
+      routesDir: this.routesDir
+    };
+  }
+
+  async scanRoutes() {
+    const routes = { public: [], protected: [], api: [] };
+
+    if (!await fs.pathExists(this.routesDir)) {
+      return routes;
+    }
+
+    await this.scanHooks();
+    await this.scanServerLoads();
+
+    const pageFiles = await glob('**/+page.svelte', { cwd: this.routesDir });
+    const endpointFiles = await glob('**/+server.{js,ts}', { cwd: this.routesDir });
+
+    console.log('📁 SvelteKit - Found page files:', pageFiles);
+    console.log('📁 SvelteKit - Found endpoint files:', endpointFiles);
+
+    for (const file of pageFiles) {
+      const routeDir = path.dirname(file).replace(/\\/g, '/');
+      const url = this.convertRouteDirToUrl(routeDir);
+      const redirect = this.findProtectingRedirect(routeDir, url);
+
+      const route = {
+        url,
+        title: this.generateRouteTitle(url),
+        file: path.join(this.routesDir, file),
+        type: 'page',
+        framework: 'sveltekit'
+      };
+
+      if (redirect) {
+        routes.protected.push({
+          ...route,
+          requiresAuth: true,
+          expectedRedirect: redirect
+        });
+      } else {
+        routes.public.push({
+          ...route,
+          expectedStatus: 200
+        });
+      }
+    }
+
+    for (const file of endpointFiles) {
+      const filePath = path.join(this.routesDir, file);
+      const url = this.convertRouteDirToUrl(path.dirname(file).replace(/\\/g, '/'));
+
+      let methods = ['GET'];
+      try {
+        const detected = this.extractExportedMethods(await fs.readFile(filePath, 'utf8'));
+        if (detected.length > 0) {
+          methods = detected;
+        }
+      } catch (error) {
+        // Keep the GET default when the endpoint can't be read
+      }
+
+      const requiresAuth = Boolean(this.matchHookGuard(url)) || this.isProtectedRoute(url);
+
+      for (const method of methods) {
+        routes.api.push({
+          url,
+          title: `${this.generateRouteTitle(url).replace(/ Page$/, ' API')} (${method})`,
+          method,
+          file: filePath,
+          type: 'api',
+          framework: 'sveltekit',
+          requiresAuth,
+          expectedStatus: requiresAuth ? 401 : 200
+        });
+      }
+    }
+
+    return routes;
+  }
+
+  async scanHooks() {
+    const hookFiles = ['src/hooks.server.js', 'src/hooks.server.ts'];
+
+    for (const hookFile of hookFiles) {
+      const hookPath = path.join(this.projectPath, hookFile);
+      if (!await fs.pathExists(hookPath)) {
+        continue;
+      }
+
+      const content = await fs.readFile(hookPath, 'utf8');
+      const redirect = this.extractLoginRedirect(content);
+      if (!redirect) {
+        continue;
+      }
+
+      // event.url.pathname.startsWith('/admin') / pathname === '/account'
+      const prefixes = [...content.matchAll(/pathname\s*(?:\.startsWith\s*\(|===?\s*)\s*['"`](\/[^'"`]*)['"`]/g)]
+        .map(match => match[1])
+        .filter(prefix => prefix !== redirect);
+
+      this.hookGuard = { prefixes, redirect };
+      this.loginUrl = redirect;
+      console.log(`🔒 SvelteKit - hooks.server redirects to ${redirect}${prefixes.length ? ` for ${prefixes.join(', ')}` : ''}`);
+    }
+  }
+
+  async scanServerLoads() {
+    const serverFiles = await glob('**/{+layout.server,+page.server}.{js,ts}', { cwd: this.routesDir });
+
+    for (const file of serverFiles) {
+      try {
+        const content = await fs.readFile(path.join(this.routesDir, file), 'utf8');
+        const redirect = this.extractLoginRedirect(content);
+
+        if (redirect) {
+          const routeDir = path.dirname(file).replace(/\\/g, '/');
+          const isLayout = path.basename(file).startsWith('+layout');
+          this.protectedDirs.set(routeDir, { redirect, inherited: isLayout });
+          this.loginUrl = redirect;
+          console.log(`🔒 SvelteKit - ${file} redirects to ${redirect}`);
+        }
+      } catch (error) {
+        // Skip files that can't be read
+        continue;
+      }
+    }
+  }
+
+  extractLoginRedirect(content) {
+    // redirect(302, '/login') / throw redirect(303, `/login?redirectTo=${...}`)
+    const redirects = [...content.matchAll(/redirect\s*\(\s*\d{3}\s*,\s*['"`](\/[^'"`?$]*)/g)]
+      .map(match => match[1]);
+
+    return redirects.find(url => /login|signin|sign-in|auth/i.test(url)) || null;
+  }
+
+  findProtectingRedirect(routeDir, url) {
+    if (url === this.loginUrl) {
+      return null;
+    }
+
+    // Walk up from the page directory looking for a guarding load function
+    const segments = routeDir === '.' ? [] : routeDir.split('/');
+    for (let i = segments.length; i >= 0; i--) {
+      const dir = i === 0 ? '.' : segments.slice(0, i).join('/');
+      const guard = this.protectedDirs.get(dir);
+
+      if (guard && (guard.inherited || i === segments.length)) {
+        return guard.redirect;
+      }
+    }
+
+    const hookRedirect = this.matchHookGuard(url);
+    if (hookRedirect) {
+      return hookRedirect;
+    }
+
+    return this.isProtectedRoute(url) ? this.loginUrl : null;
+  }
+
+  matchHookGuard(url) {
+    if (!this.hookGuard || url === this.hookGuard.redirect) {
+      return null;
+    }
+
+    const { prefixes, redirect } = this.hookGuard;
+
+    // A hook without path checks guards every route
+    if (prefixes.length === 0 || prefixes.some(prefix => isPathWithin(prefix, url))) {
+      return redirect;
+    }
+
+    return null;
+  }
+
+  extractExportedMethods(content) {
+    const exported = findExportedNames(content);
+    return HTTP_METHODS.filter(method => exported.has(method));
+  }
+
+  convertRouteDirToUrl(routeDir) {
+    if (!routeDir || routeDir === '.') {
+      return '/';
+    }
+
+    const segments = routeDir
+      .split('/')
+      .filter(segment => !/^\(.*\)$/.test(segment)) // (group) layouts don't affect the URL
+      .map(segment => segment
+        .replace(/^\[\.\.\.(\w+)(?:=\w+)?\]$/, '*') // [...rest] -> *
+        .replace(/\[\[(\w+)(?:=\w+)?\]\]/g, ':$1?') // [[lang]] -> :lang?
+        .replace(/\[(\w+)(?:=\w+)?\]/g, ':$1') // [id] / [id=integer] -> :id
+      );
+
+    const url = '/' + segments.join('/');
+    return url.length > 1 && url.endsWith('/') ? url.slice(0, -1) : url;
+  }
+
+  isProtectedRoute(url) {
+    const protectedPatterns = [
+      '/dashboard', '/admin', '/profile', '/settings', '/account',
+      '/user', '/management', '/private', '/secure', '/protected'
+    ];
+
+    return protectedPatterns.some(pattern =>
+      url.toLowerCase().includes(pattern.toLowerCase())
+    );
+  }
+
+  generateRouteTitle(url) {
+    if (url === '/') return 'Home Page';
+
+    return url
+      .split('/')
+      .filter(Boolean)
+      .map(segment => {
+        // Handle dynamic segments
+        if (segment.startsWith(':')) {
+          return segment.substring(1).charAt(0).toUpperCase() + segment.substring(2);
+        }
+        return segment.charAt(0).toUpperCase() + segment.slice(1);
+      })
+      .join(' ') + ' Page';
+  }
+
+  generateJenkinsConfig() {
+    return {
+      buildCommand: 'npm run build',
+      testCommand: 'npm run test:routes',
+      devCommand: 'npm run dev',
+      port: 5173,
+      environment: {
+        NODE_ENV: 'test'
+      }
+    };
+  }
+}
+
+export default SvelteKitFramework;
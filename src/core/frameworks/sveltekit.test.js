@@ -0,0 +1,41 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import SvelteKitFramework from './sveltekit.js';
+
+let projectPath;
+
+before(async () => {
+  projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'sveltekit-scan-'));
+  await fs.writeJson(path.join(projectPath, 'package.json'), { devDependencies: { '@sveltejs/kit': '^2.0.0' } });
+  await fs.outputFile(path.join(projectPath, 'src/hooks.server.ts'), `
+import { redirect } from '@sveltejs/kit';
+
+export const handle = async ({ event, resolve }) => {
+  if (event.url.pathname.startsWith('/team') && !event.locals.user) redirect(303, '/login');
+  return resolve(event);
+};
+`);
+
+  for (const dir of ['login', 'team', 'team/members', 'teammates']) {
+    await fs.outputFile(path.join(projectPath, `src/routes/${dir}/+page.svelte`), '<h1>Page</h1>\n');
+  }
+});
+
+after(async () => {
+  await fs.remove(projectPath);
+});
+
+test('hook path checks only guard whole segments', async () => {
+  const originalLog = console.log;
+  console.log = () => {};
+  const framework = new SvelteKitFramework(projectPath);
+  const routes = await framework.detect().then(() => framework.scanRoutes()).finally(() => {
+    console.log = originalLog;
+  });
+
+  assert.deepEqual(routes.protected.map(route => route.url).sort(), ['/team', '/team/members']);
+  assert.deepEqual(routes.public.map(route => route.url).sort(), ['/login', '/teammates']);
+});
@@ -0,0 +1,318 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import {
+  findCalls,
+  parseArrayLiteral,
+  parseObjectLiteral,
+  readStringLiteral,
+  readBooleanLiteral,
+  resolveIdentifierValue,
+  findImportSource,
+  resolveModulePath,
+  joinRoutePaths
+} from '../utils/source-parser.js';
+
+export class VueFramework {
+  constructor(projectPath) {
+    this.projectPath = projectPath;
+    this.routerVersion = null;
+    this.loginUrl = '/login';
+  }
+
+  async detect() {
+    const packageJsonPath = path.join(this.projectPath, 'package.json');
+
+    if (!await fs.pathExists(packageJsonPath)) {
+      return false;
+    }
+
+    const packageJson = await fs.readJson(packageJsonPath);
+    const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+
+    if (!deps.vue && !deps['vue-router']) {
+      return false;
+    }
+
+    this.routerVersion = deps['vue-router'] || null;
+
+    return {
+      name: 'vue',
+      version: deps.vue,
+      routerVersion: this.routerVersion
+    };
+  }
+
+  async scanRoutes() {
+    const routes = { public: [], protected: [], api: [] };
+    const srcDir = path.join(this.projectPath, 'src');
+
+    if (!await fs.pathExists(srcDir)) {
+      this.addDefaultRoutes(routes);
+      return routes;
+    }
+
+    const routerFiles = await glob('**/*.{js,ts,vue}', {
+      cwd: srcDir,
+      ignore: ['**/*.test.*', '**/*.spec.*', '**/node_modules/**']
+    });
+
+    const foundRoutes = new Map();
+
+    for (const file of routerFiles) {
+      try {
+        const filePath = path.join(srcDir, file);
+        const content = this.extractScript(await fs.readFile(filePath, 'utf8'), file);
+
+        if (!/createRouter|new\s+(?:Vue)?Router/.test(content)) {
+          continue;
+        }
+
+        console.log(`🔍 Vue - Extracting routes from: ${file}`);
+
+        this.detectLoginRedirect(content);
+
+        const routeRecords = await this.findRouteRecords(content, filePath);
+        for (const route of this.flattenRouteRecords(routeRecords, '', false, file)) {
+          if (!foundRoutes.has(route.url)) {
+            console.log(`  ✅ Found route: ${route.url}`);
+            foundRoutes.set(route.url, route);
+          }
+        }
+      } catch (error) {
+        // Skip files that can't be read
+        continue;
+      }
+    }
+
+    for (const route of foundRoutes.values()) {
+      this.categorizeRoute(route, routes);
+    }
+
+    if (foundRoutes.size === 0) {
+      this.addDefaultRoutes(routes);
+    }
+
+    return routes;
+  }
+
+  extractScript(content, file) {
+    if (!file.endsWith('.vue')) {
+      return content;
+    }
+
+    const scripts = [...content.matchAll(/<script[^>]*>([\s\S]*?)<\/script>/gi)];
+    return scripts.map(match => match[1]).join('\n');
+  }
+
+  async findRouteRecords(content, filePath) {
+    const calls = findCalls(content, 'createRouter|new\\s+VueRouter|new\\s+Router');
+
+    for (const call of calls) {
+      const options = parseObjectLiteral(call.args[0]);
+      const routesValue = options.routes;
+
+      if (!routesValue) {
+        continue;
+      }
+
+      // Inline array: createRouter({ routes: [...] })
+      if (routesValue.startsWith('[')) {
+        return parseArrayLiteral(routesValue);
+      }
+
+      // Identifier: createRouter({ routes }) with routes defined in this file or imported
+      const resolved = await this.resolveRoutesIdentifier(routesValue, content, filePath);
+      if (resolved) {
+        return parseArrayLiteral(resolved);
+      }
+    }
+
+    return [];
+  }
+
+  async resolveRoutesIdentifier(name, content, filePath) {
+    const local = resolveIdentifierValue(content, name);
+    if (local) {
+      return local;
+    }
+
+    const importedFrom = findImportSource(content, name);
+    const modulePath = await resolveModulePath(filePath, importedFrom);
+    if (!modulePath) {
+      return null;
+    }
+
+    const moduleContent = await fs.readFile(modulePath, 'utf8');
+    return resolveIdentifierValue(moduleContent, name) || resolveIdentifierValue(moduleContent, 'default');
+  }
+
+  flattenRouteRecords(records, parentPath, parentRequiresAuth, file) {
+    const routes = [];
+
+    for (const record of records) {
+      const properties = parseObjectLiteral(record);
+      const routePath = readStringLiteral(properties.path);
+
+      if (routePath === null) {
+        continue;
+      }
+
+      const fullPath = joinRoutePaths(parentPath, routePath);
+      const requiresAuth = parentRequiresAuth || this.hasAuthMeta(properties);
+      const children = properties.children ? parseArrayLiteral(properties.children) : [];
+      const url = this.normalizeVueRoutePath(fullPath);
+
+      // Redirect-only records and the catch-all 404 aren't pages worth testing
+      const isRedirectOnly = properties.redirect && !properties.component && children.length === 0;
+
+      if (url && !isRedirectOnly && (children.length === 0 || properties.component)) {
+        routes.push({
+          url,
+          title: this.generateRouteTitle(url),
+          file,
+          name: readStringLiteral(properties.name),
+          component: this.extractComponentName(properties.component),
+          framework: 'vue',
+          type: 'page',
+          requiresAuth
+        });
+      }
+
+      routes.push(...this.flattenRouteRecords(children, fullPath, requiresAuth, file));
+    }
+
+    return routes;
+  }
+
+  hasAuthMeta(properties) {
+    if (properties.beforeEnter) {
+      return true;
+    }
+
+    const meta = parseObjectLiteral(properties.meta);
+    return ['requiresAuth', 'auth', 'requireAuth', 'authRequired', 'protected']
+      .some(key => readBooleanLiteral(meta[key]) === true);
+  }
+
+  extractComponentName(component) {
+    if (!component) {
+      return null;
+    }
+
+    // () => import('../views/About.vue')
+    const lazyMatch = component.match(/import\s*\(\s*['"]([^'"]+)['"]/);
+    if (lazyMatch) {
+      return path.basename(lazyMatch[1]).replace(/\.\w+$/, '');
+    }
+
+    return /^[\w$]+$/.test(component) ? component : null;
+  }
+
+  detectLoginRedirect(content) {
+    // router.beforeEach((to) => { ... return '/login' / next({ path: '/login' }) / { name: 'login' } })
+    const guardIndex = content.search(/beforeEach\s*\(/);
+    if (guardIndex === -1) {
+      return;
+    }
+
+    const guard = content.slice(guardIndex);
+    const pathMatch = guard.match(/['"`](\/[\w-]*(?:login|signin|sign-in|auth)[\w/-]*)['"`]/i);
+    if (pathMatch) {
+      this.loginUrl = pathMatch[1];
+    }
+  }
+
+  normalizeVueRoutePath(routePath) {
+    let url = routePath;
+
+    // Catch-all: /:pathMatch(.*)* or Vue Router 3 '*'
+    if (/:\w+\(\.\*\)\*?/.test(url) || url === '*' || url === '/*') {
+      url = url.replace(/:\w+\(\.\*\)\*?/, '*').replace(/^\/?\*$/, '/*');
+
+      // Root catch-all is usually the 404 page
+      if (url === '/*') {
+        return null;
+      }
+    }
+
+    // Drop custom param regexps: /:id(\\d+) -> /:id
+    url = url.replace(/(:\w+)\([^)]*\)/g, '$1');
+
+    url = url.replace(/\/+/g, '/');
+
+    if (!url.startsWith('/')) {
+      url = '/' + url;
+    }
+
+    if (url !== '/' && url.endsWith('/')) {
+      url = url.slice(0, -1);
+    }
+
+    return url;
+  }
+
+  categorizeRoute(route, routes) {
+    const isProtected = route.requiresAuth || this.isProtectedRoute(route.url);
+
+    if (isProtected) {
+      routes.protected.push({
+        ...route,
+        requiresAuth: true,
+        expectedRedirect: this.loginUrl
+      });
+    } else {
+      routes.public.push({
+        ...route,
+        expectedStatus: 200
+      });
+    }
+  }
+
+  isProtectedRoute(url) {
+    const protectedPatterns = [
+      '/dashboard', '/admin', '/profile', '/settings', '/account',
+      '/user', '/management', '/private', '/secure', '/protected'
+    ];
+
+    return protectedPatterns.some(pattern =>
+      url.toLowerCase().includes(pattern.toLowerCase())
+    );
+  }
+
+  addDefaultRoutes(routes) {
+    // Without a router definition the app is a single page
+    routes.public.push({ url: '/', title: 'Home Page', framework: 'vue', expectedStatus: 200 });
+  }
+
+  generateRouteTitle(url) {
+    if (url === '/') return 'Home Page';
+
+    return url
+      .split('/')
+      .filter(Boolean)
+      .map(segment => {
+        // Handle dynamic segments
+        if (segment.startsWith(':')) {
+          return segment.substring(1).charAt(0).toUpperCase() + segment.substring(2);
+        }
+        return segment.charAt(0).toUpperCase() + segment.slice(1);
+      })
+      .join(' ') + ' Page';
+  }
+
+  generateJenkinsConfig() {
+    return {
+      buildCommand: 'npm run build',
+      testCommand: 'npm run test:routes',
+      devCommand: 'npm run dev',
+      port: 5173,
+      environment: {
+        NODE_ENV: 'test',
+        CI: 'true'
+      }
+    };
+  }
+}
+
+export default VueFramework;
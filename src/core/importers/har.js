@@ -0,0 +1,173 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { isLoginPath } from '../utils/source-parser.js';
+
+const STATIC_ASSET = /\.(?:js|mjs|css|map|png|jpe?g|gif|svg|ico|webp|avif|woff2?|ttf|otf|eot|mp4|webm|mp3|pdf|txt|xml|json)$/i;
+
+// Reads pages and the XHR/fetch calls they made from a HAR recording exported from the browser
+export class HarImporter {
+  constructor(harPath, projectPath = process.cwd(), options = {}) {
+    this.harPath = harPath;
+    this.projectPath = projectPath;
+    this.loginURL = options.loginURL || null;
+  }
+
+  async importRoutes() {
+    if (!await fs.pathExists(this.harPath)) {
+      throw new Error(`HAR file not found: ${this.harPath}`);
+    }
+
+    let har;
+    try {
+      har = await fs.readJson(this.harPath);
+    } catch (error) {
+      throw new Error(`Could not parse HAR file ${path.basename(this.harPath)}: ${error.message}`);
+    }
+
+    const entries = (har.log?.entries || []).filter(entry => /^https?:/i.test(entry.request?.url || ''));
+    const routes = { public: [], protected: [], api: [] };
+    const seen = new Set();
+
+    // Only the app's own requests count - analytics, CDNs and third-party APIs are left out
+    const documents = entries.filter(entry => this.getResourceType(entry) === 'document');
+    const origins = new Set((documents.length ? documents : entries.slice(0, 1)).map(entry => new URL(entry.request.url).origin));
+
+    for (const entry of entries) {
+      const requestUrl = new URL(entry.request.url);
+      const status = entry.response?.status || 0;
+      const type = this.getResourceType(entry);
+
+      // Status 0 is a blocked or cancelled request
+      if (!origins.has(requestUrl.origin) || status === 0 || STATIC_ASSET.test(requestUrl.pathname) || !type) {
+        continue;
+      }
+
+      const url = this.toRoutePath(requestUrl.pathname);
+      const method = (entry.request.method || 'GET').toUpperCase();
+      const key = `${type === 'document' ? 'page' : method}:${url}`;
+
+      if (seen.has(key)) {
+        continue;
+      }
+
+      // A failed call doesn't claim the URL - a later successful one can still be recorded
+      const added = type === 'document'
+        ? this.addPage(routes, entry, url, status)
+        : this.addApi(routes, entry, url, method, status);
+      if (added) {
+        seen.add(key);
+      }
+    }
+
+    console.log(`📼 HAR: ${routes.public.length + routes.protected.length} pages and ${routes.api.length} API calls from ${path.relative(this.projectPath, this.harPath)}`);
+    return routes;
+  }
+
+  // Chrome records _resourceType; other browsers only leave the response type to go on
+  getResourceType(entry) {
+    const resourceType = entry._resourceType;
+    const mimeType = entry.response?.content?.mimeType || '';
+
+    if (resourceType === 'document' || (!resourceType && /text\/html/i.test(mimeType))) {
+      return 'document';
+    }
+    if (resourceType === 'xhr' || resourceType === 'fetch' || (!resourceType && /json/i.test(mimeType))) {
+      return 'api';
+    }
+    return null;
+  }
+
+  addPage(routes, entry, url, status) {
+    const route = {
+      url,
+      title: this.generateRouteTitle(url),
+      file: path.relative(this.projectPath, this.harPath),
+      type: 'page',
+      framework: 'har',
+      source: 'har'
+    };
+
+    const location = entry.response.redirectURL || this.getHeader(entry.response.headers, 'location');
+    const redirect = location && this.toRoutePath(new URL(location, entry.request.url).pathname);
+
+    if (status >= 300 && status < 400 && redirect && isLoginPath(redirect, this.loginURL)) {
+      routes.protected.push({ ...route, requiresAuth: true, expectedRedirect: redirect });
+    } else if (status === 401 || status === 403) {
+      routes.protected.push({ ...route, requiresAuth: true });
+    } else if (status < 400) {
+      routes.public.push(route);
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  addApi(routes, entry, url, method, status) {
+    const rejected = status === 401 || status === 403;
+
+    // Failed calls (404, 500...) say nothing about what the endpoint should return
+    if (!rejected && (status < 200 || status >= 300)) {
+      return false;
+    }
+
+    // Calls recorded while signed in carry a token - without one the app should refuse them.
+    // Cookies may be the session or only analytics, so those calls are flagged for review
+    const hasToken = !!this.getHeader(entry.request.headers, 'authorization');
+    const hasCookies = !!this.getHeader(entry.request.headers, 'cookie');
+    const requiresAuth = hasToken || hasCookies || rejected;
+    const body = this.readRequestBody(entry.request.postData);
+
+    routes.api.push({
+      url,
+      title: `${this.generateRouteTitle(url).replace(/ Page$/, ' API')} (${method})`,
+      method,
+      file: path.relative(this.projectPath, this.harPath),
+      type: 'api',
+      framework: 'har',
+      source: 'har',
+      requiresAuth,
+      expectedStatus: requiresAuth ? 401 : status,
+      ...(hasCookies && !hasToken && !rejected && { note: 'Recorded with cookies - confirm it requires login' }),
+      ...(body !== undefined && { schema: { body: { type: Array.isArray(body) ? 'array' : typeof body, example: body } } })
+    });
+    return true;
+  }
+
+  readRequestBody(postData) {
+    if (!postData?.text || !/json/i.test(postData.mimeType || 'application/json')) {
+      return undefined;
+    }
+
+    try {
+      return JSON.parse(postData.text);
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  getHeader(headers = [], name) {
+    return headers.find(header => header.name.toLowerCase() === name)?.value || null;
+  }
+
+  toRoutePath(pathname) {
+    let url;
+    try {
+      url = decodeURI(pathname);
+    } catch (error) {
+      url = pathname;
+    }
+    return url.length > 1 && url.endsWith('/') ? url.slice(0, -1) : url;
+  }
+
+  generateRouteTitle(url) {
+    if (url === '/') return 'Home Page';
+
+    return url
+      .split('/')
+      .filter(Boolean)
+      .map(segment => segment.charAt(0).toUpperCase() + segment.slice(1))
+      .join(' ') + ' Page';
+  }
+}
+
+export default HarImporter;
@@ -0,0 +1,67 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import HarImporter from './har.js';
+
+let projectPath;
+let routes;
+
+const entry = (method, url, status, { type, headers = [], location, postData } = {}) => ({
+  _resourceType: type,
+  request: { method, url, headers, ...(postData && { postData }) },
+  response: { status, headers: location ? [{ name: 'Location', value: location }] : [], content: { mimeType: type === 'document' ? 'text/html' : 'application/json' } }
+});
+
+before(async () => {
+  projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'har-import-'));
+  await fs.writeJson(path.join(projectPath, 'session.har'), {
+    log: {
+      entries: [
+        entry('GET', 'https://shop.test/', 200, { type: 'document' }),
+        entry('GET', 'https://shop.test/orders/', 302, { type: 'document', location: '/login?next=/orders' }),
+        entry('GET', 'https://shop.test/billing', 403, { type: 'document' }),
+        entry('GET', 'https://shop.test/app.js', 200, { type: 'script' }),
+        entry('GET', 'https://shop.test/api/products', 200, { type: 'fetch' }),
+        entry('GET', 'https://shop.test/api/me', 200, { type: 'xhr', headers: [{ name: 'Authorization', value: 'Bearer abc' }] }),
+        entry('GET', 'https://shop.test/api/cart', 200, { type: 'fetch', headers: [{ name: 'Cookie', value: 'session=1' }] }),
+        entry('POST', 'https://shop.test/api/orders', 500, { type: 'fetch' }),
+        entry('POST', 'https://shop.test/api/orders', 201, { type: 'fetch', postData: { mimeType: 'application/json', text: '{"sku":"A1"}' } }),
+        entry('GET', 'https://shop.test/api/missing', 404, { type: 'fetch' }),
+        entry('GET', 'https://analytics.test/collect', 200, { type: 'xhr' })
+      ]
+    }
+  });
+
+  const originalLog = console.log;
+  console.log = () => {};
+  routes = await new HarImporter(path.join(projectPath, 'session.har'), projectPath, { loginURL: '/login' }).importRoutes().finally(() => {
+    console.log = originalLog;
+  });
+});
+
+after(async () => {
+  await fs.remove(projectPath);
+});
+
+test('sorts recorded pages by how they answered', () => {
+  assert.deepEqual(routes.public.map(route => route.url), ['/']);
+  assert.deepEqual(
+    routes.protected.map(({ url, expectedRedirect }) => ({ url, expectedRedirect })),
+    [{ url: '/orders', expectedRedirect: '/login' }, { url: '/billing', expectedRedirect: undefined }]
+  );
+});
+
+test('keeps successful same-origin API calls and marks signed-in ones as protected', () => {
+  assert.deepEqual(
+    routes.api.map(({ method, url, requiresAuth, expectedStatus, note }) => ({ method, url, requiresAuth, expectedStatus, note })),
+    [
+      { method: 'GET', url: '/api/products', requiresAuth: false, expectedStatus: 200, note: undefined },
+      { method: 'GET', url: '/api/me', requiresAuth: true, expectedStatus: 401, note: undefined },
+      { method: 'GET', url: '/api/cart', requiresAuth: true, expectedStatus: 401, note: 'Recorded with cookies - confirm it requires login' },
+      { method: 'POST', url: '/api/orders', requiresAuth: false, expectedStatus: 201, note: undefined }
+    ]
+  );
+  assert.deepEqual(routes.api[3].schema, { body: { type: 'object', example: { sku: 'A1' } } });
+});
@@ -0,0 +1,257 @@
+import fs from 'fs-extra';
+import path from 'path';
+import YAML from 'yaml';
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'trace'];
+
+// Reads routes from an OpenAPI 3 / Swagger 2 document instead of the code
+export class OpenApiImporter {
+  constructor(specPath, projectPath = process.cwd()) {
+    this.specPath = specPath;
+    this.projectPath = projectPath;
+    this.document = null;
+  }
+
+  async load() {
+    if (!await fs.pathExists(this.specPath)) {
+      throw new Error(`OpenAPI document not found: ${this.specPath}`);
+    }
+
+    const content = await fs.readFile(this.specPath, 'utf8');
+    // YAML is a superset of JSON, so one parser covers .json, .yaml and .yml
+    const document = YAML.parse(content);
+
+    if (!document || (!String(document.openapi || '').startsWith('3') && document.swagger !== '2.0')) {
+      throw new Error(`${path.basename(this.specPath)} is not an OpenAPI 3 or Swagger 2 document`);
+    }
+
+    this.document = document;
+    return document;
+  }
+
+  async importRoutes() {
+    const document = this.document || await this.load();
+    const version = document.openapi ? `OpenAPI ${document.openapi}` : 'Swagger 2.0';
+    console.log(`📄 Reading ${version} document: ${path.relative(this.projectPath, this.specPath)}`);
+
+    const routes = [];
+
+    for (const [routePath, rawPathItem] of Object.entries(document.paths || {})) {
+      const pathItem = this.resolveRefs(rawPathItem);
+
+      for (const method of HTTP_METHODS.filter(name => pathItem[name])) {
+        const operation = pathItem[method];
+        const url = this.convertOpenApiPath(this.getBasePath(operation.servers || pathItem.servers) + routePath);
+        const parameters = this.mergeParameters(pathItem.parameters, operation.parameters);
+        const security = this.getSecurity(operation);
+        const requiresAuth = security !== null;
+        const schema = this.getSchemas(operation, parameters);
+        const staticParams = this.getParamSamples(parameters);
+        const upperMethod = method.toUpperCase();
+
+        console.log(`  ✅ Found operation: ${upperMethod} ${url}${requiresAuth ? ` (security: ${security.join(', ') || 'required'})` : ''}`);
+        routes.push({
+          url,
+          title: `${this.generateRouteTitle(url).replace(/ Page$/, ' API')} (${upperMethod})`,
+          method: upperMethod,
+          file: path.relative(this.projectPath, this.specPath),
+          type: 'api',
+          framework: 'openapi',
+          source: 'openapi',
+          requiresAuth,
+          ...(requiresAuth && { security }),
+          expectedStatus: this.getExpectedStatus(operation.responses, requiresAuth),
+          ...(operation.operationId && { operationId: operation.operationId }),
+          ...(operation.deprecated && { deprecated: true }),
+          ...(schema && { schema }),
+          ...(staticParams && { staticParams })
+        });
+      }
+    }
+
+    return routes;
+  }
+
+  // servers: [{ url: 'https://api.example.com/v1' }] / Swagger's basePath: /v1 - only the path part matters
+  getBasePath(servers) {
+    const document = this.document;
+
+    if (document.swagger) {
+      return (document.basePath || '').replace(/\/$/, '');
+    }
+
+    const server = (servers || document.servers || [])[0];
+    if (!server?.url) {
+      return '';
+    }
+
+    const serverUrl = server.url.replace(/\{([^}]+)\}/g, (match, name) => server.variables?.[name]?.default ?? '');
+    const basePath = /^[a-z][\w+.-]*:\/\//i.test(serverUrl) ? new URL(serverUrl).pathname : serverUrl;
+
+    return basePath.startsWith('/') ? basePath.replace(/\/$/, '') : '';
+  }
+
+  // Operation parameters override path-level ones with the same name and location
+  mergeParameters(pathParameters = [], operationParameters = []) {
+    const merged = new Map();
+
+    for (const parameter of [...pathParameters, ...operationParameters].map(entry => this.resolveRefs(entry))) {
+      merged.set(`${parameter.in}:${parameter.name}`, parameter);
+    }
+
+    return [...merged.values()];
+  }
+
+  // Returns the names of the schemes guarding an operation, or null when it can be called anonymously
+  getSecurity(operation) {
+    const requirements = operation.security ?? this.document.security ?? [];
+
+    // An empty requirement ({}) makes authentication optional
+    if (requirements.length === 0 || requirements.some(requirement => Object.keys(requirement).length === 0)) {
+      return null;
+    }
+
+    return [...new Set(requirements.flatMap(requirement => Object.keys(requirement)))];
+  }
+
+  getExpectedStatus(responses = {}, requiresAuth) {
+    const codes = Object.keys(responses);
+
+    if (requiresAuth) {
+      return codes.includes('401') || !codes.includes('403') ? 401 : 403;
+    }
+
+    const success = codes.filter(code => /^2\d\d$/.test(code)).sort()[0];
+    return success ? parseInt(success, 10) : 200;
+  }
+
+  // Shapes the request body and responses the way route schemas are stored: { body, response: { 200: {...} } }
+  getSchemas(operation, parameters) {
+    const body = this.getRequestBodySchema(operation, parameters);
+    const response = {};
+
+    for (const [code, rawResponse] of Object.entries(operation.responses || {})) {
+      const declared = this.resolveRefs(rawResponse);
+      const responseSchema = this.document.swagger ? declared.schema : this.findJsonMedia(declared.content)?.schema;
+
+      if (responseSchema) {
+        response[/^\d+$/.test(code) ? parseInt(code, 10) : code.toLowerCase()] = this.resolveRefs(responseSchema);
+      }
+    }
+
+    if (!body && Object.keys(response).length === 0) {
+      return null;
+    }
+
+    return {
+      ...(body && { body }),
+      ...(Object.keys(response).length > 0 && { response })
+    };
+  }
+
+  getRequestBodySchema(operation, parameters) {
+    // Swagger 2: { in: 'body', schema, x-example }
+    if (this.document.swagger) {
+      const bodyParameter = parameters.find(parameter => parameter.in === 'body');
+      if (!bodyParameter?.schema) {
+        return null;
+      }
+
+      const example = bodyParameter['x-example'] ?? bodyParameter.schema.example;
+      return { ...this.resolveRefs(bodyParameter.schema), ...(example !== undefined && { example }) };
+    }
+
+    const media = this.findJsonMedia(this.resolveRefs(operation.requestBody || {}).content);
+    if (!media) {
+      return null;
+    }
+
+    // Media-level examples describe the whole payload, so they win over the schema's own
+    const namedExample = Object.values(media.examples || {}).map(entry => this.resolveRefs(entry).value).find(value => value !== undefined);
+    const example = media.example ?? namedExample;
+    const schema = this.resolveRefs(media.schema || {});
+
+    return { ...schema, ...(example !== undefined && { example }) };
+  }
+
+  findJsonMedia(content = {}) {
+    const type = Object.keys(content).find(name => /json/i.test(name)) || Object.keys(content)[0];
+    return type ? content[type] : null;
+  }
+
+  // Path parameter examples become sample params so dynamic operations can be called
+  getParamSamples(parameters) {
+    const pathParameters = parameters.filter(parameter => parameter.in === 'path');
+    if (pathParameters.length === 0) {
+      return null;
+    }
+
+    const sample = {};
+    for (const parameter of pathParameters) {
+      const schema = parameter.schema || parameter;
+      const namedExample = Object.values(parameter.examples || {}).map(entry => this.resolveRefs(entry).value).find(value => value !== undefined);
+      const value = parameter.example ?? namedExample ?? parameter['x-example'] ?? schema.example ?? schema.default ?? schema.enum?.[0];
+
+      if (value === undefined || value === null) {
+        return null;
+      }
+      sample[parameter.name] = String(value);
+    }
+
+    return [sample];
+  }
+
+  // Inlines local $refs (#/components/..., #/definitions/...); recursive schemas stop at an empty schema
+  resolveRefs(value, resolving = new Set()) {
+    if (Array.isArray(value)) {
+      return value.map(entry => this.resolveRefs(entry, resolving));
+    }
+
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    if (typeof value.$ref === 'string') {
+      const ref = value.$ref;
+      if (!ref.startsWith('#/') || resolving.has(ref)) {
+        return {};
+      }
+
+      const target = ref.slice(2).split('/')
+        .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((node, segment) => node?.[decodeURIComponent(segment)], this.document);
+
+      return this.resolveRefs(target, new Set([...resolving, ref])) ?? {};
+    }
+
+    const resolved = {};
+    for (const [key, entry] of Object.entries(value)) {
+      resolved[key] = this.resolveRefs(entry, resolving);
+    }
+    return resolved;
+  }
+
+  convertOpenApiPath(routePath) {
+    // /users/{id} -> /users/:id
+    const url = routePath.replace(/\{([^}]+)\}/g, ':$1').replace(/\/+/g, '/');
+    return url.length > 1 && url.endsWith('/') ? url.slice(0, -1) : url || '/';
+  }
+
+  generateRouteTitle(url) {
+    if (url === '/') return 'Home Page';
+
+    return url
+      .split('/')
+      .filter(Boolean)
+      .map(segment => {
+        // Handle dynamic segments
+        if (segment.startsWith(':')) {
+          return segment.substring(1).charAt(0).toUpperCase() + segment.substring(2);
+        }
+        return segment.charAt(0).toUpperCase() + segment.slice(1);
+      })
+      .join(' ') + ' Page';
+  }
+}
+
+export default OpenApiImporter;
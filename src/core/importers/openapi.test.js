@@ -0,0 +1,116 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import OpenApiImporter from './openapi.js';
+
+let projectPath;
+let routes;
+
+before(async () => {
+  projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'openapi-import-'));
+  await fs.outputFile(path.join(projectPath, 'openapi.yaml'), `
+openapi: 3.0.3
+servers:
+  - url: https://{region}.example.com/{version}/
+    variables:
+      region: { default: eu }
+      version: { default: v2 }
+security:
+  - bearerAuth: []
+paths:
+  /health:
+    get:
+      security: []
+      responses:
+        '204': { description: ok }
+  /users/{id}:
+    parameters:
+      - $ref: '#/components/parameters/UserId'
+    get:
+      responses:
+        '200':
+          content:
+            application/json:
+              schema: { $ref: '#/components/schemas/User' }
+        '403': { description: forbidden }
+    put:
+      security:
+        - apiKey: []
+        - bearerAuth: []
+      requestBody:
+        $ref: '#/components/requestBodies/UserInput'
+      responses:
+        '200': { description: ok }
+  /search:
+    servers:
+      - url: /internal
+    get:
+      security:
+        - {}
+        - bearerAuth: []
+      responses:
+        '200': { description: ok }
+components:
+  parameters:
+    UserId:
+      name: id
+      in: path
+      required: true
+      schema: { type: integer, example: 42 }
+  requestBodies:
+    UserInput:
+      content:
+        application/json:
+          schema: { $ref: '#/components/schemas/User' }
+          example: { name: Ada }
+  schemas:
+    User:
+      type: object
+      properties:
+        name: { type: string }
+        manager: { $ref: '#/components/schemas/User' }
+`);
+
+  const originalLog = console.log;
+  console.log = () => {};
+  routes = await new OpenApiImporter(path.join(projectPath, 'openapi.yaml'), projectPath).importRoutes().finally(() => {
+    console.log = originalLog;
+  });
+});
+
+after(async () => {
+  await fs.remove(projectPath);
+});
+
+test('prefixes paths with the server path and operation-level servers', () => {
+  assert.deepEqual(routes.map(route => `${route.method} ${route.url}`), [
+    'GET /v2/health',
+    'GET /v2/users/:id',
+    'PUT /v2/users/:id',
+    'GET /internal/search'
+  ]);
+});
+
+test('reads security from the operation, the document and optional requirements', () => {
+  const auth = Object.fromEntries(routes.map(route => [`${route.method} ${route.url}`, [route.requiresAuth, route.security, route.expectedStatus]]));
+
+  assert.deepEqual(auth, {
+    'GET /v2/health': [false, undefined, 204],
+    'GET /v2/users/:id': [true, ['bearerAuth'], 403],
+    'PUT /v2/users/:id': [true, ['apiKey', 'bearerAuth'], 401],
+    'GET /internal/search': [false, undefined, 200]
+  });
+});
+
+test('inlines $refs for parameters, request bodies and recursive schemas', () => {
+  const [, getUser, putUser] = routes;
+
+  assert.deepEqual(getUser.staticParams, [{ id: '42' }]);
+  assert.deepEqual(getUser.schema.response[200], {
+    type: 'object',
+    properties: { name: { type: 'string' }, manager: {} }
+  });
+  assert.deepEqual(putUser.schema.body.example, { name: 'Ada' });
+});
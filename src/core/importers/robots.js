@@ -0,0 +1,66 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+// Paths crawlers are kept out of are often behind a login, so Disallow rules become protected route candidates
+export class RobotsImporter {
+  constructor(robotsPath, projectPath = process.cwd()) {
+    this.robotsPath = robotsPath;
+    this.projectPath = projectPath;
+  }
+
+  async importRoutes() {
+    if (!await fs.pathExists(this.robotsPath)) {
+      throw new Error(`robots.txt not found: ${this.robotsPath}`);
+    }
+
+    const content = await fs.readFile(this.robotsPath, 'utf8');
+    const routes = { public: [], protected: [], api: [] };
+    const seen = new Set();
+
+    for (const rawLine of content.split(/\r?\n/)) {
+      const match = rawLine.replace(/#.*$/, '').match(/^\s*Disallow\s*:\s*(\S*)/i);
+      const url = match && this.toRoutePath(match[1]);
+
+      if (!url || seen.has(url)) {
+        continue;
+      }
+      seen.add(url);
+
+      routes.protected.push({
+        url,
+        title: this.generateRouteTitle(url),
+        file: path.relative(this.projectPath, this.robotsPath),
+        type: 'page',
+        framework: 'robots',
+        source: 'robots',
+        requiresAuth: true,
+        note: 'Disallowed in robots.txt - confirm it requires login'
+      });
+    }
+
+    console.log(`🤖 robots.txt: ${routes.protected.length} Disallow paths as protected candidates`);
+    return routes;
+  }
+
+  // Disallow: /admin/ -> /admin, /account* -> /account. Wildcards mid-path, queries, files,
+  // API paths and "Disallow: /" (the whole site) don't describe a single page
+  toRoutePath(rule) {
+    const url = rule.replace(/\$$/, '').replace(/\*$/, '');
+
+    if (!url.startsWith('/') || url === '/' || /[*?]/.test(url) || /\.\w+$/.test(url) || /^\/(?:api|_next)(?:\/|$)/.test(url)) {
+      return null;
+    }
+
+    return url.length > 1 && url.endsWith('/') ? url.slice(0, -1) : url;
+  }
+
+  generateRouteTitle(url) {
+    return url
+      .split('/')
+      .filter(Boolean)
+      .map(segment => segment.charAt(0).toUpperCase() + segment.slice(1))
+      .join(' ') + ' Page';
+  }
+}
+
+export default RobotsImporter;
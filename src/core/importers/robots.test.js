@@ -0,0 +1,41 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import RobotsImporter from './robots.js';
+
+let projectPath;
+
+before(async () => {
+  projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'robots-import-'));
+  await fs.outputFile(path.join(projectPath, 'robots.txt'), [
+    'User-agent: *',
+    'Disallow: /account/',
+    'Disallow: /checkout* # cart steps',
+    'disallow: /admin$',
+    'Disallow: /account',
+    'Disallow: /',
+    'Disallow:',
+    'Disallow: /*?sort=',
+    'Disallow: /private/report.pdf',
+    'Disallow: /api/',
+    'Allow: /blog'
+  ].join('\r\n'));
+});
+
+after(async () => {
+  await fs.remove(projectPath);
+});
+
+test('turns page-like Disallow rules into protected candidates', async () => {
+  const originalLog = console.log;
+  console.log = () => {};
+  const routes = await new RobotsImporter(path.join(projectPath, 'robots.txt'), projectPath).importRoutes().finally(() => {
+    console.log = originalLog;
+  });
+
+  assert.deepEqual(routes.protected.map(route => route.url), ['/account', '/checkout', '/admin']);
+  assert.ok(routes.protected.every(route => route.requiresAuth && route.source === 'robots'));
+  assert.deepEqual(routes.public, []);
+});
@@ -0,0 +1,103 @@
+import fs from 'fs-extra';
+import path from 'path';
+import zlib from 'zlib';
+
+const XML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'" };
+
+// Reads page URLs from a local sitemap.xml, following sitemap indexes to the child sitemaps next to it
+export class SitemapImporter {
+  constructor(sitemapPath, projectPath = process.cwd()) {
+    this.sitemapPath = sitemapPath;
+    this.projectPath = projectPath;
+  }
+
+  async importRoutes() {
+    const routes = { public: [], protected: [], api: [] };
+    const seen = new Set();
+
+    for (const { url, file } of await this.readSitemap(this.sitemapPath, new Set())) {
+      if (seen.has(url)) {
+        continue;
+      }
+      seen.add(url);
+
+      routes.public.push({
+        url,
+        title: this.generateRouteTitle(url),
+        file: path.relative(this.projectPath, file),
+        type: 'page',
+        framework: 'sitemap',
+        source: 'sitemap'
+      });
+    }
+
+    console.log(`🗺️ Sitemap: ${routes.public.length} URLs from ${path.relative(this.projectPath, this.sitemapPath)}`);
+    return routes;
+  }
+
+  async readSitemap(filePath, visited) {
+    if (visited.has(filePath)) {
+      return [];
+    }
+    visited.add(filePath);
+
+    if (!await fs.pathExists(filePath)) {
+      throw new Error(`Sitemap not found: ${filePath}`);
+    }
+
+    const buffer = await fs.readFile(filePath);
+    const content = (filePath.endsWith('.gz') ? zlib.gunzipSync(buffer) : buffer).toString('utf8');
+    const locations = [...content.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([\s\S]*?)\s*(?:\]\]>)?\s*<\/loc>/g)]
+      .map(match => match[1].replace(/&(?:amp|lt|gt|quot|apos);/g, entity => XML_ENTITIES[entity]));
+
+    if (!/<sitemapindex[\s>]/.test(content)) {
+      return locations.map(location => ({ url: this.toRoutePath(location), file: filePath })).filter(entry => entry.url);
+    }
+
+    // <sitemapindex> lists child sitemaps by absolute URL - look for each one beside the index
+    const entries = [];
+    for (const location of locations) {
+      const childPath = await this.findLocalSitemap(location, path.dirname(filePath));
+      if (childPath) {
+        entries.push(...await this.readSitemap(childPath, visited));
+      } else {
+        console.warn(`⚠️ Sitemap ${location} is listed in ${path.basename(filePath)} but no local copy was found`);
+      }
+    }
+    return entries;
+  }
+
+  async findLocalSitemap(location, directory) {
+    const pathname = this.toRoutePath(location) || '';
+    const candidates = [path.join(directory, pathname), path.join(directory, path.basename(pathname))];
+
+    for (const candidate of candidates) {
+      if (pathname && await fs.pathExists(candidate) && (await fs.stat(candidate)).isFile()) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  // https://example.com/blog/post-1?ref=x -> /blog/post-1
+  toRoutePath(location) {
+    try {
+      const { pathname } = new URL(location, 'http://localhost');
+      return decodeURI(pathname);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  generateRouteTitle(url) {
+    if (url === '/') return 'Home Page';
+
+    return url
+      .split('/')
+      .filter(Boolean)
+      .map(segment => segment.charAt(0).toUpperCase() + segment.slice(1))
+      .join(' ') + ' Page';
+  }
+}
+
+export default SitemapImporter;
@@ -0,0 +1,55 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import fs from 'fs-extra';
+import SitemapImporter from './sitemap.js';
+
+let projectPath;
+
+before(async () => {
+  projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'sitemap-import-'));
+  await fs.outputFile(path.join(projectPath, 'public/sitemap.xml'), `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://shop.test/sitemaps/pages.xml</loc></sitemap>
+  <sitemap><loc>https://shop.test/products.xml.gz</loc></sitemap>
+</sitemapindex>
+`);
+  await fs.outputFile(path.join(projectPath, 'public/sitemaps/pages.xml'), `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://shop.test/</loc></url>
+  <url><loc><![CDATA[https://shop.test/search?q=a&page=2]]></loc></url>
+  <url><loc>https://shop.test/caf%C3%A9</loc></url>
+</urlset>
+`);
+  await fs.outputFile(path.join(projectPath, 'public/products.xml.gz'), zlib.gzipSync(`
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://shop.test/products/1?ref=a&amp;b=c</loc></url>
+  <url><loc>https://shop.test/</loc></url>
+</urlset>
+`));
+});
+
+after(async () => {
+  await fs.remove(projectPath);
+});
+
+test('follows sitemap indexes to local child sitemaps, gzipped or not', async () => {
+  const originalLog = console.log;
+  console.log = () => {};
+  const routes = await new SitemapImporter(path.join(projectPath, 'public/sitemap.xml'), projectPath).importRoutes().finally(() => {
+    console.log = originalLog;
+  });
+
+  assert.deepEqual(
+    routes.public.map(({ url, file }) => [url, file]),
+    [
+      ['/', path.join('public', 'sitemaps', 'pages.xml')],
+      ['/search', path.join('public', 'sitemaps', 'pages.xml')],
+      ['/café', path.join('public', 'sitemaps', 'pages.xml')],
+      ['/products/1', path.join('public', 'products.xml.gz')]
+    ]
+  );
+  assert.deepEqual(routes.protected, []);
+});
@@ -5,12 +5,58 @@ import NextjsFramework from './frameworks/nextjs.js';
 import ReactFramework from './frameworks/react.js';
 import ExpressFramework from './frameworks/express.js';
 import ShopifyFramework from './frameworks/shopify.js';
+import VueFramework from './frameworks/vue.js';
+import NuxtFramework from './frameworks/nuxt.js';
+import SvelteKitFramework from './frameworks/sveltekit.js';
+import AstroFramework from './frameworks/astro.js';
+import AngularFramework from './frameworks/angular.js';
+import RemixFramework from './frameworks/remix.js';
+import GatsbyFramework from './frameworks/gatsby.js';
+import NestjsFramework from './frameworks/nestjs.js';
+import FastifyFramework from './frameworks/fastify.js';
+import KoaFramework from './frameworks/koa.js';
+import HapiFramework from './frameworks/hapi.js';
+import HonoFramework from './frameworks/hono.js';
+import GraphqlFramework from './frameworks/graphql.js';
+import OpenApiImporter from './importers/openapi.js';
+import SitemapImporter from './importers/sitemap.js';
+import RobotsImporter from './importers/robots.js';
+import HarImporter from './importers/har.js';
+import RouteCrawler from './crawler.js';
+import {
+  findJsxTags,
+  readJsxAttribute,
+  readStringLiteral,
+  joinRoutePaths,
+  findImportSource,
+  resolveModulePath,
+  matchRoutePattern,
+  isLoginPath
+} from './utils/source-parser.js';
+
+// Components that only render their children for signed-in users
+const AUTH_WRAPPER = /^(?:Protected|Private|Authenticated|Require(?:Auth|User|Login|Session)|Auth(?:Guard|Route|Required|Wrapper|Gate|Check))\w*$/;
+// Higher-order components wrapping a page: withAuth(Page), withPageAuthRequired(Page)
+const AUTH_HOC = /^(?:with\w*(?:Auth|Session|User|Login)\w*|require(?:Auth|User|Login|Session)|protect(?:ed)?(?:Page|Route)?)$/;
+// Server code that runs before a page renders and can redirect
+const SERVER_REDIRECT_SOURCE = /export\s+(?:async\s+)?(?:function\s+|const\s+)(getServerSideProps|loader|load)\b|import\s*\{[^}]*\bredirect\b[^}]*\}\s*from\s*['"]next\/navigation['"]/;
+const AUTH_CONTEXT = /session|auth|user|token|cookie|login|sign-?in/i;
+// Sample values for dynamic segments, keyed by route pattern: { "/products/:id": [{ "id": "42" }] }
+const PARAM_FIXTURES_FILE = 'route-params.json';
+// Concrete URLs from a sitemap or HAR recording kept as samples for each dynamic route
+const MAX_IMPORTED_SAMPLES = 3;
 
 export class ProjectScanner {
-  constructor(projectPath = process.cwd()) {
+  constructor(projectPath = process.cwd(), options = {}) {
     this.projectPath = projectPath;
+    // openApi: path to an OpenAPI / Swagger document whose operations replace the scanned API routes
+    // sitemap / robots / har: extra route sources (a path or a list of paths) merged with the scanned routes
+    // crawl: { baseURL, maxDepth, maxPages } to also visit the running app with Playwright
+    this.options = options;
     this.packageJson = null;
     this.framework = null;
+    this.frameworkInstance = null;
+    this.loginRedirect = null;
     this.routes = {
       public: [],
       protected: [],
@@ -24,7 +70,12 @@ export class ProjectScanner {
     await this.loadPackageJson();
     await this.detectFramework();
     await this.scanRoutes();
+    await this.importOpenApi();
+    await this.scanGraphqlEndpoints();
     await this.detectAuthPatterns();
+    await this.importRouteSources();
+    await this.crawlRoutes();
+    await this.applyParamSamples();
     
     return {
       framework: this.framework,
@@ -64,6 +115,47 @@ export class ProjectScanner {
       return;
     }
     
+    // SvelteKit detection
+    if (deps['@sveltejs/kit']) {
+      this.framework = { name: 'sveltekit', version: deps['@sveltejs/kit'] };
+      console.log(`✅ Detected SvelteKit ${deps['@sveltejs/kit']}`);
+      return;
+    }
+    
+    // Angular detection
+    if (deps['@angular/core']) {
+      this.framework = { name: 'angular', version: deps['@angular/core'] };
+      console.log(`✅ Detected Angular ${deps['@angular/core']}`);
+      return;
+    }
+    
+    // Astro detection (before React - Astro sites often use React islands)
+    if (deps.astro) {
+      this.framework = { name: 'astro', version: deps.astro };
+      console.log(`✅ Detected Astro ${deps.astro}`);
+      return;
+    }
+    
+    // Gatsby detection (before React Router - Gatsby ships @reach/router)
+    if (deps.gatsby) {
+      this.framework = { name: 'gatsby', version: deps.gatsby };
+      console.log(`✅ Detected Gatsby ${deps.gatsby}`);
+      return;
+    }
+    
+    // Remix / React Router v7 framework mode (Shopify's Remix template is handled below)
+    const hasRemix = Object.keys(deps).some(dep => dep.startsWith('@remix-run/')) || deps['@react-router/dev'];
+    const hasShopifyDeps = Object.keys(deps).some(dep => dep.startsWith('@shopify/'));
+    if ((hasRemix || await fs.pathExists(path.join(this.projectPath, 'app', 'routes.ts'))) && !hasShopifyDeps) {
+      this.framework = { 
+        name: 'remix', 
+        version: deps['@react-router/dev'] || deps['@remix-run/react'] || deps['@remix-run/dev'] || deps['react-router'],
+        isReactRouter: !!deps['@react-router/dev']
+      };
+      console.log(`✅ Detected ${this.framework.isReactRouter ? 'React Router framework mode' : 'Remix'} ${this.framework.version}`);
+      return;
+    }
+    
     // React Router detection
     if (deps['react-router-dom'] || deps['@reach/router']) {
       this.framework = { 
@@ -76,6 +168,13 @@ export class ProjectScanner {
       return;
     }
     
+    // Nuxt detection (before Vue Router - Nuxt apps often list vue-router too)
+    if (deps.nuxt || deps['@nuxt/core'] || deps['@nuxt/kit']) {
+      this.framework = { name: 'nuxt', version: deps.nuxt || deps['@nuxt/core'] || deps['@nuxt/kit'] };
+      console.log(`✅ Detected Nuxt ${this.framework.version}`);
+      return;
+    }
+    
     // Vue Router detection
     if (deps['vue-router']) {
       this.framework = { name: 'vue-router', version: deps['vue-router'] };
@@ -83,6 +182,41 @@ export class ProjectScanner {
       return;
     }
     
+    // NestJS detection - before Express, Nest apps pull in express through @nestjs/platform-express
+    if (deps['@nestjs/core']) {
+      this.framework = { name: 'nestjs', version: deps['@nestjs/core'] };
+      console.log(`✅ Detected NestJS ${deps['@nestjs/core']}`);
+      return;
+    }
+    
+    // Fastify detection
+    if (deps.fastify) {
+      this.framework = { name: 'fastify', version: deps.fastify };
+      console.log(`✅ Detected Fastify ${deps.fastify}`);
+      return;
+    }
+    
+    // Koa detection
+    if (deps.koa || deps['@koa/router'] || deps['koa-router']) {
+      this.framework = { name: 'koa', version: deps.koa || deps['@koa/router'] || deps['koa-router'] };
+      console.log(`✅ Detected Koa ${this.framework.version}`);
+      return;
+    }
+    
+    // Hapi detection
+    if (deps['@hapi/hapi'] || deps.hapi) {
+      this.framework = { name: 'hapi', version: deps['@hapi/hapi'] || deps.hapi };
+      console.log(`✅ Detected Hapi ${this.framework.version}`);
+      return;
+    }
+    
+    // Hono detection
+    if (deps.hono) {
+      this.framework = { name: 'hono', version: deps.hono };
+      console.log(`✅ Detected Hono ${deps.hono}`);
+      return;
+    }
+    
     // Express detection
     if (deps.express) {
       this.framework = { name: 'express', version: deps.express };
@@ -90,13 +224,6 @@ export class ProjectScanner {
       return;
     }
     
-    // Nuxt detection
-    if (deps.nuxt || deps['@nuxt/core'] || deps['@nuxt/kit']) {
-      this.framework = { name: 'nuxt', version: deps.nuxt || deps['@nuxt/core'] || deps['@nuxt/kit'] };
-      console.log(`✅ Detected Nuxt ${this.framework.version}`);
-      return;
-    }
-    
     // Shopify App detection
     if (deps['@shopify/polaris'] || deps['@shopify/app-bridge'] || deps['@shopify/cli'] || 
         this.packageJson.scripts?.dev?.includes('shopify') || 
@@ -142,11 +269,22 @@ export class ProjectScanner {
   
   async detectStaticFramework() {
     // Try to detect from file structure when no package.json
+    const astroConfigs = ['astro.config.mjs', 'astro.config.js', 'astro.config.ts'];
+    for (const configFile of astroConfigs) {
+      if (await fs.pathExists(path.join(this.projectPath, configFile))) {
+        return { name: 'astro', version: null };
+      }
+    }
+    
+    if (await fs.pathExists(path.join(this.projectPath, 'angular.json'))) {
+      return { name: 'angular', version: null };
+    }
+    
+    // A src/ folder alone says nothing about how the app is served
     const hasIndex = await fs.pathExists(path.join(this.projectPath, 'index.html'));
     const hasPublic = await fs.pathExists(path.join(this.projectPath, 'public'));
-    const hasSrc = await fs.pathExists(path.join(this.projectPath, 'src'));
     
-    if (hasIndex || hasPublic || hasSrc) {
+    if (hasIndex || hasPublic) {
       return { name: 'static-site', version: null, hasStaticFiles: true };
     }
     
@@ -193,6 +331,9 @@ export class ProjectScanner {
           frameworkInstance = new NextjsFramework(this.projectPath);
           await frameworkInstance.detect();
           this.routes = await frameworkInstance.scanRoutes();
+          if (frameworkInstance.notFoundPage) {
+            this.framework.notFoundPage = frameworkInstance.notFoundPage;
+          }
           console.log('✅ NextJS framework scanning completed');
           break;
           
@@ -219,11 +360,89 @@ export class ProjectScanner {
           this.routes = await frameworkInstance.scanRoutes();
           break;
           
+        case 'vue':
         case 'vue-router':
+          console.log('🔍 Using Vue framework scanner...');
+          frameworkInstance = new VueFramework(this.projectPath);
+          await frameworkInstance.detect();
+          this.routes = await frameworkInstance.scanRoutes();
+          break;
+          
         case 'nuxt':
-          // For now, use generic scanning until Vue framework is implemented
-          console.log('🔍 Using generic scanning for Vue/Nuxt...');
-          await this.scanGenericRoutes();
+          console.log('🔍 Using Nuxt framework scanner...');
+          frameworkInstance = new NuxtFramework(this.projectPath);
+          await frameworkInstance.detect();
+          this.routes = await frameworkInstance.scanRoutes();
+          break;
+          
+        case 'sveltekit':
+          console.log('🔍 Using SvelteKit framework scanner...');
+          frameworkInstance = new SvelteKitFramework(this.projectPath);
+          await frameworkInstance.detect();
+          this.routes = await frameworkInstance.scanRoutes();
+          break;
+          
+        case 'astro':
+          console.log('🔍 Using Astro framework scanner...');
+          frameworkInstance = new AstroFramework(this.projectPath);
+          await frameworkInstance.detect();
+          this.routes = await frameworkInstance.scanRoutes();
+          break;
+          
+        case 'angular':
+          console.log('🔍 Using Angular framework scanner...');
+          frameworkInstance = new AngularFramework(this.projectPath);
+          await frameworkInstance.detect();
+          this.routes = await frameworkInstance.scanRoutes();
+          break;
+          
+        case 'remix':
+          console.log('🔍 Using Remix framework scanner...');
+          frameworkInstance = new RemixFramework(this.projectPath);
+          await frameworkInstance.detect();
+          this.routes = await frameworkInstance.scanRoutes();
+          break;
+          
+        case 'gatsby':
+          console.log('🔍 Using Gatsby framework scanner...');
+          frameworkInstance = new GatsbyFramework(this.projectPath);
+          await frameworkInstance.detect();
+          this.routes = await frameworkInstance.scanRoutes();
+          break;
+          
+        case 'nestjs':
+          console.log('🔍 Using NestJS framework scanner...');
+          frameworkInstance = new NestjsFramework(this.projectPath);
+          await frameworkInstance.detect();
+          this.routes = await frameworkInstance.scanRoutes();
+          break;
+          
+        case 'fastify':
+          console.log('🔍 Using Fastify framework scanner...');
+          frameworkInstance = new FastifyFramework(this.projectPath);
+          await frameworkInstance.detect();
+          this.routes = await frameworkInstance.scanRoutes();
+          break;
+          
+        case 'koa':
+          console.log('🔍 Using Koa framework scanner...');
+          frameworkInstance = new KoaFramework(this.projectPath);
+          await frameworkInstance.detect();
+          this.routes = await frameworkInstance.scanRoutes();
+          break;
+          
+        case 'hapi':
+          console.log('🔍 Using Hapi framework scanner...');
+          frameworkInstance = new HapiFramework(this.projectPath);
+          await frameworkInstance.detect();
+          this.routes = await frameworkInstance.scanRoutes();
+          break;
+          
+        case 'hono':
+          console.log('🔍 Using Hono framework scanner...');
+          frameworkInstance = new HonoFramework(this.projectPath);
+          await frameworkInstance.detect();
+          this.routes = await frameworkInstance.scanRoutes();
           break;
           
         default:
@@ -231,6 +450,8 @@ export class ProjectScanner {
           await this.scanGenericRoutes();
           break;
       }
+      
+      this.frameworkInstance = frameworkInstance;
     } catch (error) {
       console.error('❌ Framework-specific scanning failed:', error.message);
       console.log('🔄 Falling back to generic scanning...');
@@ -366,6 +587,16 @@ export class ProjectScanner {
   }
 
   async detectLoginUrl() {
+    // Redirect target found in framework auth config (e.g. Next.js middleware)
+    if (this.frameworkInstance?.loginUrl) {
+      return this.frameworkInstance.loginUrl;
+    }
+
+    // Redirect target found in auth wrappers and server-side guards
+    if (this.loginRedirect) {
+      return this.loginRedirect;
+    }
+
     // Common login URL patterns
     const commonLoginUrls = ['/login', '/signin', '/auth', '/authenticate'];
     
@@ -382,37 +613,462 @@ export class ProjectScanner {
   }
 
   async detectAuthPatterns() {
-    // Scan for authentication middleware or components
-    const authFiles = await glob('**/*.{js,jsx,ts,tsx}', {
-      cwd: path.join(this.projectPath, 'src'),
-      ignore: ['**/*.test.*', '**/*.spec.*', 'node_modules/**']
+    // Link auth wrappers, HOCs and server-side redirects in the source to the routes they guard
+    const sourceFiles = await glob('**/*.{js,jsx,ts,tsx,mjs}', {
+      cwd: this.projectPath,
+      ignore: ['node_modules/**', 'dist/**', 'build/**', '.next/**', 'coverage/**', '**/*.test.*', '**/*.spec.*', '**/*.d.ts'],
+      absolute: true
     }).catch(() => []);
-    
-    for (const file of authFiles) {
+
+    const sources = new Map();
+    for (const file of sourceFiles) {
       try {
-        const content = await fs.readFile(path.join(this.projectPath, 'src', file), 'utf8');
-        
-        // Look for auth-related patterns
-        if (this.hasAuthPatterns(content)) {
-          // Update protected routes based on found patterns
-          break;
-        }
+        sources.set(file, await fs.readFile(file, 'utf8'));
       } catch (error) {
         // Continue if file can't be read
       }
     }
+
+    const guarded = new Map();
+    const guard = (url, details) => {
+      if (url && !guarded.has(url)) {
+        guarded.set(url, details);
+      }
+    };
+
+    for (const [file, content] of sources) {
+      for (const match of this.findGuardedJsxRoutes(content)) {
+        const redirect = this.findComponentRedirect(match.wrapper, sources);
+        guard(match.url, { authWrapper: match.wrapper, redirect });
+      }
+    }
+
+    for (const route of [...this.routes.public, ...this.routes.protected]) {
+      const routeFile = await this.resolveRouteFile(route);
+      if (!routeFile) continue;
+
+      const details = await this.findPageAuth(routeFile, sources);
+      if (details) {
+        guard(route.url, details);
+      }
+    }
+
+    if (guarded.size === 0) {
+      return;
+    }
+
+    // The most common redirect found in code becomes the login URL, so guards
+    // without a redirect of their own expect the same target
+    const redirects = [...guarded.values()].map(details => details.redirect).filter(Boolean);
+    if (redirects.length > 0) {
+      const counts = redirects.reduce((acc, redirect) => acc.set(redirect, (acc.get(redirect) || 0) + 1), new Map());
+      this.loginRedirect = [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    const stillPublic = [];
+    for (const route of this.routes.public) {
+      const details = guarded.get(route.url);
+      if (!details) {
+        stillPublic.push(route);
+        continue;
+      }
+
+      const { expectedStatus, ...rest } = route;
+      console.log(`  🔒 ${route.url} is guarded by ${details.authWrapper}${details.redirect ? ` (redirects to ${details.redirect})` : ''}`);
+      this.routes.protected.push({
+        ...rest,
+        requiresAuth: true,
+        authWrapper: details.authWrapper,
+        expectedRedirect: details.redirect || await this.detectLoginUrl()
+      });
+    }
+    this.routes.public = stillPublic;
+
+    for (const route of this.routes.protected) {
+      const details = guarded.get(route.url);
+      if (details?.redirect) {
+        route.expectedRedirect = details.redirect;
+        route.authWrapper = route.authWrapper || details.authWrapper;
+      }
+    }
+  }
+
+  // The spec is the contract backend teams maintain, so it is trusted over regex-scanned API routes
+  async importOpenApi() {
+    if (!this.options.openApi) {
+      return;
+    }
+
+    const importer = new OpenApiImporter(path.resolve(this.projectPath, this.options.openApi), this.projectPath);
+    const operations = await importer.importRoutes();
+
+    console.log(`📄 Imported ${operations.length} operations (replacing ${this.routes.api.length} scanned API routes)`);
+    this.routes.api = operations;
+  }
+
+  // GraphQL servers sit on top of whichever HTTP framework was detected, so they are looked for separately.
+  // Their endpoint answers every operation on one URL, and auth failures come back as errors in a 200 response
+  async scanGraphqlEndpoints() {
+    const graphql = new GraphqlFramework(this.projectPath);
+    const detected = await graphql.detect();
+
+    if (!detected) {
+      return;
+    }
+
+    console.log(`✅ Detected GraphQL server: ${detected.package} ${detected.version}`);
+    const { api } = await graphql.scanRoutes();
+
+    if (api.length === 0) {
+      console.log('  ⚠️ No GraphQL endpoint found - is the server mounted outside the scanned sources?');
+      return;
+    }
+
+    // The plain route scanners see /graphql as a GET endpoint - the GraphQL route replaces it
+    const urls = new Set(api.map(route => route.url));
+    this.routes.api = this.routes.api.filter(route => !urls.has(route.url) && !urls.has(route.pattern));
+    this.routes.api.push(...api);
+    this.framework.graphql = detected;
+  }
+
+  // Sitemaps, robots.txt and HAR recordings find routes static analysis can't see, such as CMS pages
+  async importRouteSources() {
+    const sources = [
+      ...[].concat(this.options.sitemap || []).map(file => ({ file, Importer: SitemapImporter })),
+      ...[].concat(this.options.robots || []).map(file => ({ file, Importer: RobotsImporter })),
+      ...[].concat(this.options.har || []).map(file => ({ file, Importer: HarImporter }))
+    ];
+
+    if (sources.length === 0) {
+      return;
+    }
+
+    this.markCodeRoutes();
+    const loginURL = await this.detectLoginUrl();
+
+    for (const { file, Importer } of sources) {
+      const imported = await new Importer(path.resolve(this.projectPath, file), this.projectPath, { loginURL }).importRoutes();
+      let added = 0;
+
+      for (const type of ['public', 'protected', 'api']) {
+        for (const route of imported[type]) {
+          added += this.mergeImportedRoute(type, route) ? 1 : 0;
+        }
+      }
+
+      console.log(`  ✅ Added ${added} new routes from ${file}`);
+    }
   }
 
-  hasAuthPatterns(content) {
-    const authPatterns = [
-      'useAuth', 'AuthProvider', 'withAuth', 'requireAuth',
-      'isAuthenticated', 'checkAuth', 'login', 'logout',
-      'jwt', 'token', 'session'
+  // Routes that only exist at runtime are found by visiting the app the tests will run against
+  async crawlRoutes() {
+    if (!this.options.crawl) {
+      return;
+    }
+
+    const crawlOptions = this.options.crawl === true ? {} : this.options.crawl;
+    const crawler = new RouteCrawler({
+      ...crawlOptions,
+      baseURL: crawlOptions.baseURL || await this.detectBaseUrl(),
+      loginURL: await this.detectLoginUrl()
+    });
+
+    const crawled = await crawler.crawl();
+    let added = 0;
+
+    this.markCodeRoutes();
+    for (const type of ['public', 'protected', 'api']) {
+      for (const route of crawled[type]) {
+        added += this.mergeImportedRoute(type, route) ? 1 : 0;
+      }
+    }
+
+    console.log(`  ✅ Added ${added} new routes from the crawl`);
+  }
+
+  markCodeRoutes() {
+    for (const type of ['public', 'protected', 'api']) {
+      for (const route of this.routes[type]) {
+        route.source = route.source || 'code';
+      }
+    }
+  }
+
+  // Returns true when the route is new; routes already known just record the extra source
+  mergeImportedRoute(type, route) {
+    const normalize = url => url.length > 1 ? url.replace(/\/$/, '') : url;
+    const candidates = type === 'api'
+      ? this.routes.api.filter(existing => (existing.method || 'GET') === route.method)
+      : [...this.routes.public, ...this.routes.protected];
+
+    const existing = candidates.find(candidate => normalize(candidate.url) === normalize(route.url));
+    if (existing) {
+      // A sitemap, HAR or crawl hit confirms a route only known from a link target
+      if (existing.source === 'react-link') {
+        delete existing.skip;
+      }
+      this.addRouteSource(existing, route.source);
+      return false;
+    }
+
+    // A concrete URL of a dynamic route becomes one of its param samples
+    const dynamic = candidates.find(candidate => /:\w|\*/.test(candidate.url) && matchRoutePattern(candidate.url, route.url));
+    if (dynamic) {
+      const samples = [].concat(dynamic.staticParams || []);
+      if (samples.length < MAX_IMPORTED_SAMPLES) {
+        dynamic.staticParams = [...samples, route.url];
+      }
+      this.addRouteSource(dynamic, route.source);
+      return false;
+    }
+
+    this.routes[type].push(route);
+    return true;
+  }
+
+  addRouteSource(route, source) {
+    const sources = route.sources || [route.source];
+    if (!sources.includes(source)) {
+      route.sources = [...sources, source];
+    }
+  }
+
+  // Expands /products/:id into one route per sample value. Samples come from
+  // route-params.json first, then from what the framework scanner extracted
+  // (generateStaticParams, getStaticPaths). Routes without samples are kept but
+  // marked with `skip` so the generated tests report them as skipped.
+  async applyParamSamples() {
+    const fixturesPath = path.join(this.projectPath, PARAM_FIXTURES_FILE);
+    let fixtures = {};
+
+    if (await fs.pathExists(fixturesPath)) {
+      try {
+        fixtures = await fs.readJson(fixturesPath);
+        console.log(`⚙️ Loaded route param samples from ${PARAM_FIXTURES_FILE} (${Object.keys(fixtures).length} patterns)`);
+      } catch (error) {
+        console.warn(`⚠️ Could not parse ${PARAM_FIXTURES_FILE}: ${error.message}`);
+      }
+    }
+
+    for (const type of ['public', 'protected', 'api']) {
+      this.routes[type] = this.routes[type].flatMap(route => {
+        if (!/:\w|\*/.test(route.url)) {
+          return [route];
+        }
+
+        const { staticParams, ...rest } = route;
+        const samples = [].concat(fixtures[route.url] ?? fixtures[route.pattern] ?? staticParams ?? []);
+        const urls = [...new Set(samples.map(sample => this.fillRouteParams(route.url, sample)).filter(Boolean))];
+
+        // Optional segments (:lang?, :slug*) can be left out entirely
+        if (urls.length === 0 && this.fillRouteParams(route.url, {})) {
+          urls.push(this.fillRouteParams(route.url, {}));
+        }
+
+        if (urls.length === 0) {
+          console.log(`  ⚠️ No sample params for ${route.url} - add them to ${PARAM_FIXTURES_FILE} to test it`);
+          return [{ ...rest, skip: `No sample params for ${route.url} (add them to ${PARAM_FIXTURES_FILE})` }];
+        }
+
+        return urls.map(url => ({
+          ...rest,
+          url,
+          pattern: route.url,
+          title: `${route.title || route.url} [${url}]`
+        }));
+      });
+    }
+  }
+
+  // Fills :name, :name?, :name* and * segments from a sample. A sample is an object
+  // of params, a single value for the first param, or a concrete path starting with /
+  fillRouteParams(pattern, sample) {
+    if (typeof sample === 'string' && sample.startsWith('/')) {
+      return sample;
+    }
+
+    const names = [...pattern.matchAll(/:(\w+)/g)].map(match => match[1]);
+    const params = sample && typeof sample === 'object' ? sample : { [names[0] || '*']: sample };
+    const unusedKeys = Object.keys(params).filter(key => !names.includes(key));
+    let missing = false;
+
+    const url = pattern.replace(/:(\w+)([*+?]?)|\*/g, (match, name, modifier) => {
+      const value = params[name ?? unusedKeys.shift() ?? '*'];
+
+      if (value === undefined || value === null || value === '') {
+        if (modifier === '?' || modifier === '*') {
+          return '';
+        }
+        missing = true;
+        return match;
+      }
+
+      return [].concat(value).map(part => encodeURIComponent(String(part)).replace(/%2F/gi, '/')).join('/');
+    });
+
+    const normalized = url.replace(/\/+/g, '/');
+    if (missing) {
+      return null;
+    }
+    return pattern.endsWith('/') ? normalized : normalized.replace(/(.)\/$/, '$1');
+  }
+
+  // <Route path="/a" element={<ProtectedRoute><A /></ProtectedRoute>} />,
+  // <RequireAuth><Route path="/a" /></RequireAuth> and layout routes whose element is a wrapper
+  findGuardedJsxRoutes(content) {
+    if (!/<Route\b/.test(content)) {
+      return [];
+    }
+
+    const matches = [];
+    const stack = [];
+
+    for (const tag of findJsxTags(content)) {
+      if (tag.closing) {
+        const openIndex = stack.map(entry => entry.name).lastIndexOf(tag.name);
+        if (openIndex !== -1) {
+          stack.length = openIndex;
+        }
+        continue;
+      }
+
+      const parentPath = stack.reduce((url, entry) => entry.path !== undefined ? joinRoutePaths(url, entry.path) : url, '');
+      const inheritedWrapper = [...stack].reverse().find(entry => entry.wrapper)?.wrapper;
+      const entry = { name: tag.name };
+
+      if (AUTH_WRAPPER.test(tag.name)) {
+        entry.wrapper = tag.name;
+      }
+
+      if (tag.name === 'Route') {
+        const routePath = readStringLiteral(readJsxAttribute(tag.attributes, 'path'));
+        const isIndex = readJsxAttribute(tag.attributes, 'index') === 'true';
+        const element = readJsxAttribute(tag.attributes, 'element') || readJsxAttribute(tag.attributes, 'component') || '';
+        entry.wrapper = element.match(/<([A-Z][\w.]*)/g)?.map(name => name.slice(1)).find(name => AUTH_WRAPPER.test(name));
+        entry.path = routePath ?? undefined;
+
+        const wrapper = entry.wrapper || inheritedWrapper;
+        if (wrapper && (routePath !== null || isIndex)) {
+          const url = isIndex ? parentPath || '/' : joinRoutePaths(parentPath, routePath);
+          console.log(`  🔒 Found ${wrapper} around route: ${url}`);
+          matches.push({ wrapper, url });
+        }
+      }
+
+      if (!tag.selfClosing) {
+        stack.push(entry);
+      }
+    }
+
+    return matches;
+  }
+
+  // Looks up where a wrapper component is defined and where it sends anonymous users
+  findComponentRedirect(name, sources) {
+    const declaration = new RegExp(`(?:function|const|let|class)\\s+${name.split('.').pop()}\\b`);
+
+    for (const content of sources.values()) {
+      if (declaration.test(content)) {
+        return this.findRedirectTarget(content);
+      }
+    }
+
+    return null;
+  }
+
+  // export default withAuth(Page), getServerSideProps/loaders redirecting to a login
+  // page, or a redirect() in the page or a layout above it
+  async findPageAuth(routeFile, sources) {
+    const content = sources.get(routeFile) ?? await fs.readFile(routeFile, 'utf8').catch(() => null);
+    if (content === null) {
+      return null;
+    }
+
+    const hocMatch = content.match(/export\s+default\s+([\w$]+)\s*\(/);
+    if (hocMatch && AUTH_HOC.test(hocMatch[1])) {
+      const hocPath = await resolveModulePath(routeFile, findImportSource(content, hocMatch[1]));
+      const hocSource = hocPath && (sources.get(hocPath) ?? await fs.readFile(hocPath, 'utf8').catch(() => null));
+      return { authWrapper: hocMatch[1], redirect: hocSource ? this.findRedirectTarget(hocSource) : null };
+    }
+
+    for (const file of [routeFile, ...await this.findGuardingModules(routeFile)]) {
+      const source = file === routeFile ? content : sources.get(file) ?? await fs.readFile(file, 'utf8').catch(() => '');
+      const dataFunction = source.match(SERVER_REDIRECT_SOURCE);
+      if (!dataFunction || !AUTH_CONTEXT.test(source)) {
+        continue;
+      }
+
+      const redirect = this.findRedirectTarget(source);
+      if (redirect) {
+        return { authWrapper: dataFunction[1] || 'redirect', redirect };
+      }
+    }
+
+    return null;
+  }
+
+  // Server modules and layouts that run before a page: SvelteKit +page.server.js,
+  // +layout.server.js and Next.js App Router layout files up to the project root
+  async findGuardingModules(routeFile) {
+    const modules = [];
+    const extensions = ['js', 'ts', 'jsx', 'tsx'];
+    const routeDir = path.dirname(routeFile);
+
+    if (/\+page\.svelte$/.test(routeFile)) {
+      modules.push(...extensions.map(extension => path.join(routeDir, `+page.server.${extension}`)));
+    }
+
+    for (let dir = routeDir; dir.startsWith(this.projectPath) && dir !== this.projectPath; dir = path.dirname(dir)) {
+      for (const extension of extensions) {
+        modules.push(path.join(dir, `layout.${extension}`), path.join(dir, `+layout.server.${extension}`));
+      }
+    }
+
+    const existing = [];
+    for (const modulePath of modules) {
+      if (modulePath !== routeFile && await fs.pathExists(modulePath)) {
+        existing.push(modulePath);
+      }
+    }
+    return existing;
+  }
+
+  async resolveRouteFile(route) {
+    if (!route.file) {
+      return null;
+    }
+
+    const candidates = path.isAbsolute(route.file)
+      ? [route.file]
+      : [path.join(this.projectPath, route.file), path.join(this.projectPath, 'src', route.file)];
+
+    for (const candidate of candidates) {
+      if (await fs.pathExists(candidate)) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  // Returns where code sends unauthenticated users, preferring login-like paths
+  findRedirectTarget(content) {
+    const patterns = [
+      /<(?:Navigate|Redirect)\b[^>]*?\bto\s*=\s*\{?\s*(['"`])(\/[^'"`]*)\1/g,
+      /\b(?:redirect|navigate|push|replace)\s*\(\s*(?:\d{3}\s*,\s*)?(['"`])(\/[^'"`]*)\1/g,
+      /\b(?:destination|redirect|redirectTo|loginUrl|loginPath|signInUrl)\s*[:=]\s*(['"`])(\/[^'"`]*)\1/g
     ];
-    
-    return authPatterns.some(pattern => 
-      content.toLowerCase().includes(pattern.toLowerCase())
-    );
+
+    const targets = [];
+    for (const pattern of patterns) {
+      let match;
+      while ((match = pattern.exec(content)) !== null) {
+        targets.push({ index: match.index, url: match[2].split(/[?#$]/)[0] || '/' });
+      }
+    }
+
+    targets.sort((a, b) => a.index - b.index);
+    return (targets.find(target => isLoginPath(target.url)) || targets[0])?.url || null;
   }
 
   convertAppRouterPathToUrl(filePath) {
@@ -512,6 +1168,11 @@ export class ProjectScanner {
       }
     }
     
+    // Ports read from framework config files (astro.config, angular.json, ...)
+    if (this.frameworkInstance?.devServerPort) {
+      return `http://localhost:${this.frameworkInstance.devServerPort}`;
+    }
+    
     return 'http://localhost:3000'; // Default fallback
   }
 }
@@ -0,0 +1,97 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { ProjectScanner } from './scanner.js';
+
+let projectPath;
+let paramsProjectPath;
+
+async function scan(root) {
+  const originalLog = console.log;
+  console.log = () => {};
+  return new ProjectScanner(root).scan().finally(() => {
+    console.log = originalLog;
+  });
+}
+
+before(async () => {
+  projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'scanner-scan-'));
+  await fs.writeJson(path.join(projectPath, 'package.json'), { dependencies: { react: '^18.0.0', 'react-router-dom': '^6.0.0' } });
+  await fs.outputFile(path.join(projectPath, 'src/App.jsx'), `
+import { Routes, Route } from 'react-router-dom';
+import { RequireLogin } from '@acme/session';
+import ProtectedRoute from './components/ProtectedRoute';
+
+export default function App() {
+  return (
+    <Routes>
+      <Route path="/" element={<Home />} />
+      <Route path="/session/new" element={<SignIn />} />
+      <Route path="/orders" element={<ProtectedRoute><Orders /></ProtectedRoute>} />
+      <Route path="/reports" element={<RequireLogin><Reports /></RequireLogin>} />
+      <Route path="/about" element={<About />} />
+    </Routes>
+  );
+}
+`);
+  await fs.outputFile(path.join(projectPath, 'src/components/ProtectedRoute.jsx'), `
+import { Navigate } from 'react-router-dom';
+
+export default function ProtectedRoute({ children }) {
+  const user = useUser();
+  if (!user) return <Navigate to="/session/new" replace />;
+  return children;
+}
+`);
+
+  paramsProjectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'scanner-scan-'));
+  await fs.writeJson(path.join(paramsProjectPath, 'package.json'), { dependencies: { next: '^14.0.0' } });
+  await fs.writeJson(path.join(paramsProjectPath, 'route-params.json'), { '/products/:id': [{ id: '42' }, { id: '7' }] });
+  for (const page of ['products/[id]', 'docs/[[...slug]]', 'orders/[orderId]']) {
+    await fs.outputFile(path.join(paramsProjectPath, 'app', page, 'page.tsx'), 'export default function Page() { return null; }\n');
+  }
+  await fs.outputFile(path.join(paramsProjectPath, 'app/posts/[slug]/page.tsx'), `
+export default function Page() { return null; }
+
+export async function generateStaticParams() {
+  return [{ slug: 'hello' }, { slug: 'world' }];
+}
+`);
+});
+
+after(async () => {
+  await fs.remove(projectPath);
+  await fs.remove(paramsProjectPath);
+});
+
+test('guards without a redirect of their own expect the login URL found in code', async () => {
+  const { routes, config } = await scan(projectPath);
+
+  assert.deepEqual(routes.public.map(route => route.url).sort(), ['/', '/about', '/session/new']);
+  assert.deepEqual(
+    routes.protected.map(({ url, authWrapper, expectedRedirect }) => ({ url, authWrapper, expectedRedirect })),
+    [
+      { url: '/orders', authWrapper: 'ProtectedRoute', expectedRedirect: '/session/new' },
+      { url: '/reports', authWrapper: 'RequireLogin', expectedRedirect: '/session/new' }
+    ]
+  );
+  assert.equal(config.loginURL, '/session/new');
+});
+
+test('expands dynamic routes with param samples and skips the ones without', async () => {
+  const { routes } = await scan(paramsProjectPath);
+
+  assert.deepEqual(
+    routes.public.map(({ url, pattern, skip }) => ({ url, pattern, skip })).sort((a, b) => a.url.localeCompare(b.url)),
+    [
+      { url: '/docs', pattern: '/docs/:slug*', skip: undefined },
+      { url: '/orders/:orderId', pattern: undefined, skip: 'No sample params for /orders/:orderId (add them to route-params.json)' },
+      { url: '/posts/hello', pattern: '/posts/:slug', skip: undefined },
+      { url: '/posts/world', pattern: '/posts/:slug', skip: undefined },
+      { url: '/products/42', pattern: '/products/:id', skip: undefined },
+      { url: '/products/7', pattern: '/products/:id', skip: undefined }
+    ]
+  );
+});
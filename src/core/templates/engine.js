@@ -123,6 +123,10 @@ export class TemplateEngine {
       baseURL,
       loginURL,
       bare,
+      // The app under test, relative to the generated project (used to find its .env)
+      projectDir: path.relative(targetDir, config.projectPath || process.cwd()).split(path.sep).join('/') || '.',
+      hasApiSchemas: (routes.api || []).some(route => route.schema),
+      hasGraphql: (routes.api || []).some(route => route.graphql),
       packageJsonScripts: await this.getPackageJsonScripts(config.projectPath),
       generatedAt: new Date().toISOString(),
       version: await this.getPackageVersion()
@@ -142,6 +146,11 @@ export class TemplateEngine {
       filesToGenerate.push({ template: 'shopify-auth-helper', output: 'helpers/shopify-auth-helper.js' });
     }
 
+    // Add schema helpers for API routes that declare request/response schemas
+    if (context.hasApiSchemas) {
+      filesToGenerate.push({ template: 'schema-helper', output: 'helpers/schema-helper.js' });
+    }
+
     // Add route files
     if (routes.public?.length > 0) {
       filesToGenerate.push({ template: 'routes.public', output: 'routes/public-routes.js' });
@@ -152,6 +161,9 @@ export class TemplateEngine {
     if (routes.api?.length > 0) {
       filesToGenerate.push({ template: 'routes.api', output: 'routes/api-routes.js' });
     }
+    if (routes.redirects?.length > 0) {
+      filesToGenerate.push({ template: 'routes.redirects', output: 'routes/redirect-routes.js' });
+    }
 
     // Add test files
     if (routes.public?.length > 0) {
@@ -163,6 +175,12 @@ export class TemplateEngine {
     if (routes.api?.length > 0) {
       filesToGenerate.push({ template: 'tests.api', output: 'tests/api-routes.spec.js' });
     }
+    if (context.hasGraphql) {
+      filesToGenerate.push({ template: 'tests.graphql', output: 'tests/graphql.spec.js' });
+    }
+    if (routes.redirects?.length > 0) {
+      filesToGenerate.push({ template: 'tests.redirects', output: 'tests/redirects.spec.js' });
+    }
 
     // Generate all files
     for (const file of filesToGenerate) {
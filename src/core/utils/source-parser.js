@@ -0,0 +1,587 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+// Lightweight helpers for reading object/array literals out of JavaScript and
+// TypeScript source without depending on a full parser. They understand
+// strings, template literals, comments and regex literals well enough to find
+// balanced brackets in real-world route definition files.
+
+const OPENERS = { '{': '}', '[': ']', '(': ')' };
+const CLOSERS = new Set(['}', ']', ')']);
+const REGEX_PRECEDERS = new Set(['(', ',', '=', ':', '[', '!', '&', '|', '?', '{', '}', ';', '']);
+
+function previousSignificantChar(source, index) {
+  for (let i = index - 1; i >= 0; i--) {
+    if (!/\s/.test(source[i])) {
+      return source[i];
+    }
+  }
+  return '';
+}
+
+// Returns the index just past a string, comment or regex literal starting at
+// `index`, or -1 when `index` is ordinary code.
+export function skipNonCode(source, index) {
+  const char = source[index];
+  const next = source[index + 1];
+
+  if (char === '"' || char === "'") {
+    let i = index + 1;
+    while (i < source.length && source[i] !== char) {
+      if (source[i] === '\\') i++;
+      if (source[i] === '\n') break; // Unterminated string - bail out at end of line
+      i++;
+    }
+    return i + 1;
+  }
+
+  if (char === '`') {
+    let i = index + 1;
+    while (i < source.length && source[i] !== '`') {
+      if (source[i] === '\\') {
+        i += 2;
+        continue;
+      }
+      if (source[i] === '$' && source[i + 1] === '{') {
+        const close = findClosingBracket(source, i + 1);
+        if (close === -1) return source.length;
+        i = close + 1;
+        continue;
+      }
+      i++;
+    }
+    return i + 1;
+  }
+
+  if (char === '/' && next === '/') {
+    const end = source.indexOf('\n', index);
+    return end === -1 ? source.length : end;
+  }
+
+  if (char === '/' && next === '*') {
+    const end = source.indexOf('*/', index + 2);
+    return end === -1 ? source.length : end + 2;
+  }
+
+  if (char === '/' && REGEX_PRECEDERS.has(previousSignificantChar(source, index))) {
+    let i = index + 1;
+    let inClass = false;
+    while (i < source.length && source[i] !== '\n') {
+      if (source[i] === '\\') {
+        i += 2;
+        continue;
+      }
+      if (source[i] === '[') inClass = true;
+      else if (source[i] === ']') inClass = false;
+      else if (source[i] === '/' && !inClass) break;
+      i++;
+    }
+    // Skip trailing flags
+    i++;
+    while (i < source.length && /[a-z]/i.test(source[i])) i++;
+    return i;
+  }
+
+  return -1;
+}
+
+// Finds the bracket that closes the one at `openIndex`
+export function findClosingBracket(source, openIndex) {
+  const stack = [];
+
+  for (let i = openIndex; i < source.length; i++) {
+    const skipped = skipNonCode(source, i);
+    if (skipped !== -1) {
+      i = skipped - 1;
+      continue;
+    }
+
+    const char = source[i];
+    if (OPENERS[char]) {
+      stack.push(OPENERS[char]);
+    } else if (CLOSERS.has(char)) {
+      if (stack.pop() !== char) {
+        return -1;
+      }
+      if (stack.length === 0) {
+        return i;
+      }
+    }
+  }
+
+  return -1;
+}
+
+// Returns the balanced literal (including brackets) starting at `openIndex`
+export function extractBalanced(source, openIndex) {
+  const close = findClosingBracket(source, openIndex);
+  return close === -1 ? null : source.slice(openIndex, close + 1);
+}
+
+// Removes line and block comments while leaving strings untouched
+export function stripComments(source) {
+  let result = '';
+  let start = 0;
+
+  for (let i = 0; i < source.length; i++) {
+    const skipped = skipNonCode(source, i);
+    if (skipped === -1) continue;
+
+    if (source[i] === '/' && (source[i + 1] === '/' || source[i + 1] === '*')) {
+      result += source.slice(start, i);
+      start = skipped;
+    }
+    i = skipped - 1;
+  }
+
+  return result + source.slice(start);
+}
+
+// Splits `source` on `separator` wherever it appears outside brackets and strings
+export function splitTopLevel(source, separator = ',') {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+
+  for (let i = 0; i < source.length; i++) {
+    const skipped = skipNonCode(source, i);
+    if (skipped !== -1) {
+      i = skipped - 1;
+      continue;
+    }
+
+    const char = source[i];
+    if (OPENERS[char]) {
+      depth++;
+    } else if (CLOSERS.has(char)) {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(source.slice(start, i));
+      start = i + 1;
+    }
+  }
+
+  parts.push(source.slice(start));
+  return parts.map(part => stripComments(part).trim()).filter(Boolean);
+}
+
+// Parses `[a, b, c]` into the raw source text of each element
+export function parseArrayLiteral(text) {
+  if (!text) return [];
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('[')) return [];
+
+  const close = findClosingBracket(trimmed, 0);
+  if (close === -1) return [];
+
+  return splitTopLevel(trimmed.slice(1, close));
+}
+
+// Parses `{ key: value, ... }` into an object of raw property source text.
+// Shorthand properties map to their own name and spreads are collected
+// under `__spreads`.
+export function parseObjectLiteral(text) {
+  const properties = {};
+  if (!text) return properties;
+
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('{')) return properties;
+
+  const close = findClosingBracket(trimmed, 0);
+  if (close === -1) return properties;
+
+  for (const part of splitTopLevel(trimmed.slice(1, close))) {
+    if (part.startsWith('...')) {
+      properties.__spreads = [...(properties.__spreads || []), part.slice(3).trim()];
+      continue;
+    }
+
+    // key: value / 'key': value / [key]: value
+    const keyMatch = part.match(/^(?:(['"`])(.*?)\1|\[?\s*([\w$]+)\s*\]?)\s*:/);
+    if (keyMatch) {
+      properties[keyMatch[2] ?? keyMatch[3]] = part.slice(keyMatch[0].length).trim();
+      continue;
+    }
+
+    // Method shorthand: key(args) { ... } / async key() { ... }
+    const methodMatch = part.match(/^(?:async\s+)?([\w$]+)\s*\(/);
+    if (methodMatch) {
+      properties[methodMatch[1]] = part;
+      continue;
+    }
+
+    // Property shorthand: { component }
+    if (/^[\w$]+$/.test(part)) {
+      properties[part] = part;
+    }
+  }
+
+  return properties;
+}
+
+// Returns the value of a plain string literal, or null for anything dynamic
+export function readStringLiteral(raw) {
+  if (!raw) return null;
+  const match = raw.trim().match(/^(['"`])((?:\\.|(?!\1).)*)\1$/s);
+
+  if (!match) return null;
+  if (match[1] === '`' && match[2].includes('${')) return null;
+
+  return match[2].replace(/\\(.)/g, '$1');
+}
+
+// Returns the value of a boolean literal, or null
+export function readBooleanLiteral(raw) {
+  if (!raw) return null;
+  const value = raw.trim();
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return null;
+}
+
+// Returns string values from either a single string or an array of strings
+export function readStringList(raw) {
+  if (!raw) return [];
+  const single = readStringLiteral(raw);
+  if (single !== null) return [single];
+
+  return parseArrayLiteral(raw)
+    .map(readStringLiteral)
+    .filter(value => value !== null);
+}
+
+// Statically evaluates a JSON-like literal (objects, arrays, strings, numbers,
+// booleans, null). Identifiers are looked up through `resolveIdentifier`, which
+// returns their raw source or null. Returns undefined when anything is dynamic.
+export function evaluateLiteral(raw, resolveIdentifier = () => null, depth = 0) {
+  if (!raw || depth > 20) return undefined;
+  const value = stripComments(raw).trim().replace(/\s+as\s+const$/, '');
+
+  const string = readStringLiteral(value);
+  if (string !== null) return string;
+
+  const boolean = readBooleanLiteral(value);
+  if (boolean !== null) return boolean;
+
+  if (value === 'null') return null;
+  if (/^-?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?$/i.test(value)) return Number(value);
+
+  if (value.startsWith('[')) {
+    const items = [];
+    for (const element of parseArrayLiteral(value)) {
+      if (element.startsWith('...')) {
+        const spread = evaluateLiteral(element.slice(3), resolveIdentifier, depth + 1);
+        if (!Array.isArray(spread)) return undefined;
+        items.push(...spread);
+        continue;
+      }
+      const item = evaluateLiteral(element, resolveIdentifier, depth + 1);
+      if (item === undefined) return undefined;
+      items.push(item);
+    }
+    return items;
+  }
+
+  if (value.startsWith('{')) {
+    const properties = parseObjectLiteral(value);
+    const result = {};
+
+    for (const spread of properties.__spreads || []) {
+      const spreadValue = evaluateLiteral(spread, resolveIdentifier, depth + 1);
+      if (!spreadValue || typeof spreadValue !== 'object') return undefined;
+      Object.assign(result, spreadValue);
+    }
+
+    for (const [key, propertyRaw] of Object.entries(properties)) {
+      if (key === '__spreads') continue;
+      const propertyValue = evaluateLiteral(propertyRaw, resolveIdentifier, depth + 1);
+      if (propertyValue === undefined) return undefined;
+      result[key] = propertyValue;
+    }
+    return result;
+  }
+
+  if (/^[\w$]+$/.test(value)) {
+    const resolved = resolveIdentifier(value);
+    return resolved ? evaluateLiteral(resolved, resolveIdentifier, depth + 1) : undefined;
+  }
+
+  return undefined;
+}
+
+// Finds every call whose callee matches `calleePattern` (a regex source string)
+// and returns the raw source of its arguments
+export function findCalls(source, calleePattern) {
+  const calls = [];
+  const regex = new RegExp(`(?:^|[^\\w$.])(${calleePattern})\\s*\\(`, 'g');
+  let match;
+
+  while ((match = regex.exec(source)) !== null) {
+    const openIndex = match.index + match[0].length - 1;
+    const close = findClosingBracket(source, openIndex);
+    if (close === -1) continue;
+
+    calls.push({
+      callee: match[1],
+      index: match.index,
+      end: close + 1,
+      args: splitTopLevel(source.slice(openIndex + 1, close))
+    });
+  }
+
+  return calls;
+}
+
+// Collects the names a module exports (declarations and `export { a as b }` lists)
+export function findExportedNames(source) {
+  const names = new Set();
+
+  // export function GET / export async function POST / export const PUT
+  const declarationRegex = /export\s+(?:async\s+)?(?:function\s*\*?|const|let|var|class)\s+([\w$]+)/g;
+  let match;
+  while ((match = declarationRegex.exec(source)) !== null) {
+    names.add(match[1]);
+  }
+
+  // export { handler as GET, POST }
+  const listRegex = /export\s*\{([^}]+)\}/g;
+  while ((match = listRegex.exec(source)) !== null) {
+    for (const specifier of match[1].split(',')) {
+      const name = specifier.trim().split(/\s+as\s+/).pop();
+      if (name) {
+        names.add(name);
+      }
+    }
+  }
+
+  return names;
+}
+
+// Resolves `const name = [...]` / `const name: Routes = {...}` / `export default [...]`
+// to the raw literal text
+export function resolveIdentifierValue(source, name) {
+  const escaped = name.replace(/[$]/g, '\\$');
+  const pattern = name === 'default'
+    ? /export\s+default\s+(?:defineConfig\s*\(\s*)?(?=[[{])/
+    : new RegExp(`(?:const|let|var)\\s+${escaped}\\s*(?::[^=]+)?=\\s*(?=[[{])`);
+
+  const match = source.match(pattern);
+  if (!match) return null;
+
+  return extractBalanced(source, match.index + match[0].length);
+}
+
+// Finds the module specifier `name` was imported from (ESM or CommonJS)
+export function findImportSource(source, name) {
+  const escaped = name.replace(/[$]/g, '\\$');
+  const patterns = [
+    new RegExp(`import\\s+${escaped}\\s*(?:,\\s*\\{[^}]*\\})?\\s+from\\s+['"]([^'"]+)['"]`),
+    new RegExp(`import\\s+(?:[\\w$]+\\s*,\\s*)?\\{[^}]*\\b(?:[\\w$]+\\s+as\\s+)?${escaped}\\b[^}]*\\}\\s+from\\s+['"]([^'"]+)['"]`),
+    new RegExp(`(?:const|let|var)\\s+${escaped}\\s*=\\s*require\\s*\\(\\s*['"]([^'"]+)['"]\\s*\\)`),
+    new RegExp(`(?:const|let|var)\\s+\\{[^}]*\\b${escaped}\\b[^}]*\\}\\s*=\\s*require\\s*\\(\\s*['"]([^'"]+)['"]\\s*\\)`)
+  ];
+
+  for (const pattern of patterns) {
+    const match = source.match(pattern);
+    if (match) {
+      return match[1];
+    }
+  }
+
+  return null;
+}
+
+// Resolves a relative import specifier to a file on disk
+export async function resolveModulePath(fromFile, specifier, extensions = ['.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs']) {
+  if (!specifier || !specifier.startsWith('.')) {
+    return null;
+  }
+
+  const basePath = path.resolve(path.dirname(fromFile), specifier);
+  const candidates = [
+    basePath,
+    // TypeScript projects often import './routes.js' that is really './routes.ts'
+    basePath.replace(/\.(js|mjs|cjs)$/, ''),
+  ];
+
+  for (const candidate of candidates) {
+    if (await fs.pathExists(candidate) && (await fs.stat(candidate)).isFile()) {
+      return candidate;
+    }
+    for (const extension of extensions) {
+      if (await fs.pathExists(candidate + extension)) {
+        return candidate + extension;
+      }
+      const indexFile = path.join(candidate, `index${extension}`);
+      if (await fs.pathExists(indexFile)) {
+        return indexFile;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Joins a parent and child route path the way nested routers do
+export function joinRoutePaths(parent, child) {
+  if (child && child.startsWith('/')) {
+    return child;
+  }
+
+  const joined = [parent || '', child || ''].join('/').replace(/\/+/g, '/');
+  const url = joined.startsWith('/') ? joined : '/' + joined;
+
+  return url !== '/' && url.endsWith('/') ? url.slice(0, -1) : url;
+}
+
+// Lists JSX tags for components (capitalised names) in source order. Each tag
+// carries its raw attribute text and whether it opens, closes or self-closes.
+export function findJsxTags(source) {
+  const tags = [];
+  const regex = /<(\/?)([A-Z][\w.]*)(?=[\s/>])/g;
+  let match;
+
+  while ((match = regex.exec(source)) !== null) {
+    const attributesStart = match.index + match[0].length;
+    let i = attributesStart;
+
+    while (i < source.length && source[i] !== '>') {
+      if (source[i] === '{') {
+        const close = findClosingBracket(source, i);
+        if (close === -1) break;
+        i = close + 1;
+        continue;
+      }
+      if (source[i] === '"' || source[i] === "'") {
+        const end = source.indexOf(source[i], i + 1);
+        if (end === -1) break;
+        i = end + 1;
+        continue;
+      }
+      i++;
+    }
+
+    if (source[i] !== '>') continue;
+
+    const attributes = source.slice(attributesStart, i);
+    tags.push({
+      name: match[2],
+      index: match.index,
+      end: i + 1,
+      attributes,
+      closing: match[1] === '/',
+      selfClosing: attributes.trimEnd().endsWith('/')
+    });
+    regex.lastIndex = i + 1;
+  }
+
+  return tags;
+}
+
+// Returns the raw value of a JSX attribute: `path="/a"` -> '"/a"', `element={<A />}`
+// -> '<A />', a bare `index` -> 'true', or null when the attribute is missing
+export function readJsxAttribute(attributes, name) {
+  const match = (attributes || '').match(new RegExp(`(?:^|\\s)${name}(?:\\s*=\\s*(?=["'{])|(?=[\\s/]|$))`));
+  if (!match) return null;
+
+  const start = match.index + match[0].length;
+  const char = attributes[start];
+
+  if (char === '"' || char === "'") {
+    const end = attributes.indexOf(char, start + 1);
+    return end === -1 ? null : attributes.slice(start, end + 1);
+  }
+  if (char === '{') {
+    const value = extractBalanced(attributes, start);
+    return value === null ? null : value.slice(1, -1).trim();
+  }
+
+  return 'true';
+}
+
+// Whether middleware mounted at `scope` ('/admin', '/admin/*', '*') runs for `url`
+export function isPathWithin(scope, url) {
+  const base = (scope || '').replace(/\/?\*$/, '').replace(/\/$/, '');
+  if (!base) return true;
+
+  return url === base || url.startsWith(base + '/');
+}
+
+// Whether a path is the login page: the detected login URL first, then a whole path
+// segment such as /login or /signin, or a trailing /auth - so /oauth/callback and /authors don't count
+export function isLoginPath(routePath, loginURL = null) {
+  const normalize = url => {
+    try {
+      return new URL(url || '/', 'http://localhost').pathname.replace(/(.)\/$/, '$1');
+    } catch (error) {
+      return null;
+    }
+  };
+  const pathname = normalize(routePath);
+
+  if (!pathname) {
+    return false;
+  }
+
+  if (loginURL && pathname === normalize(loginURL)) {
+    return true;
+  }
+
+  // /auth is only the login page when nothing follows it - /auth/callback or /auth/2fa are steps after it
+  const segments = pathname.split('/').filter(Boolean);
+  return segments.some(segment => /^(?:log[-_]?in|sign[-_]?in)$/i.test(segment)) || /^auth$/i.test(segments[segments.length - 1] || '');
+}
+
+// Matches a concrete URL against a route pattern (:id, :lang?, :slug*, *) and returns
+// the captured segment values in order (null for left-out optional ones), or null
+export function matchRoutePattern(pattern, url) {
+  const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  let source = '';
+  let lastIndex = 0;
+
+  for (const match of pattern.matchAll(/(\/?)(?::(\w+)([*+?]?)|\*)/g)) {
+    const [token, slash, name, modifier] = match;
+    source += escape(pattern.slice(lastIndex, match.index));
+    lastIndex = match.index + token.length;
+
+    if (!name || modifier === '*') {
+      source += `(?:${slash}(.*))?`;
+    } else if (modifier === '+') {
+      source += `${slash}(.+)`;
+    } else if (modifier === '?') {
+      source += `(?:${slash}([^/]+))?`;
+    } else {
+      source += `${slash}([^/]+)`;
+    }
+  }
+
+  source += escape(pattern.slice(lastIndex).replace(/\/$/, ''));
+
+  const values = url.match(new RegExp(`^${source}/?$`));
+  return values ? values.slice(1).map(value => value === undefined || value === '' ? null : value) : null;
+}
+
+export default {
+  skipNonCode,
+  stripComments,
+  findClosingBracket,
+  extractBalanced,
+  splitTopLevel,
+  parseArrayLiteral,
+  parseObjectLiteral,
+  readStringLiteral,
+  readBooleanLiteral,
+  readStringList,
+  evaluateLiteral,
+  findCalls,
+  findExportedNames,
+  resolveIdentifierValue,
+  findImportSource,
+  resolveModulePath,
+  joinRoutePaths,
+  findJsxTags,
+  readJsxAttribute,
+  isPathWithin,
+  isLoginPath,
+  matchRoutePattern
+};
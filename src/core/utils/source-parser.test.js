@@ -0,0 +1,148 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  findCalls,
+  parseObjectLiteral,
+  evaluateLiteral,
+  findExportedNames,
+  joinRoutePaths,
+  isLoginPath,
+  matchRoutePattern
+} from './source-parser.js';
+
+describe('findCalls', () => {
+  test('returns the raw arguments of each matching call', () => {
+    const calls = findCalls("app.get('/users', auth, (req, res) => res.json([1, 2]));", 'app\\.get');
+
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].callee, 'app.get');
+    assert.deepEqual(calls[0].args, ["'/users'", 'auth', '(req, res) => res.json([1, 2])']);
+  });
+
+  test('skips member calls and brackets inside strings', () => {
+    const source = "router.get('/a(b'); other.router.get('/skip'); router.get(`/c`)";
+    const calls = findCalls(source, 'router\\.get');
+
+    assert.deepEqual(calls.map(call => call.args[0]), ["'/a(b'", '`/c`']);
+  });
+
+  test('ignores comments between arguments', () => {
+    const [call] = findCalls("route('/x', /* options, */ handler)", 'route');
+    assert.deepEqual(call.args, ["'/x'", 'handler']);
+  });
+});
+
+describe('parseObjectLiteral', () => {
+  test('reads quoted, computed and shorthand keys', () => {
+    const properties = parseObjectLiteral("{ path: '/a', 'data-id': 1, [KEY]: true, component }");
+
+    assert.deepEqual(properties, { path: "'/a'", 'data-id': '1', KEY: 'true', component: 'component' });
+  });
+
+  test('keeps nested values and method shorthand as raw source', () => {
+    const properties = parseObjectLiteral('{ meta: { auth: true }, async me(_, __, ctx) { return ctx.user; } }');
+
+    assert.equal(properties.meta, '{ auth: true }');
+    assert.equal(properties.me, 'async me(_, __, ctx) { return ctx.user; }');
+  });
+
+  test('collects spreads and returns an empty object for non-objects', () => {
+    assert.deepEqual(parseObjectLiteral('{ ...base, ...extra, a: 1 }').__spreads, ['base', 'extra']);
+    assert.deepEqual(parseObjectLiteral('[1, 2]'), {});
+    assert.deepEqual(parseObjectLiteral(null), {});
+  });
+});
+
+describe('evaluateLiteral', () => {
+  test('evaluates JSON-like literals', () => {
+    assert.deepEqual(
+      evaluateLiteral("{ type: 'object', required: ['name'], properties: { count: { minimum: -1.5 } }, nullable: null, strict: true }"),
+      { type: 'object', required: ['name'], properties: { count: { minimum: -1.5 } }, nullable: null, strict: true }
+    );
+  });
+
+  test('resolves identifiers and spreads through the callback', () => {
+    const constants = { BASE: "{ a: 1 }", LIST: "['x']" };
+    const resolve = name => constants[name] || null;
+
+    assert.deepEqual(evaluateLiteral('{ ...BASE, b: [...LIST, \'y\'] }', resolve), { a: 1, b: ['x', 'y'] });
+  });
+
+  test('returns undefined when any part is dynamic', () => {
+    assert.equal(evaluateLiteral('{ a: 1, b: Type.Object({}) }'), undefined);
+    assert.equal(evaluateLiteral('`/users/${id}`'), undefined);
+    assert.equal(evaluateLiteral('UNKNOWN'), undefined);
+  });
+});
+
+describe('findExportedNames', () => {
+  test('collects declarations and export lists', () => {
+    const names = findExportedNames(`
+      export async function GET() {}
+      export const POST = handler;
+      export class Service {}
+      export { handler as PUT, DELETE };
+    `);
+
+    assert.deepEqual([...names].sort(), ['DELETE', 'GET', 'POST', 'PUT', 'Service']);
+  });
+
+  test('ignores names that are only declared', () => {
+    assert.equal(findExportedNames('function GET() {}\nconst POST = 1;').size, 0);
+  });
+});
+
+describe('joinRoutePaths', () => {
+  test('joins relative children onto the parent', () => {
+    assert.equal(joinRoutePaths('/admin', 'users'), '/admin/users');
+    assert.equal(joinRoutePaths('/admin/', '/settings/'), '/settings/');
+    assert.equal(joinRoutePaths('', ''), '/');
+    assert.equal(joinRoutePaths('admin', 'users/'), '/admin/users');
+  });
+});
+
+describe('isLoginPath', () => {
+  test('matches the detected login URL first', () => {
+    assert.equal(isLoginPath('/account/enter', '/account/enter'), true);
+    assert.equal(isLoginPath('/account/enter/?next=/billing', 'https://example.com/account/enter'), true);
+  });
+
+  test('falls back to whole login segments only', () => {
+    assert.equal(isLoginPath('/login'), true);
+    assert.equal(isLoginPath('/users/sign_in'), true);
+    assert.equal(isLoginPath('/auth/signin', '/account/enter'), true);
+    assert.equal(isLoginPath('/oauth/callback'), false);
+    assert.equal(isLoginPath('/authors'), false);
+    assert.equal(isLoginPath('/blog/login-tips'), false);
+  });
+
+  test('counts /auth only as the last segment', () => {
+    assert.equal(isLoginPath('/auth'), true);
+    assert.equal(isLoginPath('/api/auth/'), true);
+    assert.equal(isLoginPath('/auth/callback'), false);
+    assert.equal(isLoginPath('/auth/verify-email'), false);
+    assert.equal(isLoginPath('/auth/2fa'), false);
+  });
+});
+
+describe('matchRoutePattern', () => {
+  test('captures named params', () => {
+    assert.deepEqual(matchRoutePattern('/users/:id/posts/:postId', '/users/42/posts/7'), ['42', '7']);
+    assert.equal(matchRoutePattern('/users/:id', '/users'), null);
+    assert.equal(matchRoutePattern('/users/:id', '/users/42/extra'), null);
+  });
+
+  test('handles optional, one-or-more and catch-all params', () => {
+    assert.deepEqual(matchRoutePattern('/:lang?/about', '/about'), [null]);
+    assert.deepEqual(matchRoutePattern('/:lang?/about', '/fr/about'), ['fr']);
+    assert.deepEqual(matchRoutePattern('/docs/:slug+', '/docs/a/b'), ['a/b']);
+    assert.equal(matchRoutePattern('/docs/:slug+', '/docs'), null);
+    assert.deepEqual(matchRoutePattern('/files/*', '/files'), [null]);
+    assert.deepEqual(matchRoutePattern('/files/:path*', '/files/x/y.txt'), ['x/y.txt']);
+  });
+
+  test('escapes literal segments', () => {
+    assert.deepEqual(matchRoutePattern('/feed.xml', '/feed.xml'), []);
+    assert.equal(matchRoutePattern('/feed.xml', '/feedaxml'), null);
+  });
+});